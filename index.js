@@ -1,6 +1,5 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
@@ -9,23 +8,50 @@ const workerRoutes = require('./routes/workers');
 const contractorRoutes = require('./routes/contractor');
 const customerRoutes = require('./routes/customer');
 const adminSettingsRoutes = require('./routes/adminSettings');
+const partnerRoutes = require('./routes/partner');
+const auditLogRoutes = require('./routes/auditLogs');
+const backupRoutes = require('./routes/backups');
+const fileRoutes = require('./routes/files');
+const uploadRoutes = require('./routes/uploads');
+const kycRoutes = require('./routes/kyc');
+const { apiRateLimit } = require('./middleware/rateLimit');
+const { maintenanceGate } = require('./middleware/maintenance');
+const { dynamicCors } = require('./middleware/cors');
+const { localizeResponses } = require('./middleware/i18n');
+const BackupService = require('./services/backupService');
+const KycService = require('./services/kycService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, set TRUST_PROXY (hop count or e.g. "loopback") so req.ip is the client address
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+}
+
 // Middleware
-app.use(cors({
-  origin: ['http://localhost:3001', 'http://localhost:3000'],
-  credentials: true
-}));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
+// CORS origins come from system.apiSettings.corsOrigins plus CORS_ORIGINS
+app.use(dynamicCors);
+// Files are sent as multipart uploads (routes/uploads.js), so JSON bodies stay small
+const BODY_LIMIT = process.env.JSON_BODY_LIMIT || '1mb';
+app.use(express.json({ limit: BODY_LIMIT }));
+app.use(express.urlencoded({ limit: BODY_LIMIT, extended: true }));
 
 // Basic route (must be before 404 handler)
 app.get('/', (req, res) => {
   res.json({ message: 'SetuWorks API is running!' });
 });
 
+// Message codes and localized messages (user preference, Accept-Language, general.language)
+app.use('/api', localizeResponses);
+
+// Rate limiting (system.apiSettings.rateLimit)
+app.use('/api', apiRateLimit);
+
+// Maintenance mode (general.maintenanceMode); admins are let through
+app.use('/api', maintenanceGate);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/jobs', jobRoutes);
@@ -33,10 +59,23 @@ app.use('/api/workers', workerRoutes);
 app.use('/api/contractor', contractorRoutes);
 app.use('/api/customer', customerRoutes);
 app.use('/api/admin-settings', adminSettingsRoutes);
+app.use('/api/partner', partnerRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/backups', backupRoutes);
+// Files kept by the local storage driver (STORAGE_DRIVER=local)
+app.use('/api/files', fileRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/kyc', kycRoutes);
 
 // Database connection
 mongoose.connect(process.env.MONGO_URL)
-  .then(() => console.log('MongoDB connected successfully'))
+  .then(() => {
+    console.log('MongoDB connected successfully');
+    // Automated backups (system.backupSettings)
+    BackupService.startScheduler();
+    // Expire approved KYC documents past their expiry date
+    KycService.startExpiryCheck();
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 // Add 404 handler to see what's not being caught (must be last)
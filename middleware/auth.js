@@ -1,86 +1,310 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKeyService = require('../services/apiKeyService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const ImpersonationService = require('../services/impersonationService');
+const { hasPermissions } = require('../utils/permissions');
+const { isAdminIpAllowed, sendIpBlockedResponse } = require('./ipWhitelist');
+
+const PRE_AUTH_PURPOSE = '2fa';
+// Avoid a write on every request; lastUsedAt only needs to be roughly accurate
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Read the bearer token from the Authorization header
+const getBearerToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Load the token's user and check that the account may sign in.
+// Returns an error message, or null when the user is allowed.
+const loadUser = async (req, decoded) => {
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user) {
+    return 'Invalid token. User not found.';
+  }
+
+  // Check if user is approved (allow pending workers to view contractor info)
+  if (user.status !== 'approved' && user.status !== 'pending') {
+    return 'Account not approved. Please contact admin.';
+  }
+
+  // For contractors and admins, require approved status
+  if ((user.role === 'contractor' || user.role === 'admin') && user.status !== 'approved') {
+    return 'Account not approved. Please contact admin.';
+  }
+
+  req.user = user;
+  return null;
+};
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
   try {
-    let token;
-
-    // Get token from header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
+    const token = getBearerToken(req);
 
     // Check if token exists
     if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Access denied. No token provided.' 
+      return res.status(401).json({
+        success: false,
+        code: 'ACCESS_DENIED_NO_TOKEN_PROVIDED',
+        message: 'Access denied. No token provided.'
       });
     }
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Get user from token
-    const user = await User.findById(decoded.id).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid token. User not found.' 
+    // Pre-auth tokens only unlock the second login step
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_AUTHENTICATION_IS_NOT_COMPLETE',
+        message: 'Two-factor authentication is not complete.'
       });
     }
 
-    // Check if user is approved (allow pending workers to view contractor info)
-    if (user.status !== 'approved' && user.status !== 'pending') {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Account not approved. Please contact admin.' 
+    // Access tokens are bound to a server-side session that can be revoked
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_HAS_EXPIRED_OR_WAS_REVOKED_PLEASE_LOG_IN',
+        message: 'Session has expired or was revoked. Please log in again.'
       });
     }
 
-    // For contractors and admins, require approved status
-    if ((user.role === 'contractor' || user.role === 'admin') && user.status !== 'approved') {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Account not approved. Please contact admin.' 
+    // Impersonation tokens must name the same admin as their session
+    const impersonatorId = session.impersonator ? session.impersonator.toString() : null;
+    if ((decoded.imp || null) !== impersonatorId) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: 'Invalid token.'
       });
     }
 
-    req.user = user;
+    const error = await loadUser(req, decoded);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Admins, and admins acting as a user, must connect from security.ipWhitelist
+    if ((req.user.role === 'admin' || impersonatorId) && !(await isAdminIpAllowed(req.ip))) {
+      return sendIpBlockedResponse(res);
+    }
+
+    // Every impersonated request is recorded against the real admin
+    if (impersonatorId) {
+      req.impersonator = impersonatorId;
+      ImpersonationService.trackRequest(req, res);
+    }
+
+    if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+    }
+
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error.message);
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Invalid token.' 
+    return res.status(401).json({
+      success: false,
+      code: 'INVALID_TOKEN',
+      message: 'Invalid token.'
+    });
+  }
+};
+
+// Protect the second login step - verify a short-lived pre-auth token
+const protectPreAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        code: 'ACCESS_DENIED_NO_TOKEN_PROVIDED',
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.purpose !== PRE_AUTH_PURPOSE) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_PRE_AUTH_TOKEN',
+        message: 'Invalid pre-auth token.'
+      });
+    }
+
+    const error = await loadUser(req, decoded);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (req.user.role === 'admin' && !(await isAdminIpAllowed(req.ip))) {
+      return sendIpBlockedResponse(res);
+    }
+
+    req.preAuth = true;
+    next();
+  } catch (error) {
+    console.error('Pre-auth middleware error:', error.message);
+    return res.status(401).json({
+      success: false,
+      code: 'PRE_AUTH_TOKEN_IS_INVALID_OR_HAS_EXPIRED_PLEASE',
+      message: 'Pre-auth token is invalid or has expired. Please log in again.'
     });
   }
 };
 
+// Accept either a full access token or a pre-auth token (used for 2FA enrollment)
+const protectOrPreAuth = (req, res, next) => {
+  const token = getBearerToken(req);
+  const decoded = token ? jwt.decode(token) : null;
+
+  if (decoded && decoded.purpose === PRE_AUTH_PURPOSE) {
+    return protectPreAuth(req, res, next);
+  }
+  return protect(req, res, next);
+};
+
+// Protect routes open to partner integrations - verify an X-API-Key header with the
+// given scopes, or fall back to the usual session token when no key is sent
+const protectApiKey = (...scopes) => {
+  return async (req, res, next) => {
+    const key = req.headers['x-api-key'];
+
+    if (!key) {
+      return protect(req, res, next);
+    }
+
+    const result = await ApiKeyService.authenticate(key, scopes, req.ip);
+    if (!result.success) {
+      return res.status(result.statusCode || 401).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    req.apiKey = result.data;
+    next();
+  };
+};
+
 // Role-based access control
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        success: false, 
-        message: `Access denied. ${req.user.role} role not authorized.` 
+      return res.status(403).json({
+        success: false,
+        code: 'ROLE_NOT_AUTHORIZED',
+        message: `Access denied. ${req.user.role} role not authorized.`
+      });
+    }
+    next();
+  };
+};
+
+// Permission-based access control for admin and sub-admin accounts
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin' || !hasPermissions(req.user, permissions)) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_REQUIRED',
+        message: `Access denied. Requires permission: ${permissions.join(', ')}`
       });
     }
     next();
   };
 };
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d'
+// For routes behind protectApiKey(): API-key clients are limited by the scopes
+// protectApiKey already checked; signed-in users must still pass guard
+const allowApiKeyOr = (guard) => {
+  return (req, res, next) => (req.apiKey ? next() : guard(req, res, next));
+};
+
+// Block sensitive actions while an admin is acting as the user
+const blockImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      code: 'IMPERSONATION_FORBIDDEN',
+      message: 'This action is not available while acting as another user'
+    });
+  }
+  next();
+};
+
+// Require a verified email (when general.requireEmailVerification is on)
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const result = await EmailVerificationService.checkVerified(req.user);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Email verification check error:', error.message);
+    return res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_CHECKING_EMAIL_VERIFICATION',
+      message: 'Server error while checking email verification'
+    });
+  }
+};
+
+// Generate JWT access token bound to a session (expiresIn in seconds)
+const generateToken = (id, sessionId, expiresIn) => {
+  return jwt.sign({ id, sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    expiresIn
+  });
+};
+
+// Generate short-lived access token for an admin acting as a user
+const generateImpersonationToken = (id, sessionId, impersonatorId, expiresIn) => {
+  return jwt.sign({ id, sid: sessionId.toString(), imp: impersonatorId.toString() }, process.env.JWT_SECRET, {
+    expiresIn
+  });
+};
+
+// Generate short-lived token for the two-factor step of login
+const generatePreAuthToken = (id) => {
+  return jwt.sign({ id, purpose: PRE_AUTH_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
   });
 };
 
 module.exports = {
   protect,
+  protectPreAuth,
+  protectOrPreAuth,
+  protectApiKey,
   authorize,
-  generateToken
+  allowApiKeyOr,
+  requirePermission,
+  blockImpersonation,
+  requireVerifiedEmail,
+  generateToken,
+  generateImpersonationToken,
+  generatePreAuthToken
 };
@@ -0,0 +1,59 @@
+const cors = require('cors');
+const SettingsCacheService = require('../services/settingsCacheService');
+const { compileOriginMatcher } = require('../utils/allowlist');
+
+// Origins allowed on top of system.apiSettings.corsOrigins (comma-separated);
+// the local frontends are allowed outside production
+const ENV_ORIGINS = process.env.CORS_ORIGINS !== undefined
+  ? process.env.CORS_ORIGINS
+  : (process.env.NODE_ENV === 'production' ? '' : 'http://localhost:3000,http://localhost:3001');
+
+// Settings are cached, so only recompile when the configured list changes
+let compiledSource = null;
+let compiledMatcher = null;
+
+const getOriginMatcher = async () => {
+  const system = await SettingsCacheService.getCategory('system');
+  const apiSettings = system.apiSettings || {};
+  const source = [apiSettings.corsOrigins || '', ENV_ORIGINS].join(',');
+
+  if (source !== compiledSource) {
+    compiledMatcher = compileOriginMatcher(source);
+    compiledSource = source;
+  }
+  return compiledMatcher;
+};
+
+// Whether a browser origin may call the API
+const isOriginAllowed = async (origin) => {
+  // Requests without an Origin header (server-to-server, curl) are not CORS requests
+  if (!origin) {
+    return true;
+  }
+
+  const matches = await getOriginMatcher();
+  return matches(origin);
+};
+
+const EXPOSED_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'];
+
+// CORS with the allowed origins read from the admin settings. Origins only
+// allowed through "*" may call the API but never with credentials.
+const dynamicCors = cors((req, callback) => {
+  const { origin } = req.headers;
+  getOriginMatcher()
+    .then(matches => callback(null, {
+      origin: !origin || matches(origin),
+      credentials: !!origin && matches.isListed(origin),
+      exposedHeaders: EXPOSED_HEADERS
+    }))
+    .catch(error => {
+      console.error('CORS origin check error:', error.message);
+      callback(null, { origin: false });
+    });
+});
+
+module.exports = {
+  dynamicCors,
+  isOriginAllowed
+};
@@ -0,0 +1,46 @@
+const I18nService = require('../services/i18nService');
+const SettingsCacheService = require('../services/settingsCacheService');
+
+// Language for this request: the signed-in user's preference, then
+// Accept-Language, then general.language
+const resolveLanguage = (req, available, defaultLanguage) => {
+  const candidates = [
+    req.user && req.user.language,
+    ...I18nService.parseAcceptLanguage(req.headers['accept-language']),
+    defaultLanguage
+  ];
+  return I18nService.pickLanguage(candidates, available);
+};
+
+// Give every JSON { success } response a message code and a localized message
+const localizeResponses = async (req, res, next) => {
+  let catalogs;
+  let defaultLanguage;
+  try {
+    const [loadedCatalogs, general] = await Promise.all([
+      I18nService.getCatalogs(),
+      SettingsCacheService.getCategory('general')
+    ]);
+    catalogs = loadedCatalogs;
+    defaultLanguage = general.language;
+  } catch (error) {
+    console.error('Message catalog error:', error.message);
+    return next();
+  }
+
+  const available = [...catalogs.keys()].filter(language => catalogs.get(language).enabled);
+  const json = res.json.bind(res);
+
+  // req.user is only set by the route's auth middleware, so resolve at send time
+  res.json = (body) => {
+    const language = resolveLanguage(req, available, defaultLanguage);
+    res.set('Content-Language', language);
+    return json(I18nService.localize(body, { language, catalogs, statusCode: res.statusCode }));
+  };
+
+  next();
+};
+
+module.exports = {
+  localizeResponses
+};
@@ -0,0 +1,33 @@
+const SettingsCacheService = require('../services/settingsCacheService');
+const { compileIpMatcher } = require('../utils/allowlist');
+
+let compiledSource = null;
+let compiledMatcher = null;
+
+// Whether an admin may connect from this address under security.ipWhitelist;
+// an empty whitelist allows every address
+const isAdminIpAllowed = async (ip) => {
+  const security = await SettingsCacheService.getCategory('security');
+  const source = security.ipWhitelist || '';
+
+  if (source !== compiledSource) {
+    compiledMatcher = compileIpMatcher(source);
+    compiledSource = source;
+  }
+
+  return !compiledMatcher || compiledMatcher(ip);
+};
+
+// Structured 403 sent to admins outside the whitelist
+const sendIpBlockedResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    code: 'IP_NOT_ALLOWED',
+    message: 'Admin access is not allowed from this IP address.'
+  });
+};
+
+module.exports = {
+  isAdminIpAllowed,
+  sendIpBlockedResponse
+};
@@ -0,0 +1,82 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const SettingsCacheService = require('../services/settingsCacheService');
+
+// Auth endpoints that stay open so admins can sign in; /login itself turns non-admins away
+const OPEN_PATHS = [
+  '/api/auth/otp/verify',
+  '/api/auth/login',
+  '/api/auth/2fa/verify',
+  '/api/auth/2fa/setup',
+  '/api/auth/2fa/enable',
+  '/api/auth/refresh',
+  '/api/auth/logout'
+];
+
+// Login codes are requested before anyone is signed in; the route only sends
+// them to admins during maintenance, and registration codes stay blocked
+const OTP_REQUEST_PATH = '/api/auth/otp/request';
+
+// Whether general.maintenanceMode is on
+const isMaintenanceMode = () => SettingsCacheService.isMaintenanceMode();
+
+// Structured 503 sent to everyone but admins during maintenance
+const sendMaintenanceResponse = (res) => {
+  return res.status(503).json({
+    success: false,
+    code: 'MAINTENANCE_MODE',
+    maintenance: true,
+    message: 'SetuWorks is undergoing scheduled maintenance. Please try again later.'
+  });
+};
+
+// Whether the request carries a full access token for an admin
+const isAdminRequest = async (req) => {
+  const authorization = req.headers.authorization;
+  if (!authorization || !authorization.startsWith('Bearer')) {
+    return false;
+  }
+
+  try {
+    const decoded = jwt.verify(authorization.split(' ')[1], process.env.JWT_SECRET);
+    if (decoded.purpose) {
+      return false;
+    }
+    const user = await User.findById(decoded.id).select('role');
+    return !!user && user.role === 'admin';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Block non-admin traffic while maintenance mode is on
+const maintenanceGate = async (req, res, next) => {
+  let maintenance;
+  try {
+    maintenance = await isMaintenanceMode();
+  } catch (error) {
+    console.error('Maintenance check error:', error.message);
+    return next();
+  }
+
+  const path = req.originalUrl.split('?')[0];
+  if (!maintenance || OPEN_PATHS.includes(path)) {
+    return next();
+  }
+
+  if (path === OTP_REQUEST_PATH && req.body && req.body.purpose === 'login') {
+    return next();
+  }
+
+  if (await isAdminRequest(req)) {
+    return next();
+  }
+
+  return sendMaintenanceResponse(res);
+};
+
+module.exports = {
+  maintenanceGate,
+  isMaintenanceMode,
+  sendMaintenanceResponse
+};
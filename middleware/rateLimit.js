@@ -0,0 +1,101 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const RateLimitService = require('../services/rateLimitService');
+const ApiKeyService = require('../services/apiKeyService');
+
+// Stricter per-IP buckets for public auth endpoints
+const AUTH_BUCKETS = {
+  login: { limit: 20, windowMinutes: 15 },
+  register: { limit: 5, windowMinutes: 60 },
+  status: { limit: 30, windowMinutes: 15 },
+  otp: { limit: 20, windowMinutes: 60 },
+  passwordReset: { limit: 10, windowMinutes: 60 }
+};
+
+// Identify the caller: a valid API key first, then signed-in user, then IP.
+// Unknown keys and tokens must not get a bucket of their own, or a client
+// could send a fresh one with every request to dodge the limit. Both lookups
+// are read-only; protect() and protectApiKey() record the use later.
+const getClientKey = async (req) => {
+  const apiKey = await ApiKeyService.findActiveKey(req.headers['x-api-key']);
+  if (apiKey) {
+    return `key:${apiKey._id}`;
+  }
+
+  const authorization = req.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer')) {
+    try {
+      const decoded = jwt.verify(authorization.split(' ')[1], process.env.JWT_SECRET);
+      // Same session check as protect(), so a token for a revoked session or
+      // a pre-auth token is limited by IP
+      const session = decoded.id && !decoded.purpose && decoded.sid ? await Session.findById(decoded.sid) : null;
+      if (session && session.isActive() && session.user.toString() === decoded.id) {
+        return `user:${decoded.id}`;
+      }
+    } catch (error) {
+      // Invalid or expired tokens are limited by IP
+    }
+  }
+
+  return `ip:${req.ip}`;
+};
+
+// Set the standard RateLimit-* headers
+const setRateLimitHeaders = (res, result) => {
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(result.retryAfter));
+};
+
+// Build a middleware that counts requests under a bucket.
+// getLimit(req) resolves to { limit, windowMs }; getKey(req) names the client
+// (may be async).
+const createRateLimiter = (bucket, getLimit, getKey) => {
+  return async (req, res, next) => {
+    let result;
+    try {
+      const { limit, windowMs } = await getLimit(req);
+      result = await RateLimitService.hit(`${bucket}:${await getKey(req)}`, limit, windowMs);
+    } catch (error) {
+      // Never turn a counter failure into an outage
+      console.error('Rate limit error:', error.message);
+      return next();
+    }
+
+    setRateLimitHeaders(res, result);
+
+    if (result.limited) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'TOO_MANY_REQUESTS_PLEASE_TRY_AGAIN_LATER',
+        message: 'Too many requests. Please try again later.',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+// General API limit from system.apiSettings.rateLimit, per API key, user or IP
+const apiRateLimit = createRateLimiter('api', () => RateLimitService.getApiLimit(), getClientKey);
+
+// Stricter per-IP limit for a public auth endpoint
+const authRateLimit = (name) => {
+  const bucket = AUTH_BUCKETS[name];
+  if (!bucket) {
+    throw new Error(`Unknown rate limit bucket: ${name}`);
+  }
+
+  return createRateLimiter(
+    `auth:${name}`,
+    async () => ({ limit: bucket.limit, windowMs: bucket.windowMinutes * 60 * 1000 }),
+    (req) => `ip:${req.ip}`
+  );
+};
+
+module.exports = {
+  apiRateLimit,
+  authRateLimit
+};
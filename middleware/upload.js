@@ -0,0 +1,186 @@
+const multer = require('multer');
+const { Transform, pipeline } = require('stream');
+const { uploadFile, deleteImage } = require('../utils/storage');
+
+const MB = 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
+const IMAGE_LABEL = 'JPEG, PNG, GIF, and WebP';
+
+// What each kind of upload accepts and where it is stored
+const UPLOAD_TYPES = {
+  avatar: {
+    folder: 'setuworks/profile-pictures',
+    maxSize: (parseInt(process.env.UPLOAD_AVATAR_MAX_MB, 10) || 2) * MB,
+    mimeTypes: IMAGE_TYPES,
+    label: IMAGE_LABEL
+  },
+  // KYC documents are private; see services/kycService.js for access
+  idProof: {
+    folder: 'setuworks/kyc/id-proofs',
+    maxSize: (parseInt(process.env.UPLOAD_ID_PROOF_MAX_MB, 10) || 5) * MB,
+    mimeTypes: [...IMAGE_TYPES, 'application/pdf'],
+    label: `${IMAGE_LABEL} images or PDF files`,
+    isPrivate: true
+  },
+  kycDocument: {
+    folder: 'setuworks/kyc/documents',
+    maxSize: (parseInt(process.env.UPLOAD_KYC_DOCUMENT_MAX_MB, 10) || 5) * MB,
+    mimeTypes: [...IMAGE_TYPES, 'application/pdf'],
+    label: `${IMAGE_LABEL} images or PDF files`,
+    isPrivate: true
+  },
+  document: {
+    folder: 'setuworks/documents',
+    maxSize: (parseInt(process.env.UPLOAD_DOCUMENT_MAX_MB, 10) || 10) * MB,
+    mimeTypes: [...IMAGE_TYPES, 'application/pdf'],
+    label: `${IMAGE_LABEL} images or PDF files`
+  },
+  logo: {
+    folder: 'site-logos',
+    maxSize: (parseInt(process.env.UPLOAD_LOGO_MAX_MB, 10) || 5) * MB,
+    mimeTypes: [...IMAGE_TYPES, 'image/svg+xml'],
+    label: 'JPEG, PNG, GIF, WebP, and SVG'
+  }
+};
+
+// Multer storage engine that streams each file straight to the storage driver,
+// stopping as soon as it grows past its type's size limit
+const createStorageEngine = (fields) => ({
+  _handleFile(req, file, cb) {
+    const type = UPLOAD_TYPES[fields[file.fieldname]];
+    const tooLarge = new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname);
+    let size = 0;
+
+    const limiter = new Transform({
+      transform(chunk, encoding, done) {
+        size += chunk.length;
+        done(size > type.maxSize ? tooLarge : null, chunk);
+      }
+    });
+    pipeline(file.stream, limiter, () => {});
+
+    uploadFile(limiter, { folder: type.folder, mimeType: file.mimetype, isPrivate: !!type.isPrivate })
+      .then(result => {
+        if (size > type.maxSize) {
+          return cb(tooLarge);
+        }
+        if (!result.success) {
+          return cb(new Error(result.error));
+        }
+        cb(null, {
+          url: result.url,
+          ref: result.ref,
+          publicId: result.public_id,
+          size: result.size,
+          storage: result.storage
+        });
+      })
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    if (!file.publicId) {
+      return cb(null);
+    }
+    deleteImage(file.publicId).then(() => cb(null), cb);
+  }
+});
+
+const uploadedFiles = (req) => [
+  ...(req.file ? [req.file] : []),
+  ...Object.values(req.files || {}).flat()
+];
+
+// Stored files are only kept when the request succeeds
+const removeFilesOnFailure = (req, res) => {
+  res.on('finish', () => {
+    if (res.statusCode < 400) {
+      return;
+    }
+    uploadedFiles(req).filter(file => file.publicId).forEach(file => {
+      deleteImage(file.publicId).catch(error => console.error('Error removing upload:', error.message));
+    });
+  });
+};
+
+const sendUploadError = (res, error, fields) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE' && fields[error.field]) {
+      return res.status(413).json({
+        success: false,
+        code: 'FILE_TOO_LARGE',
+        message: `File is too large. The limit for ${error.field} is ${UPLOAD_TYPES[fields[error.field]].maxSize / MB} MB`
+      });
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        code: 'UNEXPECTED_FILE_FIELD',
+        message: `Unexpected file field: ${error.field}`
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'INVALID_FILE_TYPE') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error('File upload error:', error);
+  res.status(500).json({
+    success: false,
+    code: 'FILE_UPLOAD_FAILED',
+    message: 'File upload failed'
+  });
+};
+
+// Accept multipart files, one per field, e.g. uploadFiles({ idProof: 'idProof' }).
+// Stored files end up in req.files[field][0] as { url, ref, publicId, size, storage }
+// (private files have a ref instead of a url); requests that are not multipart
+// pass straight through.
+const uploadFiles = (fields) => {
+  const middleware = multer({
+    storage: createStorageEngine(fields),
+    limits: {
+      files: Object.keys(fields).length,
+      fileSize: Math.max(...Object.values(fields).map(type => UPLOAD_TYPES[type].maxSize)) + 1
+    },
+    fileFilter: (req, file, cb) => {
+      const type = UPLOAD_TYPES[fields[file.fieldname]];
+      if (!type) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+      }
+      if (!type.mimeTypes.includes(file.mimetype)) {
+        const error = new Error(`Invalid file type. Only ${type.label} are allowed.`);
+        error.code = 'INVALID_FILE_TYPE';
+        return cb(error, false);
+      }
+      cb(null, true);
+    }
+  }).fields(Object.keys(fields).map(name => ({ name, maxCount: 1 })));
+
+  return (req, res, next) => {
+    middleware(req, res, (error) => {
+      if (error) {
+        return sendUploadError(res, error, fields);
+      }
+      removeFilesOnFailure(req, res);
+      next();
+    });
+  };
+};
+
+// Uploaded file for a field, or null
+const getUploadedFile = (req, field) => (req.files && req.files[field] && req.files[field][0]) || null;
+
+module.exports = {
+  UPLOAD_TYPES,
+  uploadFiles,
+  getUploadedFile
+};
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Reports admin accounts whose stored password is not a bcrypt hash.
+// Legacy plain-text passwords are rehashed automatically on the next successful
+// login; run with --apply to hash the remaining ones in place right away.
+async function migrateAdminPasswords() {
+  const apply = process.argv.includes('--apply');
+
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('Connected to MongoDB');
+
+    const User = require('./models/User');
+
+    const admins = await User.find({ role: 'admin' }).select('name phone email password status');
+    console.log(`Found ${admins.length} admin accounts`);
+
+    const unhashed = admins.filter(admin => !User.isPasswordHashed(admin.password));
+
+    if (unhashed.length === 0) {
+      console.log('All admin passwords are stored as bcrypt hashes.');
+      return;
+    }
+
+    console.log(`\n${unhashed.length} admin account(s) with a non-bcrypt password:`);
+    unhashed.forEach(admin => {
+      console.log(`- ${admin.name} (${admin.phone}${admin.email ? `, ${admin.email}` : ''}) status=${admin.status}`);
+    });
+
+    if (!apply) {
+      console.log('\nNo changes made. Re-run with --apply to hash these passwords now.');
+      return;
+    }
+
+    // The User model hashes passwords set through update queries
+    for (const admin of unhashed) {
+      await User.updateOne({ _id: admin._id }, { $set: { password: admin.password } });
+    }
+
+    const remaining = await User.find({ _id: { $in: unhashed.map(admin => admin._id) } }).select('password');
+    const stillUnhashed = remaining.filter(admin => !User.isPasswordHashed(admin.password));
+
+    console.log(`\nHashed ${unhashed.length - stillUnhashed.length} admin password(s).`);
+    if (stillUnhashed.length > 0) {
+      console.log(`${stillUnhashed.length} password(s) could not be hashed; please check them manually.`);
+    }
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateAdminPasswords();
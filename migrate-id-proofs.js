@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Reports ID proofs still stored as public URLs (uploaded before KYC files
+// became private). Run with --apply to copy each one into private storage and,
+// for Cloudinary uploads, delete the public original.
+async function migrateIdProofs() {
+  const apply = process.argv.includes('--apply');
+
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('Connected to MongoDB');
+
+    const User = require('./models/User');
+    const { uploadFile, parseStorageRef } = require('./utils/storage');
+    const { cloudinary } = require('./utils/cloudinary');
+    const { UPLOAD_TYPES } = require('./middleware/upload');
+
+    const users = await User.find({ idProof: { $regex: '^https?://' } }).select('name phone idProof');
+    console.log(`Found ${users.length} public ID proof(s)`);
+
+    if (users.length === 0) {
+      return;
+    }
+
+    users.forEach(user => console.log(`- ${user.name} (${user.phone}) ${user.idProof}`));
+
+    if (!apply) {
+      console.log('\nNo changes made. Re-run with --apply to move these files to private storage.');
+      return;
+    }
+
+    let moved = 0;
+    for (const user of users) {
+      try {
+        const response = await fetch(user.idProof);
+        if (!response.ok) {
+          throw new Error(`download failed with ${response.status}`);
+        }
+
+        const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim();
+        const result = await uploadFile(Buffer.from(await response.arrayBuffer()), {
+          folder: UPLOAD_TYPES.idProof.folder,
+          mimeType,
+          isPrivate: true
+        });
+        if (!result.success || !parseStorageRef(result.ref)) {
+          throw new Error(result.error || 'upload failed');
+        }
+
+        const publicUrl = user.idProof;
+        await User.updateOne({ _id: user._id }, { $set: { idProof: result.ref, 'uploadedFiles.idProof': result.ref } });
+        moved++;
+
+        // e.g. https://res.cloudinary.com/<cloud>/image/upload/v123/setuworks/id-proofs/abc.jpg
+        const cloudinaryMatch = /res\.cloudinary\.com\/[^/]+\/(image|raw)\/upload\/(?:v\d+\/)?(.+?)(\.\w+)?$/.exec(publicUrl);
+        if (cloudinaryMatch && cloudinary) {
+          await cloudinary.uploader.destroy(cloudinaryMatch[2], { resource_type: cloudinaryMatch[1] });
+        } else {
+          console.log(`  ${user.phone}: moved; remove the public copy at ${publicUrl} manually`);
+        }
+      } catch (error) {
+        console.log(`  ${user.phone}: not moved (${error.message})`);
+      }
+    }
+
+    console.log(`\nMoved ${moved} of ${users.length} ID proof(s) to private storage.`);
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+migrateIdProofs();
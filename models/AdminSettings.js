@@ -1,4 +1,19 @@
+const EventEmitter = require('events');
 const mongoose = require('mongoose');
+const { encryptDocumentPaths, maskPaths } = require('../utils/encryption');
+const { VERIFICATION_LEVELS } = require('../utils/kyc');
+
+// Notifies in-process listeners (such as the settings cache) about writes
+const settingsEvents = new EventEmitter();
+
+// Gateway credentials are encrypted at rest and masked in API responses
+const SECRET_PATHS = [
+  'payment.gatewayConfig.stripe.secretKey',
+  'payment.gatewayConfig.stripe.webhookSecret',
+  'payment.gatewayConfig.paypal.clientSecret',
+  'payment.gatewayConfig.razorpay.keySecret',
+  'payment.gatewayConfig.razorpay.webhookSecret'
+];
 
 const adminSettingsSchema = new mongoose.Schema({
   // General Settings
@@ -41,6 +56,15 @@ const adminSettingsSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Sign-ups still accepted while allowRegistration is off
+    registrationAllowedRoles: [{
+      type: String,
+      enum: ['customer', 'worker', 'independent_worker', 'contractor']
+    }],
+    allowInvitedRegistration: {
+      type: Boolean,
+      default: true
+    },
     requireEmailVerification: {
       type: Boolean,
       default: true
@@ -60,10 +84,11 @@ const adminSettingsSchema = new mongoose.Schema({
       default: 'USD',
       enum: ['USD', 'EUR', 'GBP', 'INR', 'JPY']
     },
+    // Default response language; any language with a message catalog
     language: {
       type: String,
       default: 'en',
-      enum: ['en', 'es', 'fr', 'de', 'zh', 'ja']
+      match: /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/
     }
   },
 
@@ -195,6 +220,13 @@ const adminSettingsSchema = new mongoose.Schema({
     ipWhitelist: {
       type: String,
       default: ''
+    },
+    // Workers below this KYC verification level are hidden from worker
+    // search and cannot be booked
+    minWorkerVerificationLevel: {
+      type: String,
+      enum: VERIFICATION_LEVELS,
+      default: 'none'
     }
   },
 
@@ -254,9 +286,10 @@ const adminSettingsSchema = new mongoose.Schema({
         default: '1000/hour',
         enum: ['100/hour', '1000/hour', '5000/hour', '10000/hour']
       },
+      // Browser origins allowed to call the API, on top of CORS_ORIGINS
       corsOrigins: {
         type: String,
-        default: '*'
+        default: ''
       }
     },
     backupSettings: {
@@ -293,10 +326,35 @@ const adminSettingsSchema = new mongoose.Schema({
     ref: 'User'
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => maskPaths(ret, SECRET_PATHS)
+  }
+});
+
+adminSettingsSchema.pre('save', function() {
+  encryptDocumentPaths(this, SECRET_PATHS);
 });
 
+adminSettingsSchema.post('save', () => settingsEvents.emit('change'));
+adminSettingsSchema.post([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], () => settingsEvents.emit('change'));
+
 // Index for efficient queries
 adminSettingsSchema.index({ lastUpdated: -1 });
 
+// Top-level settings sections that can be versioned, reset and rolled back on their own
+adminSettingsSchema.statics.CATEGORIES = ['general', 'payment', 'notification', 'security', 'system'];
+adminSettingsSchema.statics.SECRET_PATHS = SECRET_PATHS;
+
+// Register a listener called after every write to the settings
+adminSettingsSchema.statics.onChange = (listener) => settingsEvents.on('change', listener);
+
 module.exports = mongoose.model('AdminSettings', adminSettingsSchema);
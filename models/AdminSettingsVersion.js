@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One entry per change to the admin settings document
+const adminSettingsVersionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Full copy of every settings category after the change
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Field-level diff against the previous version
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  action: {
+    type: String,
+    enum: ['baseline', 'update', 'reset', 'rollback', 'import'],
+    required: true
+  },
+  // Category that was changed; null when the whole document was affected
+  category: {
+    type: String,
+    default: null
+  },
+  rolledBackTo: {
+    type: Number,
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  minimize: false
+});
+
+adminSettingsVersionSchema.index({ createdAt: -1 });
+adminSettingsVersionSchema.index({ category: 1, version: -1 });
+
+module.exports = mongoose.model('AdminSettingsVersion', adminSettingsVersionSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Scopes a key can be granted
+const API_KEY_SCOPES = ['bookings:read', 'bookings:write'];
+
+const apiKeySchema = new mongoose.Schema({
+  // Label shown to admins, e.g. the partner's name
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Key material (only the hash is stored; the prefix identifies the key in listings)
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+
+  // Usage
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  // Lifecycle
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Whether the key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Whether the key has every one of the given scopes
+apiKeySchema.methods.hasScopes = function(scopes) {
+  return scopes.every(scope => this.scopes.includes(scope));
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+// Append-only record of privileged actions
+const auditLogSchema = new mongoose.Schema({
+  // Who did it
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  actorAdminRole: {
+    type: String,
+    default: null
+  },
+  // Real admin when the actor was being impersonated
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Partner integration when the request used an API key
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+
+  // What was done, e.g. "user.status.update"
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetId: {
+    type: String,
+    default: null
+  },
+
+  // Before/after values of the changed fields only
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Request details
+  ip: String,
+  userAgent: String,
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  minimize: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries can be written once and never changed or removed
+const rejectChange = function() {
+  throw new Error('Audit log entries are append-only');
+};
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    rejectChange();
+  }
+});
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectChange);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
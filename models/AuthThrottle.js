@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const authThrottleSchema = new mongoose.Schema({
+  // e.g. "login:phone:9876543210" or "login:ip:10.0.0.1"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Entries are purged automatically once this passes
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthThrottle', authThrottleSchema);
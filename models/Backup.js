@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const backupSchema = new mongoose.Schema({
+  // Directory name under every storage location, e.g. "backup-2026-10-19T02-00-00-000Z"
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed', 'pruned'],
+    default: 'running'
+  },
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+
+  // Storage drivers holding a copy
+  locations: [{
+    type: String
+  }],
+
+  // Copy of the manifest entries
+  collections: [{
+    _id: false,
+    name: String,
+    file: String,
+    count: Number,
+    size: Number,
+    sha256: String
+  }],
+  sizeBytes: {
+    type: Number,
+    default: 0
+  },
+  warnings: [{
+    type: String
+  }],
+  error: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  prunedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Only one backup may run at a time, across every server process
+backupSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+backupSchema.index({ createdAt: -1 });
+
+backupSchema.pre('save', function() {
+  this.updatedAt = new Date();
+});
+
+module.exports = mongoose.model('Backup', backupSchema);
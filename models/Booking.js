@@ -91,6 +91,16 @@ const bookingSchema = new mongoose.Schema({
     default: null
   },
   
+  // Commission
+  commissionPercentage: {
+    type: Number,
+    default: 10 // 10% commission
+  },
+  commissionAmount: {
+    type: Number,
+    default: 0
+  },
+  
   // Status tracking
   status: {
     type: String,
@@ -162,6 +172,13 @@ bookingSchema.index({ workerId: 1, status: 1 });
 bookingSchema.index({ contractorId: 1, status: 1 });
 bookingSchema.index({ createdAt: -1 });
 
+// Calculate commission once a completed booking has a budget
+bookingSchema.pre('save', function() {
+  if (this.status === 'completed' && this.budget && !this.commissionAmount) {
+    this.commissionAmount = (this.budget * this.commissionPercentage) / 100;
+  }
+});
+
 // Pre-save validation to ensure contractorId is set for contractor workers
 bookingSchema.pre('save', async function() {
   try {
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const emailVerificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Address the link was sent to; the token is void if the user's email changes
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // Token (only the hash is stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+emailVerificationTokenSchema.index({ user: 1, createdAt: -1 });
+// Expired tokens are purged automatically
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Append-only record of what an admin did while acting as a user
+const impersonationLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: ['start', 'request', 'end'],
+    required: true
+  },
+
+  // Request details
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  reason: String,
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+impersonationLogSchema.index({ admin: 1, createdAt: -1 });
+impersonationLogSchema.index({ user: 1, createdAt: -1 });
+impersonationLogSchema.index({ session: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ImpersonationLog', impersonationLogSchema);
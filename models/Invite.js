@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  // Invite code (only the hash is stored)
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  // Who may use it: the role is fixed, phone and email optionally pin it to one person
+  role: {
+    type: String,
+    enum: ['customer', 'worker', 'independent_worker', 'contractor'],
+    required: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Lifecycle
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Whether the invite can still be used
+inviteSchema.methods.isActive = function() {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -113,15 +113,13 @@ const jobSchema = new mongoose.Schema({
 });
 
 // Update timestamp on save
-jobSchema.pre('save', function(next) {
+jobSchema.pre('save', function() {
   this.updatedAt = Date.now();
   
   // Calculate commission if final price is set
   if (this.finalPrice && !this.commissionAmount) {
     this.commissionAmount = (this.finalPrice * this.commissionPercentage) / 100;
   }
-  
-  next();
 });
 
 module.exports = mongoose.model('Job', jobSchema);
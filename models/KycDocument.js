@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { encryptDocumentPaths, maskPaths } = require('../utils/encryption');
+const { DOCUMENT_TYPES } = require('../utils/kyc');
+
+// Encrypted at rest and masked in API responses
+const ENCRYPTED_PATHS = ['number'];
+
+const kycDocumentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(DOCUMENT_TYPES),
+    required: true
+  },
+  // Document number, normalized (see utils/kyc.js)
+  number: {
+    type: String,
+    required: true
+  },
+  // Private file reference ("<driver>:private/..."), viewed through a signed URL
+  file: {
+    type: String,
+    required: true
+  },
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // pending -> approved or rejected; approved documents become expired once
+  // past expiresAt, or superseded when a newer one of the same type is approved
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired', 'superseded'],
+    default: 'pending'
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => maskPaths(ret, ENCRYPTED_PATHS)
+  }
+});
+
+// Review queue, oldest first
+kycDocumentSchema.index({ status: 1, createdAt: 1 });
+kycDocumentSchema.index({ user: 1, type: 1 });
+kycDocumentSchema.index({ status: 1, expiresAt: 1 });
+
+kycDocumentSchema.pre('save', function() {
+  encryptDocumentPaths(this, ENCRYPTED_PATHS);
+  this.updatedAt = new Date();
+});
+
+module.exports = mongoose.model('KycDocument', kycDocumentSchema);
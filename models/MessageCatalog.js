@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Languages added by admins, or admin overrides for a built-in language.
+// Codes missing from `messages` fall back to the built-in catalog, then English.
+const messageCatalogSchema = new mongoose.Schema({
+  // BCP 47 language tag, e.g. "hi", "mr" or "pt-BR"
+  language: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Name shown in language pickers, e.g. "मराठी"
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Message code -> text, with {placeholders} as in the English catalog
+  messages: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageCatalogSchema.pre('save', function() {
+  this.updatedAt = new Date();
+});
+
+module.exports = mongoose.model('MessageCatalog', messageCatalogSchema);
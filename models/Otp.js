@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const otpSchema = new mongoose.Schema({
+  // Who the code was sent to
+  identifier: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'email'],
+    default: 'sms'
+  },
+  purpose: {
+    type: String,
+    enum: ['register', 'login', 'password_reset'],
+    required: true
+  },
+
+  // Code details (only the hash is stored)
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // Resend throttling
+  sendCount: {
+    type: Number,
+    default: 1
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Verification result, exchanged once for registration or login
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+  verificationTokenHash: {
+    type: String,
+    default: null
+  },
+  verificationExpiresAt: {
+    type: Date,
+    default: null
+  },
+  consumedAt: {
+    type: Date,
+    default: null
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient querying
+otpSchema.index({ identifier: 1, purpose: 1, createdAt: -1 });
+otpSchema.index({ verificationTokenHash: 1 }, { sparse: true });
+// Old OTP records are purged automatically after a day
+otpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Otp', otpSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  // Bucket, client and window start, e.g. "api:user:64f0...:1718000000000"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    required: true
+  },
+
+  // Counters are purged automatically once their window has passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Refresh token (only the hash is stored; rotated on every refresh)
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousRefreshTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+
+  // Set when an admin is acting as this user; the session cannot be refreshed
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  impersonationReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Device details
+  userAgent: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  ip: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // Lifecycle
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+
+  // System fields
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for efficient querying
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are purged automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
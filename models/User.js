@@ -1,5 +1,16 @@
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { encrypt, encryptDocumentPaths, maskPaths } = require('../utils/encryption');
+const { VERIFICATION_LEVELS } = require('../utils/kyc');
+
+const BCRYPT_ROUNDS = 10;
+
+// Encrypted at rest and masked in API responses
+const ENCRYPTED_PATHS = ['bankDetails.accountNumber'];
+
+// Whether a stored password is already a bcrypt hash
+const isBcryptHash = (value) => typeof value === 'string' && /^\$2[aby]\$\d{2}\$.{53}$/.test(value);
 
 const userSchema = new mongoose.Schema({
   // Basic info
@@ -20,6 +31,10 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   password: {
     type: String,
     required: true
@@ -31,11 +46,24 @@ const userSchema = new mongoose.Schema({
     enum: ['customer', 'worker', 'independent_worker', 'contractor', 'admin'],
     required: true
   },
+  // Sub-admin role for admins; unset means super admin (see utils/permissions.js)
+  adminRole: {
+    type: String,
+    enum: ['super_admin', 'support_agent', 'finance_officer', 'kyc_reviewer'],
+    default: null
+  },
   status: {
     type: String,
     enum: ['pending', 'approved', 'blocked'],
     default: 'pending'
   },
+  // Set from approved KYC documents (see utils/kyc.js); used to filter
+  // worker search and bookings
+  verificationLevel: {
+    type: String,
+    enum: VERIFICATION_LEVELS,
+    default: 'none'
+  },
   
   // Unique IDs (generated after approval)
   contractorId: {
@@ -90,10 +118,20 @@ const userSchema = new mongoose.Schema({
   }],
   
   // Independent worker specific
+  // Private file reference ("<driver>:private/..."), viewed through
+  // GET /api/kyc/users/:userId/id-proof. Older accounts may hold a public URL.
   idProof: {
-    type: String, // URL to uploaded document
+    type: String,
     trim: true
   },
+
+  // Files this user uploaded (the URL or reference saved at the time). A
+  // replaced profilePicture or idProof is only deleted when it matches, so a
+  // URL copied from someone else is never removed.
+  uploadedFiles: {
+    profilePicture: { type: String, default: null },
+    idProof: { type: String, default: null }
+  },
   
   // Financial
   bankDetails: {
@@ -157,6 +195,43 @@ const userSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Time zone for dates shown to this user (IANA name); null uses general.timezone
+  timezone: {
+    type: String,
+    default: null
+  },
+
+  // Preferred language for API messages; null uses Accept-Language or general.language
+  language: {
+    type: String,
+    default: null
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String], // SHA-256 hashes of unused recovery codes
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+
   // Bookings array for storing customer booking history
   bookings: [{
     type: mongoose.Schema.Types.ObjectId,
@@ -172,13 +247,75 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   }
+}, {
+  toJSON: {
+    transform: (doc, ret) => maskPaths(ret, ENCRYPTED_PATHS)
+  }
+});
+
+// Hash the password whenever it is set through save()
+userSchema.pre('save', async function() {
+  if (!this.isModified('password')) {
+    return;
+  }
+  this.password = await bcrypt.hash(this.password, BCRYPT_ROUNDS);
+});
+
+// Encrypt bank account numbers whenever they are set through save()
+userSchema.pre('save', function() {
+  encryptDocumentPaths(this, ENCRYPTED_PATHS);
+});
+
+// Hash the password and encrypt bank account numbers set through an update query
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function() {
+  const update = this.getUpdate();
+  if (!update) {
+    return;
+  }
+
+  const target = update.$set && update.$set.password !== undefined ? update.$set : update;
+  if (target.password !== undefined && target.password !== null) {
+    target.password = await bcrypt.hash(String(target.password), BCRYPT_ROUNDS);
+  }
+
+  // Account numbers may be set as a dotted path or inside bankDetails
+  [update, update.$set].filter(Boolean).forEach(values => {
+    if (values['bankDetails.accountNumber']) {
+      values['bankDetails.accountNumber'] = encrypt(values['bankDetails.accountNumber']);
+    }
+    if (values.bankDetails && values.bankDetails.accountNumber) {
+      values.bankDetails.accountNumber = encrypt(values.bankDetails.accountNumber);
+    }
+  });
 });
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
-  return bcrypt.compare(candidatePassword, this.password);
+  if (!this.password || typeof candidatePassword !== 'string') {
+    return false;
+  }
+
+  if (isBcryptHash(this.password)) {
+    return bcrypt.compare(candidatePassword, this.password);
+  }
+
+  // Legacy plain-text password: compare in constant time and upgrade it to a hash on success
+  const stored = Buffer.from(this.password);
+  const candidate = Buffer.from(candidatePassword);
+  const isMatch = stored.length === candidate.length && crypto.timingSafeEqual(stored, candidate);
+
+  if (isMatch) {
+    await this.constructor.updateOne({ _id: this._id }, { $set: { password: candidatePassword } });
+    console.log(`Upgraded legacy plain-text password to bcrypt for user ${this._id}`);
+  }
+
+  return isMatch;
 };
 
+// Expose the hash check for maintenance scripts
+userSchema.statics.isPasswordHashed = isBcryptHash;
+userSchema.statics.ENCRYPTED_PATHS = ENCRYPTED_PATHS;
+
 // Generate unique ID based on role
 userSchema.methods.generateUniqueId = async function() {
   const User = mongoose.model('User');
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Restores collections from a backup made by BackupService.
+//   node restore-backup.js <backup-name> [--only=users,bookings] [--from=local] [--apply]
+// Without --apply the backup is only verified. With --apply the selected
+// collections are replaced, after the whole backup has passed verification.
+async function restoreBackup() {
+  const args = process.argv.slice(2);
+  const name = args.find(arg => !arg.startsWith('--'));
+  const option = (key) => {
+    const arg = args.find(entry => entry.startsWith(`--${key}=`));
+    return arg ? arg.slice(key.length + 3) : null;
+  };
+  const apply = args.includes('--apply');
+  const only = option('only');
+  const collections = only ? only.split(',').map(entry => entry.trim()).filter(Boolean) : null;
+  const location = option('from') || 'local';
+
+  if (!name) {
+    console.log('Usage: node restore-backup.js <backup-name> [--only=users,bookings] [--from=local] [--apply]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('Connected to MongoDB');
+
+    const BackupService = require('./services/backupService');
+
+    const verification = await BackupService.verifyBackup(name, { location, collections });
+    if (!verification.success) {
+      console.error(`${verification.message}${verification.error ? `: ${verification.error}` : ''}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`Backup ${verification.data.name} (${verification.data.createdAt})`);
+    verification.data.collections.forEach(collection => {
+      const status = collection.invalid === 0 ? 'ok' : `${collection.invalid} problem(s)`;
+      console.log(`  ${collection.name}: ${collection.count} document(s), ${status}`);
+      collection.errors.forEach(error => console.log(`    - ${error}`));
+    });
+
+    if (!verification.data.valid) {
+      console.error('\nBackup failed validation. Nothing was restored.');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!apply) {
+      console.log('\nBackup is valid. No changes made. Re-run with --apply to replace these collections.');
+      return;
+    }
+
+    const result = await BackupService.restoreBackup(name, { location, collections });
+    if (!result.success) {
+      console.error(`${result.message}${result.error ? `: ${result.error}` : ''}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    result.data.restored.forEach(collection => console.log(`Restored ${collection.name}: ${collection.count} document(s)`));
+    console.log('\nRestore complete.');
+  } catch (error) {
+    console.error('Error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+restoreBackup();
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Re-encrypts encrypted fields with the current key (the first entry in
+// FIELD_ENCRYPTION_KEYS) and encrypts values still stored as plain text.
+// Keep the old key listed until this has been run with --apply.
+async function rotateEncryptionKeys() {
+  const apply = process.argv.includes('--apply');
+
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('Connected to MongoDB');
+
+    const { encrypt, decrypt, needsRotation } = require('./utils/encryption');
+    const User = require('./models/User');
+    const AdminSettings = require('./models/AdminSettings');
+    const AdminSettingsVersion = require('./models/AdminSettingsVersion');
+
+    const reencrypt = (value) => encrypt(decrypt(value));
+    const getPath = (object, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+    let pending = 0;
+
+    // Bank account numbers
+    const users = await User.find({ 'bankDetails.accountNumber': { $nin: [null, ''] } }).select('bankDetails.accountNumber').lean();
+    const staleUsers = users.filter(user => needsRotation(user.bankDetails.accountNumber));
+    console.log(`Users: ${staleUsers.length} of ${users.length} bank account number(s) need re-encryption`);
+    pending += staleUsers.length;
+
+    // Gateway secrets in the live settings and in the stored versions
+    const settingsDocs = await AdminSettings.find().lean();
+    const versions = await AdminSettingsVersion.find().select('settings').lean();
+
+    const staleSecrets = (object, prefix = '') => AdminSettings.SECRET_PATHS
+      .filter(path => needsRotation(getPath(object, path)))
+      .map(path => ({ path: `${prefix}${path}`, value: getPath(object, path) }));
+
+    const staleSettings = settingsDocs.map(doc => ({ _id: doc._id, fields: staleSecrets(doc) })).filter(doc => doc.fields.length > 0);
+    const staleVersions = versions.map(doc => ({ _id: doc._id, fields: staleSecrets(doc.settings, 'settings.') })).filter(doc => doc.fields.length > 0);
+    console.log(`Admin settings: ${staleSettings.length} document(s) with secrets to re-encrypt`);
+    console.log(`Settings versions: ${staleVersions.length} version(s) with secrets to re-encrypt`);
+    pending += staleSettings.length + staleVersions.length;
+
+    if (pending === 0) {
+      console.log('\nEverything is encrypted with the current key.');
+      return;
+    }
+
+    if (!apply) {
+      console.log('\nNo changes made. Re-run with --apply to re-encrypt these values now.');
+      return;
+    }
+
+    for (const user of staleUsers) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { 'bankDetails.accountNumber': reencrypt(user.bankDetails.accountNumber) } }
+      );
+    }
+
+    const updateSecrets = async (Model, docs) => {
+      for (const doc of docs) {
+        const update = doc.fields.reduce((result, field) => {
+          result[field.path] = reencrypt(field.value);
+          return result;
+        }, {});
+        await Model.collection.updateOne({ _id: doc._id }, { $set: update });
+      }
+    };
+    await updateSecrets(AdminSettings, staleSettings);
+    await updateSecrets(AdminSettingsVersion, staleVersions);
+
+    console.log(`\nRe-encrypted ${staleUsers.length} user(s), ${staleSettings.length} settings document(s) and ${staleVersions.length} version(s).`);
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+rotateEncryptionKeys();
@@ -1,42 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const AdminSettings = require('../models/AdminSettings');
-const { protect } = require('../middleware/auth');
-const multer = require('multer');
-
-// Optional Cloudinary configuration
-let cloudinary = null;
-try {
-  cloudinary = require('cloudinary').v2;
-  if (process.env.CLOUDINARY_CLOUD_NAME) {
-    cloudinary.config({
-      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-      api_key: process.env.CLOUDINARY_API_KEY,
-      api_secret: process.env.CLOUDINARY_API_SECRET
-    });
-  }
-} catch (error) {
-  console.warn('Cloudinary not available, using local file storage');
-}
-
-// Configure Multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml'];
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG, GIF, WebP, and SVG are allowed.'), false);
-    }
-  }
-});
+const { protect, requirePermission } = require('../middleware/auth');
+const ApiKeyService = require('../services/apiKeyService');
+const InviteService = require('../services/inviteService');
+const AuditService = require('../services/auditService');
+const AdminSettingsService = require('../services/adminSettingsService');
+const SettingsVersionService = require('../services/settingsVersionService');
+const I18nService = require('../services/i18nService');
+const { withoutMaskedValues } = require('../utils/encryption');
+const { findIpLockout } = require('../utils/allowlist');
+const { hasPermissions } = require('../utils/permissions');
+const { uploadFiles, getUploadedFile } = require('../middleware/upload');
 
 // Get all admin settings
-router.get('/', protect, async (req, res) => {
+router.get('/', protect, requirePermission('settings:read'), async (req, res) => {
   try {
     let settings = await AdminSettings.findOne();
     
@@ -54,14 +32,270 @@ router.get('/', protect, async (req, res) => {
     console.error('Error fetching admin settings:', error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_FETCH_ADMIN_SETTINGS',
       message: 'Failed to fetch admin settings',
       error: error.message
     });
   }
 });
 
+// List API keys (registered before /:category so it is not shadowed)
+router.get('/api-keys', protect, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const result = await ApiKeyService.listKeys();
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_FETCH_API_KEYS',
+      message: 'Failed to fetch API keys',
+      error: error.message
+    });
+  }
+});
+
+// List registration invites (optional ?status=active|used|revoked)
+router.get('/invites', protect, requirePermission('invites:manage'), async (req, res) => {
+  try {
+    const result = await InviteService.listInvites({ status: req.query.status });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_FETCH_INVITES',
+      message: 'Failed to fetch invites',
+      error: error.message
+    });
+  }
+});
+
+// List message catalog languages with their translation coverage and the English messages
+router.get('/languages', protect, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const result = await I18nService.listLanguages();
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error fetching languages:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_FETCH_LANGUAGES',
+      message: 'Failed to fetch languages',
+      error: error.message
+    });
+  }
+});
+
+// List settings versions, newest first (optional ?category=&page=&limit=)
+router.get('/versions', protect, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const result = await SettingsVersionService.listVersions(req.query);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error fetching settings versions:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_FETCH_SETTINGS_VERSIONS',
+      message: 'Failed to fetch settings versions',
+      error: error.message
+    });
+  }
+});
+
+// Compare two versions (?from=3&to=5); without `to` the version is compared to the current settings
+router.get('/versions/compare', protect, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const result = await SettingsVersionService.compareVersions(req.query.from, req.query.to);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error comparing settings versions:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_COMPARE_SETTINGS_VERSIONS',
+      message: 'Failed to compare settings versions',
+      error: error.message
+    });
+  }
+});
+
+// Export settings (registered before /:category so it is not shadowed)
+router.get('/export', protect, requirePermission('settings:read'), async (req, res) => {
+  try {
+    const settings = await AdminSettings.findOne();
+    
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        code: 'NO_SETTINGS_FOUND_TO_EXPORT',
+        message: 'No settings found to export'
+      });
+    }
+    
+    // Create export data (excluding sensitive information)
+    const exportData = {
+      general: {
+        siteName: settings.general.siteName,
+        siteEmail: settings.general.siteEmail,
+        customerCareNumber: settings.general.customerCareNumber,
+        customerCareEmail: settings.general.customerCareEmail,
+        developerName: settings.general.developerName,
+        developerContact: settings.general.developerContact,
+        maintenanceMode: settings.general.maintenanceMode,
+        allowRegistration: settings.general.allowRegistration,
+        registrationAllowedRoles: settings.general.registrationAllowedRoles,
+        allowInvitedRegistration: settings.general.allowInvitedRegistration,
+        requireEmailVerification: settings.general.requireEmailVerification,
+        timezone: settings.general.timezone,
+        dateFormat: settings.general.dateFormat,
+        currency: settings.general.currency,
+        language: settings.general.language
+      },
+      payment: {
+        commissionRate: settings.payment.commissionRate,
+        minWithdrawalAmount: settings.payment.minWithdrawalAmount,
+        paymentGateway: settings.payment.paymentGateway,
+        autoPayoutEnabled: settings.payment.autoPayoutEnabled
+      },
+      notification: settings.notification,
+      security: {
+        sessionTimeout: settings.security.sessionTimeout,
+        maxLoginAttempts: settings.security.maxLoginAttempts,
+        passwordMinLength: settings.security.passwordMinLength,
+        twoFactorAuth: settings.security.twoFactorAuth
+      },
+      system: {
+        socialLinks: settings.system.socialLinks,
+        legalInfo: settings.system.legalInfo,
+        apiSettings: {
+          enableApi: settings.system.apiSettings.enableApi,
+          rateLimit: settings.system.apiSettings.rateLimit,
+          corsOrigins: settings.system.apiSettings.corsOrigins
+        },
+        backupSettings: settings.system.backupSettings
+      },
+      exportedAt: new Date().toISOString(),
+      exportedBy: req.user.id
+    };
+    
+    res.json({
+      success: true,
+      code: 'SETTINGS_EXPORTED_SUCCESSFULLY',
+      message: 'Settings exported successfully',
+      data: exportData
+    });
+  } catch (error) {
+    console.error('Error exporting settings:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_EXPORT_SETTINGS',
+      message: 'Failed to export settings',
+      error: error.message
+    });
+  }
+});
+
+// Reveal the decrypted payment gateway credentials
+router.get('/payment/secrets', protect, requirePermission('secrets:reveal'), async (req, res) => {
+  try {
+    const result = await AdminSettingsService.getGatewaySecrets();
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'settings.secrets.reveal',
+      targetType: 'AdminSettings',
+      targetId: result.data.settingsId
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: result.data.gatewayConfig
+    });
+  } catch (error) {
+    console.error('Error revealing gateway secrets:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_REVEAL_GATEWAY_SECRETS',
+      message: 'Failed to reveal gateway secrets',
+      error: error.message
+    });
+  }
+});
+
 // Get specific category of settings
-router.get('/:category', protect, async (req, res) => {
+router.get('/:category', protect, requirePermission('settings:read'), async (req, res) => {
   try {
     const { category } = req.params;
     let settings = await AdminSettings.findOne();
@@ -71,7 +305,7 @@ router.get('/:category', protect, async (req, res) => {
       await settings.save();
     }
     
-    const categoryData = settings[category] || {};
+    const categoryData = settings.toJSON()[category] || {};
     
     res.json({
       success: true,
@@ -81,6 +315,7 @@ router.get('/:category', protect, async (req, res) => {
     console.error(`Error fetching ${category} settings:`, error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_FETCH_CATEGORY_SETTINGS',
       message: `Failed to fetch ${category} settings`,
       error: error.message
     });
@@ -88,14 +323,32 @@ router.get('/:category', protect, async (req, res) => {
 });
 
 // Update general settings
-router.put('/general', protect, async (req, res) => {
+router.put('/general', protect, requirePermission('settings:write'), async (req, res) => {
   try {
-    const { siteName, siteEmail, customerCareNumber, customerCareEmail, developerName, developerContact, maintenanceMode, allowRegistration, requireEmailVerification, timezone, dateFormat, currency, language, siteLogo } = req.body;
+    const { siteName, siteEmail, customerCareNumber, customerCareEmail, developerName, developerContact, maintenanceMode, allowRegistration, registrationAllowedRoles, allowInvitedRegistration, requireEmailVerification, timezone, dateFormat, currency, language, siteLogo } = req.body;
+
+    const validation = AdminSettingsService.validateSettings('general', { siteName, siteEmail, customerCareNumber });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.errors.join(', ')
+      });
+    }
+
+    // The default language must have a message catalog
+    if (language !== undefined && !(await I18nService.isAvailable(language))) {
+      return res.status(400).json({
+        success: false,
+        code: 'LANGUAGE_NOT_AVAILABLE',
+        message: `Language "${language}" is not available`
+      });
+    }
     
     let settings = await AdminSettings.findOne();
     if (!settings) {
       settings = new AdminSettings();
     }
+    const previous = SettingsVersionService.snapshot(settings);
     
     // Update general settings
     if (siteName !== undefined) settings.general.siteName = siteName;
@@ -106,6 +359,8 @@ router.put('/general', protect, async (req, res) => {
     if (developerContact !== undefined) settings.general.developerContact = developerContact;
     if (maintenanceMode !== undefined) settings.general.maintenanceMode = maintenanceMode;
     if (allowRegistration !== undefined) settings.general.allowRegistration = allowRegistration;
+    if (registrationAllowedRoles !== undefined) settings.general.registrationAllowedRoles = registrationAllowedRoles;
+    if (allowInvitedRegistration !== undefined) settings.general.allowInvitedRegistration = allowInvitedRegistration;
     if (requireEmailVerification !== undefined) settings.general.requireEmailVerification = requireEmailVerification;
     if (timezone !== undefined) settings.general.timezone = timezone;
     if (dateFormat !== undefined) settings.general.dateFormat = dateFormat;
@@ -117,9 +372,19 @@ router.put('/general', protect, async (req, res) => {
     settings.updatedBy = req.user.id;
     
     await settings.save();
+    await SettingsVersionService.recordChange(previous, settings, { category: 'general', changedBy: req.user.id });
+
+    await AuditService.record(req, {
+      action: 'settings.general.update',
+      targetType: 'AdminSettings',
+      targetId: settings._id,
+      before: { general: previous.general },
+      after: { general: settings.general }
+    });
     
     res.json({
       success: true,
+      code: 'GENERAL_SETTINGS_UPDATED_SUCCESSFULLY',
       message: 'General settings updated successfully',
       data: settings.general
     });
@@ -127,6 +392,7 @@ router.put('/general', protect, async (req, res) => {
     console.error('Error updating general settings:', error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_UPDATE_GENERAL_SETTINGS',
       message: 'Failed to update general settings',
       error: error.message
     });
@@ -134,14 +400,24 @@ router.put('/general', protect, async (req, res) => {
 });
 
 // Update payment settings
-router.put('/payment', protect, async (req, res) => {
+router.put('/payment', protect, requirePermission('settings:write'), async (req, res) => {
   try {
     const { commissionRate, minWithdrawalAmount, paymentGateway, autoPayoutEnabled, gatewayConfig } = req.body;
+
+    // Payout rules also need wallet:payout
+    if ((minWithdrawalAmount !== undefined || autoPayoutEnabled !== undefined) && !hasPermissions(req.user, ['wallet:payout'])) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_REQUIRED',
+        message: 'Access denied. Requires permission: wallet:payout'
+      });
+    }
     
     let settings = await AdminSettings.findOne();
     if (!settings) {
       settings = new AdminSettings();
     }
+    const previous = SettingsVersionService.snapshot(settings);
     
     // Update payment settings
     if (commissionRate !== undefined) settings.payment.commissionRate = commissionRate;
@@ -149,16 +425,16 @@ router.put('/payment', protect, async (req, res) => {
     if (paymentGateway !== undefined) settings.payment.paymentGateway = paymentGateway;
     if (autoPayoutEnabled !== undefined) settings.payment.autoPayoutEnabled = autoPayoutEnabled;
     
-    // Update gateway configuration
+    // Update gateway configuration (masked secrets echoed back by the client are ignored)
     if (gatewayConfig) {
       if (gatewayConfig.stripe) {
-        Object.assign(settings.payment.gatewayConfig.stripe, gatewayConfig.stripe);
+        Object.assign(settings.payment.gatewayConfig.stripe, withoutMaskedValues(gatewayConfig.stripe));
       }
       if (gatewayConfig.paypal) {
-        Object.assign(settings.payment.gatewayConfig.paypal, gatewayConfig.paypal);
+        Object.assign(settings.payment.gatewayConfig.paypal, withoutMaskedValues(gatewayConfig.paypal));
       }
       if (gatewayConfig.razorpay) {
-        Object.assign(settings.payment.gatewayConfig.razorpay, gatewayConfig.razorpay);
+        Object.assign(settings.payment.gatewayConfig.razorpay, withoutMaskedValues(gatewayConfig.razorpay));
       }
     }
     
@@ -166,16 +442,75 @@ router.put('/payment', protect, async (req, res) => {
     settings.updatedBy = req.user.id;
     
     await settings.save();
+    await SettingsVersionService.recordChange(previous, settings, { category: 'payment', changedBy: req.user.id });
+
+    await AuditService.record(req, {
+      action: 'settings.payment.update',
+      targetType: 'AdminSettings',
+      targetId: settings._id,
+      before: { payment: previous.payment },
+      after: { payment: settings.payment }
+    });
     
     res.json({
       success: true,
+      code: 'PAYMENT_SETTINGS_UPDATED_SUCCESSFULLY',
       message: 'Payment settings updated successfully',
-      data: settings.payment
+      data: settings.toJSON().payment
     });
   } catch (error) {
     console.error('Error updating payment settings:', error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_UPDATE_PAYMENT_SETTINGS',
+      message: 'Failed to update payment settings',
+      error: error.message
+    });
+  }
+});
+
+// Update wallet payout rules
+router.put('/payment/payout', protect, requirePermission('wallet:payout'), async (req, res) => {
+  try {
+    const { minWithdrawalAmount, autoPayoutEnabled } = req.body;
+
+    let settings = await AdminSettings.findOne();
+    if (!settings) {
+      settings = new AdminSettings();
+    }
+    const previous = SettingsVersionService.snapshot(settings);
+
+    if (minWithdrawalAmount !== undefined) settings.payment.minWithdrawalAmount = minWithdrawalAmount;
+    if (autoPayoutEnabled !== undefined) settings.payment.autoPayoutEnabled = autoPayoutEnabled;
+
+    settings.lastUpdated = new Date();
+    settings.updatedBy = req.user.id;
+
+    await settings.save();
+    await SettingsVersionService.recordChange(previous, settings, { category: 'payment', changedBy: req.user.id });
+
+    await AuditService.record(req, {
+      action: 'settings.payout.update',
+      targetType: 'AdminSettings',
+      targetId: settings._id,
+      before: { minWithdrawalAmount: previous.payment.minWithdrawalAmount, autoPayoutEnabled: previous.payment.autoPayoutEnabled },
+      after: { minWithdrawalAmount: settings.payment.minWithdrawalAmount, autoPayoutEnabled: settings.payment.autoPayoutEnabled }
+    });
+
+    res.json({
+      success: true,
+      code: 'PAYMENT_SETTINGS_UPDATED_SUCCESSFULLY',
+      message: 'Payment settings updated successfully',
+      data: {
+        minWithdrawalAmount: settings.payment.minWithdrawalAmount,
+        autoPayoutEnabled: settings.payment.autoPayoutEnabled
+      }
+    });
+  } catch (error) {
+    console.error('Error updating payout settings:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_UPDATE_PAYMENT_SETTINGS',
       message: 'Failed to update payment settings',
       error: error.message
     });
@@ -183,7 +518,7 @@ router.put('/payment', protect, async (req, res) => {
 });
 
 // Update notification settings
-router.put('/notification', protect, async (req, res) => {
+router.put('/notification', protect, requirePermission('settings:write'), async (req, res) => {
   try {
     const { emailNotifications, smsNotifications, pushNotifications, bookingReminders, paymentAlerts } = req.body;
     
@@ -191,6 +526,7 @@ router.put('/notification', protect, async (req, res) => {
     if (!settings) {
       settings = new AdminSettings();
     }
+    const previous = SettingsVersionService.snapshot(settings);
     
     // Update notification settings
     if (emailNotifications !== undefined) settings.notification.emailNotifications = emailNotifications;
@@ -203,9 +539,19 @@ router.put('/notification', protect, async (req, res) => {
     settings.updatedBy = req.user.id;
     
     await settings.save();
+    await SettingsVersionService.recordChange(previous, settings, { category: 'notification', changedBy: req.user.id });
+
+    await AuditService.record(req, {
+      action: 'settings.notification.update',
+      targetType: 'AdminSettings',
+      targetId: settings._id,
+      before: { notification: previous.notification },
+      after: { notification: settings.notification }
+    });
     
     res.json({
       success: true,
+      code: 'NOTIFICATION_SETTINGS_UPDATED_SUCCESSFULLY',
       message: 'Notification settings updated successfully',
       data: settings.notification
     });
@@ -213,6 +559,7 @@ router.put('/notification', protect, async (req, res) => {
     console.error('Error updating notification settings:', error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_UPDATE_NOTIFICATION_SETTINGS',
       message: 'Failed to update notification settings',
       error: error.message
     });
@@ -220,14 +567,32 @@ router.put('/notification', protect, async (req, res) => {
 });
 
 // Update security settings
-router.put('/security', protect, async (req, res) => {
+router.put('/security', protect, requirePermission('settings:write'), async (req, res) => {
   try {
-    const { sessionTimeout, maxLoginAttempts, passwordMinLength, twoFactorAuth, ipWhitelist } = req.body;
+    const { sessionTimeout, maxLoginAttempts, passwordMinLength, twoFactorAuth, ipWhitelist, minWorkerVerificationLevel } = req.body;
+
+    const validation = AdminSettingsService.validateSettings('security', { ipWhitelist, minWorkerVerificationLevel });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.errors.join(', ')
+      });
+    }
+
+    // Do not let an admin save a whitelist that shuts out their own connection
+    const lockout = ipWhitelist ? findIpLockout(ipWhitelist, req.ip) : null;
+    if (lockout) {
+      return res.status(400).json({
+        success: false,
+        message: lockout
+      });
+    }
     
     let settings = await AdminSettings.findOne();
     if (!settings) {
       settings = new AdminSettings();
     }
+    const previous = SettingsVersionService.snapshot(settings);
     
     // Update security settings
     if (sessionTimeout !== undefined) settings.security.sessionTimeout = sessionTimeout;
@@ -235,14 +600,25 @@ router.put('/security', protect, async (req, res) => {
     if (passwordMinLength !== undefined) settings.security.passwordMinLength = passwordMinLength;
     if (twoFactorAuth !== undefined) settings.security.twoFactorAuth = twoFactorAuth;
     if (ipWhitelist !== undefined) settings.security.ipWhitelist = ipWhitelist;
+    if (minWorkerVerificationLevel !== undefined) settings.security.minWorkerVerificationLevel = minWorkerVerificationLevel;
     
     settings.lastUpdated = new Date();
     settings.updatedBy = req.user.id;
     
     await settings.save();
+    await SettingsVersionService.recordChange(previous, settings, { category: 'security', changedBy: req.user.id });
+
+    await AuditService.record(req, {
+      action: 'settings.security.update',
+      targetType: 'AdminSettings',
+      targetId: settings._id,
+      before: { security: previous.security },
+      after: { security: settings.security }
+    });
     
     res.json({
       success: true,
+      code: 'SECURITY_SETTINGS_UPDATED_SUCCESSFULLY',
       message: 'Security settings updated successfully',
       data: settings.security
     });
@@ -250,6 +626,7 @@ router.put('/security', protect, async (req, res) => {
     console.error('Error updating security settings:', error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_UPDATE_SECURITY_SETTINGS',
       message: 'Failed to update security settings',
       error: error.message
     });
@@ -257,14 +634,23 @@ router.put('/security', protect, async (req, res) => {
 });
 
 // Update system settings
-router.put('/system', protect, async (req, res) => {
+router.put('/system', protect, requirePermission('settings:write'), async (req, res) => {
   try {
     const { socialLinks, legalInfo, apiSettings, backupSettings } = req.body;
+
+    const validation = AdminSettingsService.validateSettings('system', { apiSettings });
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.errors.join(', ')
+      });
+    }
     
     let settings = await AdminSettings.findOne();
     if (!settings) {
       settings = new AdminSettings();
     }
+    const previous = SettingsVersionService.snapshot(settings);
     
     // Update system settings
     if (socialLinks) {
@@ -284,9 +670,19 @@ router.put('/system', protect, async (req, res) => {
     settings.updatedBy = req.user.id;
     
     await settings.save();
+    await SettingsVersionService.recordChange(previous, settings, { category: 'system', changedBy: req.user.id });
+
+    await AuditService.record(req, {
+      action: 'settings.system.update',
+      targetType: 'AdminSettings',
+      targetId: settings._id,
+      before: { system: previous.system },
+      after: { system: settings.system }
+    });
     
     res.json({
       success: true,
+      code: 'SYSTEM_SETTINGS_UPDATED_SUCCESSFULLY',
       message: 'System settings updated successfully',
       data: settings.system
     });
@@ -294,6 +690,7 @@ router.put('/system', protect, async (req, res) => {
     console.error('Error updating system settings:', error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_UPDATE_SYSTEM_SETTINGS',
       message: 'Failed to update system settings',
       error: error.message
     });
@@ -301,41 +698,19 @@ router.put('/system', protect, async (req, res) => {
 });
 
 // Upload site logo
-router.post('/upload-logo', protect, upload.single('logo'), async (req, res) => {
+router.post('/upload-logo', protect, requirePermission('settings:write'), uploadFiles({ logo: 'logo' }), async (req, res) => {
   try {
-    if (!req.file) {
+    // Streamed to the configured storage driver by the upload middleware
+    const file = getUploadedFile(req, 'logo');
+    if (!file) {
       return res.status(400).json({
         success: false,
+        code: 'NO_FILE_UPLOADED',
         message: 'No file uploaded'
       });
     }
-    
-    if (!cloudinary) {
-      return res.status(500).json({
-        success: false,
-        message: 'Cloud storage not configured'
-      });
-    }
-    
-    // Upload to Cloudinary
-    const result = await new Promise((resolve, reject) => {
-      cloudinary.uploader.upload_stream(
-        {
-          resource_type: 'image',
-          folder: 'site-logos',
-          public_id: `site-logo-${Date.now()}`
-        },
-        (error, result) => {
-          if (error) {
-            reject(error);
-          } else {
-            resolve(result);
-          }
-        }
-      ).end(req.file.buffer);
-    });
-    
-    const logoUrl = result.secure_url;
+
+    const logoUrl = file.url;
     
     // Update settings with new logo URL
     let settings = await AdminSettings.findOne();
@@ -343,163 +718,437 @@ router.post('/upload-logo', protect, upload.single('logo'), async (req, res) =>
       settings = new AdminSettings();
     }
     
+    const previous = SettingsVersionService.snapshot(settings);
     settings.general.siteLogo = logoUrl;
     settings.lastUpdated = new Date();
     settings.updatedBy = req.user.id;
     
     await settings.save();
+    await SettingsVersionService.recordChange(previous, settings, { category: 'general', changedBy: req.user.id });
+
+    await AuditService.record(req, {
+      action: 'settings.logo.upload',
+      targetType: 'AdminSettings',
+      targetId: settings._id,
+      before: { general: { siteLogo: previous.general.siteLogo } },
+      after: { general: { siteLogo: logoUrl } }
+    });
     
     res.json({
       success: true,
+      code: 'LOGO_UPLOADED_SUCCESSFULLY',
       message: 'Logo uploaded successfully',
       data: {
         url: logoUrl,
-        publicId: result.public_id,
-        storage: 'cloudinary'
+        publicId: file.publicId,
+        storage: file.storage
       }
     });
   } catch (error) {
     console.error('Error uploading logo:', error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_UPLOAD_LOGO',
       message: 'Failed to upload logo',
       error: error.message
     });
   }
 });
 
-// Generate API key
-router.post('/generate-api-key', protect, async (req, res) => {
+// Create a named, scoped API key for a partner integration
+router.post('/api-keys', protect, requirePermission('api_keys:manage'), async (req, res) => {
   try {
-    const generateApiKey = () => {
-      const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-      let result = '';
-      for (let i = 0; i < 32; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
-      }
-      return result;
-    };
-    
-    let settings = await AdminSettings.findOne();
-    if (!settings) {
-      settings = new AdminSettings();
+    const result = await ApiKeyService.createKey(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
     }
-    
-    const newApiKey = generateApiKey();
-    settings.system.apiSettings.apiKey = newApiKey;
-    settings.lastUpdated = new Date();
-    settings.updatedBy = req.user.id;
-    
-    await settings.save();
-    
-    res.json({
+
+    await AuditService.record(req, {
+      action: 'api_key.create',
+      targetType: 'ApiKey',
+      targetId: result.data.key.id,
+      metadata: { name: result.data.key.name, scopes: result.data.key.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_CREATE_API_KEY',
+      message: 'Failed to create API key',
+      error: error.message
+    });
+  }
+});
+
+// Generate API key (kept for older admin clients; creates a named, scoped key)
+router.post('/generate-api-key', protect, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const { name = 'Default', scopes = ['bookings:read'], expiresInDays } = req.body || {};
+    const result = await ApiKeyService.createKey({ name, scopes, expiresInDays }, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'api_key.create',
+      targetType: 'ApiKey',
+      targetId: result.data.key.id,
+      metadata: { name: result.data.key.name, scopes: result.data.key.scopes }
+    });
+
+    res.status(201).json({
       success: true,
-      message: 'API key generated successfully',
-      data: { apiKey: newApiKey }
+      code: result.code,
+      message: result.message,
+      data: result.data
     });
   } catch (error) {
     console.error('Error generating API key:', error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_GENERATE_API_KEY',
       message: 'Failed to generate API key',
       error: error.message
     });
   }
 });
 
-// Reset settings to defaults
-router.post('/reset', protect, async (req, res) => {
+// Revoke an API key
+router.delete('/api-keys/:id', protect, requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const result = await ApiKeyService.revokeKey(req.params.id, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'api_key.revoke',
+      targetType: 'ApiKey',
+      targetId: result.data.id,
+      metadata: { name: result.data.name }
+    });
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_REVOKE_API_KEY',
+      message: 'Failed to revoke API key',
+      error: error.message
+    });
+  }
+});
+
+// Create a registration invite for use while registration is closed
+router.post('/invites', protect, requirePermission('invites:manage'), async (req, res) => {
+  try {
+    const result = await InviteService.createInvite(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'invite.create',
+      targetType: 'Invite',
+      targetId: result.data.invite.id,
+      metadata: { role: result.data.invite.role, phone: result.data.invite.phone, email: result.data.invite.email }
+    });
+
+    res.status(201).json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_CREATE_INVITE',
+      message: 'Failed to create invite',
+      error: error.message
+    });
+  }
+});
+
+// Revoke an unused registration invite
+router.delete('/invites/:id', protect, requirePermission('invites:manage'), async (req, res) => {
+  try {
+    const result = await InviteService.revokeInvite(req.params.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'invite.revoke',
+      targetType: 'Invite',
+      targetId: result.data.id
+    });
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_REVOKE_INVITE',
+      message: 'Failed to revoke invite',
+      error: error.message
+    });
+  }
+});
+
+// Add a language or update its translations ({ name, messages: { CODE: text }, enabled })
+router.put('/languages/:language', protect, requirePermission('settings:write'), async (req, res) => {
+  try {
+    const { name, messages, enabled } = req.body;
+    const result = await I18nService.saveLanguage(req.params.language, { name, messages, enabled }, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'language.update',
+      targetType: 'MessageCatalog',
+      targetId: result.data._id,
+      metadata: { language: result.data.language, messages: Object.keys(messages || {}), enabled }
+    });
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error saving language:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_SAVE_LANGUAGE',
+      message: 'Failed to save language',
+      error: error.message
+    });
+  }
+});
+
+// Delete an admin-added language (for a built-in language, only the overrides are removed)
+router.delete('/languages/:language', protect, requirePermission('settings:write'), async (req, res) => {
+  try {
+    const result = await I18nService.deleteLanguage(req.params.language);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'language.delete',
+      targetType: 'MessageCatalog',
+      targetId: result.data._id,
+      metadata: { language: result.data.language }
+    });
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Error deleting language:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_DELETE_LANGUAGE',
+      message: 'Failed to delete language',
+      error: error.message
+    });
+  }
+});
+
+// Reset settings to defaults (only the requested category when one is given)
+router.post('/reset', protect, requirePermission('settings:write'), async (req, res) => {
   try {
     const { category } = req.body;
-    
-    // Delete existing settings
-    await AdminSettings.deleteMany({});
-    
-    // Create new default settings
-    const defaultSettings = new AdminSettings();
-    await defaultSettings.save();
+    const result = await AdminSettingsService.resetSettings(category || null, req.user.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    const { settings, previous } = result.data;
+
+    await AuditService.record(req, {
+      action: 'settings.reset',
+      targetType: 'AdminSettings',
+      targetId: settings._id,
+      before: previous,
+      after: SettingsVersionService.snapshot(settings),
+      metadata: { category: category || 'all' }
+    });
     
     res.json({
       success: true,
-      message: `${category || 'All'} settings reset to defaults successfully`,
-      data: defaultSettings
+      code: result.code,
+      message: result.message,
+      data: category ? settings.toJSON()[category] : settings
     });
   } catch (error) {
     console.error('Error resetting settings:', error);
     res.status(500).json({
       success: false,
+      code: 'FAILED_TO_RESET_SETTINGS',
       message: 'Failed to reset settings',
       error: error.message
     });
   }
 });
 
-// Export settings
-router.get('/export', protect, async (req, res) => {
+// Import an exported settings bundle (?dryRun=true only reports the diff,
+// ?includeSecrets=true also overwrites gateway credentials and the API key)
+router.post('/import', protect, requirePermission('settings:write'), async (req, res) => {
   try {
-    const settings = await AdminSettings.findOne();
-    
-    if (!settings) {
-      return res.status(404).json({
+    const dryRun = req.query.dryRun === 'true';
+    const includeSecrets = req.query.includeSecrets === 'true';
+
+    const result = await AdminSettingsService.importSettings(req.body, {
+      dryRun,
+      includeSecrets,
+      userId: req.user.id,
+      ip: req.ip
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
         success: false,
-        message: 'No settings found to export'
+        code: result.code,
+        message: result.message
       });
     }
-    
-    // Create export data (excluding sensitive information)
-    const exportData = {
-      general: {
-        siteName: settings.general.siteName,
-        siteEmail: settings.general.siteEmail,
-        customerCareNumber: settings.general.customerCareNumber,
-        customerCareEmail: settings.general.customerCareEmail,
-        developerName: settings.general.developerName,
-        developerContact: settings.general.developerContact,
-        maintenanceMode: settings.general.maintenanceMode,
-        allowRegistration: settings.general.allowRegistration,
-        requireEmailVerification: settings.general.requireEmailVerification,
-        timezone: settings.general.timezone,
-        dateFormat: settings.general.dateFormat,
-        currency: settings.general.currency,
-        language: settings.general.language
-      },
-      payment: {
-        commissionRate: settings.payment.commissionRate,
-        minWithdrawalAmount: settings.payment.minWithdrawalAmount,
-        paymentGateway: settings.payment.paymentGateway,
-        autoPayoutEnabled: settings.payment.autoPayoutEnabled
-      },
-      notification: settings.notification,
-      security: {
-        sessionTimeout: settings.security.sessionTimeout,
-        maxLoginAttempts: settings.security.maxLoginAttempts,
-        passwordMinLength: settings.security.passwordMinLength,
-        twoFactorAuth: settings.security.twoFactorAuth
-      },
-      system: {
-        socialLinks: settings.system.socialLinks,
-        legalInfo: settings.system.legalInfo,
-        apiSettings: {
-          enableApi: settings.system.apiSettings.enableApi,
-          rateLimit: settings.system.apiSettings.rateLimit,
-          corsOrigins: settings.system.apiSettings.corsOrigins
-        },
-        backupSettings: settings.system.backupSettings
-      },
-      exportedAt: new Date().toISOString(),
-      exportedBy: req.user.id
-    };
-    
+
+    const { settings, previous, ...summary } = result.data;
+
+    if (!dryRun && summary.changes.length > 0) {
+      await AuditService.record(req, {
+        action: 'settings.import',
+        targetType: 'AdminSettings',
+        targetId: settings._id,
+        before: previous,
+        after: SettingsVersionService.snapshot(settings),
+        metadata: { categories: summary.categories, includeSecrets, version: summary.version }
+      });
+    }
+
     res.json({
       success: true,
-      message: 'Settings exported successfully',
-      data: exportData
+      code: result.code,
+      message: result.message,
+      data: summary
     });
   } catch (error) {
-    console.error('Error exporting settings:', error);
+    console.error('Error importing settings:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to export settings',
+      code: 'FAILED_TO_IMPORT_SETTINGS',
+      message: 'Failed to import settings',
+      error: error.message
+    });
+  }
+});
+
+// Roll back the whole document, or one category, to an earlier version
+router.post('/versions/:version/rollback', protect, requirePermission('settings:write'), async (req, res) => {
+  try {
+    const { category } = req.body;
+    const result = await SettingsVersionService.rollback(req.params.version, {
+      category: category || null,
+      changedBy: req.user.id,
+      ip: req.ip
+    });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    const { settings, previous, ...rollback } = result.data;
+
+    await AuditService.record(req, {
+      action: 'settings.rollback',
+      targetType: 'AdminSettings',
+      targetId: settings._id,
+      before: previous,
+      after: SettingsVersionService.snapshot(settings),
+      metadata: { rolledBackTo: rollback.rolledBackTo, category: rollback.category || 'all', version: rollback.version }
+    });
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: rollback
+    });
+  } catch (error) {
+    console.error('Error rolling back settings:', error);
+    res.status(500).json({
+      success: false,
+      code: 'FAILED_TO_ROLL_BACK_SETTINGS',
+      message: 'Failed to roll back settings',
       error: error.message
     });
   }
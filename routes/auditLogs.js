@@ -0,0 +1,66 @@
+const express = require('express');
+const AuditService = require('../services/auditService');
+const LocaleService = require('../services/localeService');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/audit-logs
+// @desc    Query the audit log (filters: actor, action, targetType, targetId, from, to, page, limit)
+// @access  Private, Admin (audit:read)
+router.get('/', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const result = await AuditService.listLogs(req.query);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_AUDIT_LOGS',
+      message: 'Server error while fetching audit logs'
+    });
+  }
+});
+
+// @route   GET /api/audit-logs/export
+// @desc    Export the audit log as CSV (same filters as the query endpoint)
+// @access  Private, Admin (audit:read)
+router.get('/export', protect, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const result = await AuditService.exportCsv(req.query, await LocaleService.getLocale(req.user));
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    res.set('X-Export-Truncated', String(result.data.truncated));
+    res.send(result.data.csv);
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_EXPORTING_AUDIT_LOGS',
+      message: 'Server error while exporting audit logs'
+    });
+  }
+});
+
+module.exports = router;
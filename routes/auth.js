@@ -2,20 +2,213 @@ const express = require('express');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
 const Transaction = require('../models/Transaction');
-const { protect, generateToken, authorize } = require('../middleware/auth');
+const {
+  protect,
+  protectPreAuth,
+  protectOrPreAuth,
+  generatePreAuthToken,
+  authorize,
+  requirePermission,
+  blockImpersonation,
+  requireVerifiedEmail
+} = require('../middleware/auth');
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { uploadBase64Image, listImages } = require('../utils/cloudinary');
+const { uploadBase64Image, listImages, isValidFolder } = require('../utils/storage');
+const { authRateLimit } = require('../middleware/rateLimit');
+const { UPLOAD_TYPES, uploadFiles, getUploadedFile } = require('../middleware/upload');
+const { isMaintenanceMode, sendMaintenanceResponse } = require('../middleware/maintenance');
+const { isAdminIpAllowed, sendIpBlockedResponse } = require('../middleware/ipWhitelist');
+const OtpService = require('../services/otpService');
+const LoginSecurityService = require('../services/loginSecurityService');
+const TwoFactorService = require('../services/twoFactorService');
+const SessionService = require('../services/sessionService');
+const InviteService = require('../services/inviteService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const ImpersonationService = require('../services/impersonationService');
+const AuditService = require('../services/auditService');
+const SettingsCacheService = require('../services/settingsCacheService');
+const NotificationService = require('../services/notificationService');
+const LocaleService = require('../services/localeService');
+const I18nService = require('../services/i18nService');
+const { ADMIN_ROLES, getAdminRole, getPermissions, hasPermissions } = require('../utils/permissions');
+const { decrypt, isMaskedValue } = require('../utils/encryption');
+const { isValidTimeZone, getRangeStart, startOfMonth, formatDate, formatMoney } = require('../utils/locale');
+const { isValidLevel, levelsAtLeast, maxLevel, meetsLevel } = require('../utils/kyc');
 const router = express.Router();
 
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const RESET_REQUESTS_PER_IP = 10;
+const RESET_FAILURES_PER_IP = 10;
+
+// Find the account for a password reset by phone or email
+const findResetAccount = async ({ phone, email }) => {
+  if (phone) {
+    const user = await User.findOne({ phone });
+    return { user, identifier: phone, channel: 'sms' };
+  }
+
+  const normalizedEmail = String(email).toLowerCase().trim();
+  const user = await User.findOne({ email: normalizedEmail });
+  return { user, identifier: normalizedEmail, channel: 'email' };
+};
+
+// Incorrect 2FA codes are counted per user across login, disable and
+// recovery-code regeneration
+const twoFactorThrottleKey = (userId) => `2fa:user:${userId}`;
+
+// Send 429 while the user's 2FA checks are locked; true when it did
+const rejectIfTwoFactorLocked = async (throttleKey, res) => {
+  const lock = await LoginSecurityService.getLock(throttleKey);
+  if (!lock.locked) {
+    return false;
+  }
+
+  res.set('Retry-After', String(lock.retryAfter));
+  res.status(429).json({
+    success: false,
+    code: 'TOO_MANY_INCORRECT_CODES_PLEASE_TRY_AGAIN_LATER',
+    message: 'Too many incorrect codes. Please try again later.',
+    retryAfter: lock.retryAfter
+  });
+  return true;
+};
+
+// User fields returned after a successful login
+const formatLoginUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  phone: user.phone,
+  email: user.email,
+  emailVerified: !!user.emailVerifiedAt,
+  role: user.role,
+  adminRole: getAdminRole(user),
+  permissions: getPermissions(user),
+  status: user.status,
+  profilePicture: user.profilePicture,
+  address: user.address,
+  gender: user.gender,
+  skillType: user.skillType,
+  shopName: user.shopName,
+  servicesOffered: user.servicesOffered,
+  contractor: user.contractor,
+  workerId: user.workerId,
+  contractorId: user.contractorId,
+  twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled)
+});
+
+// @route   POST /api/auth/otp/request
+// @desc    Send a one-time password to a phone number
+// @access  Public
+router.post('/otp/request', authRateLimit('otp'), async (req, res) => {
+  try {
+    const { phone, purpose } = req.body;
+
+    if (!phone || !['register', 'login'].includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_PROVIDE_PHONE_AND_A_VALID_PURPOSE',
+        message: 'Please provide phone and a valid purpose (register or login)'
+      });
+    }
+
+    const existingUser = await User.findOne({ phone }).select('_id role');
+
+    if (purpose === 'register' && existingUser) {
+      return res.status(400).json({
+        success: false,
+        code: 'USER_WITH_THIS_PHONE_NUMBER_ALREADY_EXISTS',
+        message: 'User with this phone number already exists'
+      });
+    }
+
+    // Do not reveal whether the phone number is registered. During maintenance
+    // only admins can sign in, so nobody else is sent a code.
+    if (purpose === 'login' && (!existingUser || (existingUser.role !== 'admin' && await isMaintenanceMode()))) {
+      return res.json({
+        success: true,
+        code: 'OTP_SENT_SUCCESSFULLY',
+        message: 'OTP sent successfully'
+      });
+    }
+
+    const result = await OtpService.requestOtp(phone, purpose);
+
+    if (!result.success) {
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_SENDING_OTP',
+      message: 'Server error while sending OTP'
+    });
+  }
+});
+
+// @route   POST /api/auth/otp/verify
+// @desc    Verify a one-time password and get an OTP token
+// @access  Public
+router.post('/otp/verify', authRateLimit('otp'), async (req, res) => {
+  try {
+    const { phone, purpose, code } = req.body;
+
+    if (!phone || !code || !['register', 'login'].includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_PROVIDE_PHONE_CODE_AND_A_VALID_PURPOSE',
+        message: 'Please provide phone, code and a valid purpose (register or login)'
+      });
+    }
+
+    const result = await OtpService.verifyOtp(phone, purpose, code);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_VERIFYING_OTP',
+      message: 'Server error while verifying OTP'
+    });
+  }
+});
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', authRateLimit('register'), uploadFiles({ profilePicture: 'avatar', idProof: 'idProof' }), async (req, res) => {
   try {
-    console.log('Received registration data:', req.body);
-    
     const {
       name,
       phone,
@@ -30,14 +223,22 @@ router.post('/register', async (req, res) => {
       servicesOffered,
       profilePicture,
       idProof,
-      contractor
+      contractor,
+      otpToken,
+      inviteCode
     } = req.body;
+    // Multipart sign-ups send the pictures as files instead of base64 strings
+    const profilePictureFile = getUploadedFile(req, 'profilePicture');
+    const idProofFile = getUploadedFile(req, 'idProof');
+    // ID proofs are only accepted as uploads, never as links to files stored elsewhere
+    const idProofData = typeof idProof === 'string' && (idProof.startsWith('data:image/') || idProof.startsWith('data:application/pdf'))
+      ? idProof
+      : null;
 
     console.log('Destructured values:', {
       name,
       phone,
       email,
-      password,
       role,
       address,
       gender,
@@ -45,38 +246,70 @@ router.post('/register', async (req, res) => {
       skillType,
       shopName,
       servicesOffered,
-      profilePicture: profilePicture ? 'Present' : 'Missing',
-      idProof: idProof ? 'Present' : 'Missing'
+      profilePicture: profilePicture || profilePictureFile ? 'Present' : 'Missing',
+      idProof: idProofData || idProofFile ? 'Present' : 'Missing'
     });
 
     // Validate required fields
     if (!name || !phone || !password || !role) {
       return res.status(400).json({
         success: false,
+        code: 'PLEASE_PROVIDE_NAME_PHONE_PASSWORD_AND_ROLE',
         message: 'Please provide name, phone, password, and role'
       });
     }
 
+    // Admin accounts are created by other admins, never through sign-up
+    if (role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        code: 'ADMIN_ACCOUNTS_CANNOT_BE_REGISTERED',
+        message: 'Admin accounts cannot be registered'
+      });
+    }
+
+    // Respect general.allowRegistration (allowed roles and invites may still sign up)
+    const registrationCheck = await InviteService.checkRegistration({ role, phone, email, inviteCode });
+    if (!registrationCheck.success) {
+      return res.status(registrationCheck.statusCode || 403).json({
+        success: false,
+        code: registrationCheck.code,
+        message: registrationCheck.message
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ phone });
     if (existingUser) {
       return res.status(400).json({
         success: false,
+        code: 'USER_WITH_THIS_PHONE_NUMBER_ALREADY_EXISTS',
         message: 'User with this phone number already exists'
       });
     }
 
+    // Enforce password policy
+    const passwordCheck = await LoginSecurityService.checkPasswordPolicy(password);
+    if (!passwordCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordCheck.errors.join(', ')
+      });
+    }
+
     // Validate role-specific fields
     if (role === 'worker' && !skillType) {
       return res.status(400).json({
         success: false,
+        code: 'WORKERS_MUST_PROVIDE_SKILL_TYPE',
         message: 'Workers must provide skill type'
       });
     }
 
-    if (role === 'independent_worker' && (!skillType || !idProof)) {
+    if (role === 'independent_worker' && (!skillType || !(idProofData || idProofFile))) {
       return res.status(400).json({
         success: false,
+        code: 'INDEPENDENT_WORKERS_MUST_PROVIDE_SKILL_TYPE_AND',
         message: 'Independent workers must provide skill type and ID proof'
       });
     }
@@ -84,6 +317,7 @@ router.post('/register', async (req, res) => {
     if (role === 'contractor' && (!shopName || !servicesOffered)) {
       return res.status(400).json({
         success: false,
+        code: 'CONTRACTORS_MUST_PROVIDE_SHOP_NAME_AND_SERVICES',
         message: 'Contractors must provide shop name and services offered'
       });
     }
@@ -101,8 +335,8 @@ router.post('/register', async (req, res) => {
       skillType,
       shopName,
       servicesOffered: servicesOffered ? servicesOffered.split(',').map(s => s.trim()) : [],
-      profilePicture: profilePicture || null,
-      idProof: idProof || null
+      profilePicture: null,
+      idProof: null
     };
 
     // Only add contractor field if it's a valid ObjectId
@@ -110,9 +344,11 @@ router.post('/register', async (req, res) => {
       userData.contractor = contractor;
     }
 
-    // Upload profile picture to Cloudinary if provided
-    if (profilePicture && profilePicture.startsWith('data:image/')) {
-      console.log('Uploading profile picture to Cloudinary...');
+    // Upload profile picture if provided
+    if (profilePictureFile) {
+      userData.profilePicture = profilePictureFile.url;
+    } else if (typeof profilePicture === 'string' && profilePicture.startsWith('data:image/')) {
+      console.log('Uploading profile picture...');
       const uploadResult = await uploadBase64Image(profilePicture, 'setuworks/profile-pictures');
       
       if (uploadResult.success) {
@@ -123,30 +359,41 @@ router.post('/register', async (req, res) => {
         // Continue without profile picture if upload fails
         userData.profilePicture = null;
       }
-    } else {
-      userData.profilePicture = profilePicture || null;
     }
 
-    // Upload ID proof to Cloudinary if provided
-    if (idProof && idProof.startsWith('data:image/')) {
-      console.log('Uploading ID proof to Cloudinary...');
-      const uploadResult = await uploadBase64Image(idProof, 'setuworks/id-proofs');
+    // Upload ID proof if provided
+    if (idProofFile) {
+      userData.idProof = idProofFile.ref;
+    } else if (idProofData) {
+      console.log('Uploading ID proof...');
+      const uploadResult = await uploadBase64Image(idProofData, UPLOAD_TYPES.idProof.folder, { isPrivate: true });
       
       if (uploadResult.success) {
-        userData.idProof = uploadResult.url;
-        console.log('ID proof uploaded successfully:', uploadResult.url);
+        userData.idProof = uploadResult.ref;
+        console.log('ID proof uploaded successfully');
       } else {
         console.error('Failed to upload ID proof:', uploadResult.error);
         // Continue without ID proof if upload fails
         userData.idProof = null;
       }
-    } else {
-      userData.idProof = idProof || null;
     }
 
-    // Hash password before creating user
-    const salt = bcrypt.genSaltSync(10);
-    userData.password = bcrypt.hashSync(userData.password, salt);
+    // Pictures are only accepted as uploads, so both are this user's own files
+    userData.uploadedFiles = {
+      profilePicture: userData.profilePicture,
+      idProof: userData.idProof
+    };
+
+    // Phone number must have been verified with an OTP. The verification is
+    // only used up once the account has been saved.
+    const otpCheck = await OtpService.checkVerification(phone, 'register', otpToken);
+    if (!otpCheck.success) {
+      return res.status(otpCheck.statusCode || 400).json({
+        success: false,
+        code: otpCheck.code,
+        message: otpCheck.message
+      });
+    }
 
     // Set status based on role
     if (role === 'customer') {
@@ -158,10 +405,40 @@ router.post('/register', async (req, res) => {
     const user = new User(userData);
     await user.save();
 
-    // Generate token for customers (they can login immediately)
-    let token = null;
+    // Another registration may have used the verification in the meantime
+    const otpConsumed = await OtpService.consumeVerification(phone, 'register', otpToken);
+    if (!otpConsumed.success) {
+      await User.deleteOne({ _id: user._id });
+      return res.status(otpConsumed.statusCode || 400).json({
+        success: false,
+        code: otpConsumed.code,
+        message: otpConsumed.message
+      });
+    }
+
+    // Invites are single-use. They are only used up once the account exists,
+    // and the account is removed again if another registration won the invite.
+    if (registrationCheck.invite && !(await InviteService.consumeInvite(registrationCheck.invite._id, user._id))) {
+      await User.deleteOne({ _id: user._id });
+      return res.status(403).json({
+        success: false,
+        code: 'INVALID_INVITE',
+        message: 'Invite code has already been used'
+      });
+    }
+
+    // Send an email verification link (registration still succeeds if this fails)
+    if (user.email) {
+      const verification = await EmailVerificationService.sendVerification(user);
+      if (!verification.success) {
+        console.error('Verification email not sent:', verification.message);
+      }
+    }
+
+    // Start a session for customers (they can login immediately)
+    let session = null;
     if (role === 'customer') {
-      token = generateToken(user._id);
+      session = await SessionService.createSession(user, req);
     }
 
     res.status(201).json({
@@ -178,9 +455,12 @@ router.post('/register', async (req, res) => {
           role: user.role,
           status: user.status,
           profilePicture: user.profilePicture,
-          contractor: user.contractor
+          contractor: user.contractor,
+          emailVerified: !!user.emailVerifiedAt
         },
-        token
+        token: session ? session.token : null,
+        refreshToken: session ? session.refreshToken : null,
+        expiresIn: session ? session.expiresIn : null
       }
     });
   } catch (error) {
@@ -201,12 +481,14 @@ router.post('/register', async (req, res) => {
       const field = Object.keys(error.keyValue)[0];
       return res.status(400).json({
         success: false,
+        code: 'FIELD_ALREADY_EXISTS',
         message: `${field} already exists`
       });
     }
     
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_DURING_REGISTRATION',
       message: 'Server error during registration',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
@@ -233,6 +515,7 @@ router.get('/contractors', async (req, res) => {
     console.error('Get contractors error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR',
       message: 'Server error'
     });
   }
@@ -242,13 +525,14 @@ router.get('/contractors', async (req, res) => {
 // @route   GET /api/auth/status/:phone
 // @desc    Get user status by phone number
 // @access  Public
-router.get('/status/:phone', async (req, res) => {
+router.get('/status/:phone', authRateLimit('status'), async (req, res) => {
   try {
     const { phone } = req.params;
 
     if (!phone) {
       return res.status(400).json({
         success: false,
+        code: 'PHONE_NUMBER_IS_REQUIRED',
         message: 'Phone number is required'
       });
     }
@@ -258,6 +542,7 @@ router.get('/status/:phone', async (req, res) => {
     if (!user) {
       return res.status(404).json({
         success: false,
+        code: 'USER_NOT_FOUND_WITH_THIS_PHONE_NUMBER',
         message: 'User not found with this phone number'
       });
     }
@@ -284,6 +569,7 @@ router.get('/status/:phone', async (req, res) => {
     console.error('Get status error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR',
       message: 'Server error'
     });
   }
@@ -292,28 +578,40 @@ router.get('/status/:phone', async (req, res) => {
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', authRateLimit('login'), async (req, res) => {
   try {
-    const { phone, password } = req.body;
+    const { phone, password, otpToken } = req.body;
     
-    console.log('Login request received:');
-    console.log('Phone:', phone);
-    console.log('Password length:', password ? password.length : 'undefined');
-    console.log('Password (first 3 chars):', password ? password.substring(0, 3) + '***' : 'undefined');
+    console.log('Login request received for phone:', phone);
 
     // Validate input
     if (!phone || !password) {
       return res.status(400).json({
         success: false,
+        code: 'PLEASE_PROVIDE_PHONE_AND_PASSWORD',
         message: 'Please provide phone and password'
       });
     }
 
+    // Reject attempts while the account or IP is locked out
+    const lockStatus = await LoginSecurityService.checkLogin(phone, req.ip);
+    if (lockStatus.locked) {
+      res.set('Retry-After', String(lockStatus.retryAfter));
+      return res.status(lockStatus.statusCode).json({
+        success: false,
+        code: lockStatus.code,
+        message: lockStatus.message,
+        retryAfter: lockStatus.retryAfter
+      });
+    }
+
     // Find user by phone
     const user = await User.findOne({ phone });
     if (!user) {
+      await LoginSecurityService.recordLoginFailure(phone, req.ip);
       return res.status(401).json({
         success: false,
+        code: 'INVALID_CREDENTIALS',
         message: 'Invalid credentials'
       });
     }
@@ -322,654 +620,1834 @@ router.post('/login', async (req, res) => {
     if (user.status !== 'approved') {
       return res.status(401).json({
         success: false,
+        code: 'ACCOUNT_NOT_APPROVED_PLEASE_CONTACT_ADMIN',
         message: 'Account not approved. Please contact admin.'
       });
     }
 
-    let isMatch = false;
-    
-    // Special handling for admin user with plain text password
-    if (user.role === 'admin') {
-      console.log('Admin login detected - checking password format');
-      console.log('Stored password format:', user.password.startsWith('$2b$') ? 'Hashed' : 'Plain text');
-      
-      if (!user.password.startsWith('$2b$')) {
-        // Admin password is plain text - compare directly
-        console.log('Input password:', JSON.stringify(password));
-        console.log('Stored password:', JSON.stringify(user.password));
-        console.log('Input password length:', password.length);
-        console.log('Stored password length:', user.password.length);
-        isMatch = (user.password === password);
-        console.log('Plain text password comparison:', isMatch);
-      } else {
-        // Admin password is hashed - use bcrypt compare
-        isMatch = await user.comparePassword(password);
-        console.log('Hashed password comparison:', isMatch);
-      }
-    } else {
-      // Non-admin users - use normal bcrypt comparison
-      isMatch = await user.comparePassword(password);
-    }
-    
+    // Legacy plain-text passwords are upgraded to bcrypt on a successful match
+    const isMatch = await user.comparePassword(password);
+
     if (!isMatch) {
+      const failure = await LoginSecurityService.recordLoginFailure(phone, req.ip);
+      if (failure.locked) {
+        res.set('Retry-After', String(failure.retryAfter));
+        return res.status(failure.statusCode).json({
+          success: false,
+          code: failure.code,
+          message: failure.message,
+          retryAfter: failure.retryAfter
+        });
+      }
       return res.status(401).json({
         success: false,
+        code: 'INVALID_CREDENTIALS',
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Only admins can sign in during maintenance
+    if (user.role !== 'admin' && await isMaintenanceMode()) {
+      return sendMaintenanceResponse(res);
+    }
+
+    // Admins can only sign in from security.ipWhitelist
+    if (user.role === 'admin' && !(await isAdminIpAllowed(req.ip))) {
+      return sendIpBlockedResponse(res);
+    }
+
+    // Phone number must have been verified with an OTP
+    const otpCheck = await OtpService.consumeVerification(phone, 'login', otpToken);
+    if (!otpCheck.success) {
+      return res.status(otpCheck.statusCode || 400).json({
+        success: false,
+        code: otpCheck.code,
+        message: otpCheck.message
+      });
+    }
+
+    await LoginSecurityService.recordLoginSuccess(phone);
+
+    // Two-factor step: required when enrolled, or when mandatory for the role
+    const twoFactorEnabled = !!(user.twoFactor && user.twoFactor.enabled);
+    if (twoFactorEnabled || await TwoFactorService.isMandatory(user)) {
+      return res.json({
+        success: true,
+        message: twoFactorEnabled
+          ? 'Enter the code from your authenticator app to continue'
+          : 'Two-factor authentication must be set up before you can continue',
+        data: {
+          twoFactorRequired: true,
+          setupRequired: !twoFactorEnabled,
+          preAuthToken: generatePreAuthToken(user._id)
+        }
+      });
+    }
+
+    // Start a new session
+    const session = await SessionService.createSession(user, req);
 
     res.json({
       success: true,
+      code: 'LOGIN_SUCCESSFUL',
       message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          phone: user.phone,
-          email: user.email,
-          role: user.role,
-          status: user.status,
-          profilePicture: user.profilePicture,
-          address: user.address,
-          gender: user.gender,
-          skillType: user.skillType,
-          shopName: user.shopName,
-          servicesOffered: user.servicesOffered,
-          contractor: user.contractor,
-          workerId: user.workerId,
-          contractorId: user.contractorId
-        },
-        token
+        user: formatLoginUser(user),
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
       }
     });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_DURING_LOGIN',
       message: 'Server error during login'
     });
   }
 });
 
-// @route   GET /api/auth/workers
-// @desc    Get all approved workers for customers to browse
-// @access  Public
-router.get('/workers', async (req, res) => {
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete login with an authenticator or recovery code
+// @access  Pre-auth token
+router.post('/2fa/verify', protectPreAuth, async (req, res) => {
   try {
-    console.log('=== FETCHING WORKERS FOR BROWSING ===');
-    
-    const workers = await User.find({ 
-      role: { $in: ['worker', 'independent_worker'] },
-      status: 'approved'
-    })
-    .select('-password')
-    .populate('contractor', 'name shopName address profilePicture phone email servicesOffered contractorId')
-    .sort({ createdAt: -1 });
+    const { code, recoveryCode } = req.body;
 
-    console.log(`Found ${workers.length} approved workers`);
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_PROVIDE_AN_AUTHENTICATION_CODE_OR_A',
+        message: 'Please provide an authentication code or a recovery code'
+      });
+    }
+
+    const throttleKey = twoFactorThrottleKey(req.user.id);
+    if (await rejectIfTwoFactorLocked(throttleKey, res)) {
+      return;
+    }
+
+    const result = await TwoFactorService.verify(req.user.id, { code, recoveryCode });
+    if (!result.success) {
+      await LoginSecurityService.registerFailure(throttleKey, TWO_FACTOR_MAX_ATTEMPTS);
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    await LoginSecurityService.clear(throttleKey);
+
+    const session = await SessionService.createSession(req.user, req);
 
     res.json({
       success: true,
-      data: { workers }
+      code: 'LOGIN_SUCCESSFUL',
+      message: 'Login successful',
+      data: {
+        user: formatLoginUser(req.user),
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        recoveryCodesRemaining: result.data ? result.data.recoveryCodesRemaining : undefined
+      }
     });
   } catch (error) {
-    console.error('Fetch workers error:', error);
+    console.error('2FA verify error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching workers'
+      code: 'SERVER_ERROR_DURING_TWO_FACTOR_VERIFICATION',
+      message: 'Server error during two-factor verification'
     });
   }
 });
 
-// @route   POST /api/auth/bookings
-// @desc    Create a new booking request
-// @access  Private (Customer only)
-router.post('/bookings', protect, async (req, res) => {
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor authentication status for the current user
+// @access  Private
+router.get('/2fa/status', protect, async (req, res) => {
   try {
-    console.log('=== CREATING BOOKING REQUEST ===');
-    console.log('Request body:', req.body);
-    console.log('Requesting user:', req.user);
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
 
-    const { 
-      workerId, customerId, workType, location, description, startDate, endDate, 
-      contactPhone, contactEmail, urgency, paymentMethod, preferredTime, workerArrival,
-      useWallet, budget
-    } = req.body;
+    res.json({
+      success: true,
+      data: {
+        enabled: !!user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        mandatory: await TwoFactorService.isMandatory(req.user),
+        recoveryCodesRemaining: user.twoFactor.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+      }
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_TWO_FACTOR_STATUS',
+      message: 'Server error while fetching two-factor status'
+    });
+  }
+});
 
-    // Validate required fields
-    if (!workerId || !customerId || !workType || !location || !startDate) {
-      return res.status(400).json({
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment (returns secret and otpauth URI)
+// @access  Private or pre-auth token
+router.post('/2fa/setup', protectOrPreAuth, blockImpersonation, async (req, res) => {
+  try {
+    const result = await TwoFactorService.startSetup(req.user.id);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
         success: false,
-        message: 'Please provide all required fields'
+        code: result.code,
+        message: result.message
       });
     }
 
-    // Validate wallet payment only if budget is provided
-    if (useWallet && (!budget || parseFloat(budget) <= 0)) {
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_DURING_TWO_FACTOR_SETUP',
+      message: 'Server error during two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm two-factor enrollment with a code from the authenticator app
+// @access  Private or pre-auth token
+router.post('/2fa/enable', protectOrPreAuth, blockImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
       return res.status(400).json({
         success: false,
-        message: 'Budget is required when using wallet payment'
+        code: 'PLEASE_PROVIDE_THE_AUTHENTICATION_CODE',
+        message: 'Please provide the authentication code'
       });
     }
 
-    // Validate wallet balance only if using wallet and budget is provided
-    if (useWallet && budget && parseFloat(budget) > 0) {
-      const customer = await User.findById(req.user.id).select('wallet');
-      const currentBalance = customer.wallet || 0;
-      
-      if (parseFloat(budget) > currentBalance) {
-        return res.status(400).json({
-          success: false,
-          message: 'Insufficient wallet balance for this payment'
-        });
-      }
-    }
+    const result = await TwoFactorService.enable(req.user.id, code);
 
-    // Verify that the requesting user is a customer
-    if (req.user.role !== 'customer') {
-      return res.status(403).json({
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
         success: false,
-        message: 'Only customers can create booking requests'
+        code: result.code,
+        message: result.message
       });
     }
 
-    // Verify that the customerId matches the authenticated user
-    if (customerId !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You can only create bookings for yourself'
-      });
+    const data = { recoveryCodes: result.data.recoveryCodes };
+
+    // Enrollment during a mandatory login completes the login as well
+    if (req.preAuth) {
+      data.user = formatLoginUser({ ...req.user.toObject(), twoFactor: { enabled: true } });
+      const session = await SessionService.createSession(req.user, req);
+      data.token = session.token;
+      data.refreshToken = session.refreshToken;
+      data.expiresIn = session.expiresIn;
     }
 
-    // Check if worker exists and is approved
-    let worker;
-    try {
-      worker = await User.findById(workerId);
-    } catch (error) {
-      console.error('Worker lookup error:', error);
-      // Try to handle if workerId is a string
-      if (error.name === 'CastError') {
-        // If it's a cast error, the workerId might be a string
-        // Try to convert it to ObjectId
-        try {
-          const mongoose = require('mongoose');
-          worker = await User.findById(mongoose.Types.ObjectId(workerId));
-        } catch (castError) {
-          console.error('ObjectId cast error:', castError);
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid worker ID format'
-          });
-        }
-      }
-    }
-    
-    if (!worker) {
-      return res.status(404).json({
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_ENABLING_TWO_FACTOR',
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', protect, blockImpersonation, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({
         success: false,
-        message: 'Worker not found'
+        code: 'PLEASE_PROVIDE_YOUR_PASSWORD_AND_AN',
+        message: 'Please provide your password and an authentication code'
       });
     }
 
-    if (worker.status !== 'approved') {
+    const throttleKey = twoFactorThrottleKey(req.user.id);
+    if (await rejectIfTwoFactorLocked(throttleKey, res)) {
+      return;
+    }
+
+    const user = await User.findById(req.user.id);
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      await LoginSecurityService.registerFailure(throttleKey, TWO_FACTOR_MAX_ATTEMPTS);
       return res.status(400).json({
         success: false,
-        message: 'Worker is not available for booking'
+        code: 'PASSWORD_IS_INCORRECT',
+        message: 'Password is incorrect'
       });
     }
 
-    // Handle wallet payment
-    let walletTransaction = null;
-    if (useWallet && budget && parseFloat(budget) > 0) {
-      try {
-        // Create wallet transaction for booking payment
-        walletTransaction = await Transaction.createTransaction({
-          userId: req.user.id,
-          type: 'payment',
-          amount: parseFloat(budget),
-          description: `Advance payment for ${worker.name} - ${workType}`,
-          relatedUserId: workerId,
-          paymentMethod: 'wallet',
-          status: 'completed'
-        });
-        console.log('Wallet transaction created:', walletTransaction);
-      } catch (walletError) {
-        console.error('Wallet payment error:', walletError);
-        return res.status(400).json({
-          success: false,
-          message: walletError.message || 'Wallet payment failed'
-        });
+    const result = await TwoFactorService.disable(req.user, code);
+
+    if (!result.success) {
+      // Only rejected codes count towards the lock
+      if (result.statusCode === 400) {
+        await LoginSecurityService.registerFailure(throttleKey, TWO_FACTOR_MAX_ATTEMPTS);
       }
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
     }
 
-    // Create booking record
-    console.log('=== CREATING BOOKING ===');
-    console.log('Worker ID:', workerId);
-    console.log('Worker data:', {
-      name: worker.name,
-      role: worker.role,
-      contractor: worker.contractor ? worker.contractor._id : null
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message
     });
-    
-    const booking = new Booking({
-      workerId,
-      customerId,
-      // Only set contractorId if worker has one (for contractor workers)
-      // Independent workers will have null contractorId
-      contractorId: worker.contractor ? worker.contractor._id : null,
-      workType,
-      location,
-      description: description || '',
-      startDate,
-      endDate: endDate || null,
-      contactPhone: contactPhone || '',
-      contactEmail: contactEmail || '',
-      urgency: urgency || 'normal',
-      paymentMethod: paymentMethod || 'cash',
-      preferredTime: preferredTime || '',
-      workerArrival: workerArrival || 'flexible',
-      budget: budget ? parseFloat(budget) : null,
-      useWallet: useWallet || false,
-      walletTransactionId: walletTransaction?._id || null,
-      status: 'pending',
-      createdAt: new Date()
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_DISABLING_TWO_FACTOR',
+      message: 'Server error while disabling two-factor authentication'
     });
+  }
+});
 
-    // Save booking to database
-    const savedBooking = await booking.save();
-    console.log('Booking created and saved:', savedBooking);
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate two-factor recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, blockImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body;
 
-    // Update user with new booking
-    await User.findByIdAndUpdate(req.user.id, {
-      $push: { bookings: savedBooking._id }
-    }, { new: true });
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_PROVIDE_THE_AUTHENTICATION_CODE',
+        message: 'Please provide the authentication code'
+      });
+    }
+
+    const throttleKey = twoFactorThrottleKey(req.user.id);
+    if (await rejectIfTwoFactorLocked(throttleKey, res)) {
+      return;
+    }
+
+    const result = await TwoFactorService.regenerateRecoveryCodes(req.user.id, code);
+
+    if (!result.success) {
+      // Only rejected codes count towards the lock
+      if (result.statusCode === 400) {
+        await LoginSecurityService.registerFailure(throttleKey, TWO_FACTOR_MAX_ATTEMPTS);
+      }
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
 
-    // For now, return success with booking data
-    // In a real implementation, you'd return the populated booking
     res.json({
       success: true,
-      message: useWallet 
-        ? 'Booking request sent successfully! Advance payment processed from wallet.'
-        : 'Booking request sent successfully!',
-      data: { 
-        booking: savedBooking,
-        walletTransaction: walletTransaction ? {
-          id: walletTransaction._id,
-          amount: walletTransaction.amount,
-          balanceAfter: walletTransaction.balanceAfter
-        } : null
-      }
+      code: result.code,
+      message: result.message,
+      data: result.data
     });
   } catch (error) {
-    console.error('Create booking error:', error);
+    console.error('Regenerate recovery codes error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while creating booking'
+      code: 'SERVER_ERROR_WHILE_REGENERATING_RECOVERY_CODES',
+      message: 'Server error while regenerating recovery codes'
     });
   }
 });
 
-// @route   GET /api/auth/bookings
-// @desc    Get all bookings for the current customer
-// @access  Private (Customer only)
-router.get('/bookings', protect, async (req, res) => {
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token
+// @access  Public
+router.post('/refresh', async (req, res) => {
   try {
-    if (req.user.role !== 'customer') {
-      return res.status(403).json({
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
         success: false,
-        message: 'Only customers can view their bookings'
+        code: 'PLEASE_PROVIDE_A_REFRESH_TOKEN',
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const result = await SessionService.refreshSession(refreshToken, req);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
       });
     }
 
-    const result = await Booking.getCustomerBookings(req.user.id);
-    
     res.json({
       success: true,
-      data: result
+      code: 'TOKEN_REFRESHED_SUCCESSFULLY',
+      message: 'Token refreshed successfully',
+      data: result.data
     });
   } catch (error) {
-    console.error('Get customer bookings error:', error);
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching bookings'
+      code: 'SERVER_ERROR_WHILE_REFRESHING_TOKEN',
+      message: 'Server error while refreshing token'
     });
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user
+// @route   POST /api/auth/logout
+// @desc    End the current session
 // @access  Private
-router.get('/me', protect, async (req, res) => {
+router.post('/logout', protect, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password');
-    
+    await SessionService.revokeSession(req.user._id, req.authSession._id, 'logout');
+
     res.json({
       success: true,
-      data: { user }
+      code: 'LOGGED_OUT_SUCCESSFULLY',
+      message: 'Logged out successfully'
     });
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Logout error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      code: 'SERVER_ERROR_DURING_LOGOUT',
+      message: 'Server error during logout'
     });
   }
 });
 
-// @route   PUT /api/auth/profile
-// @desc    Update user profile
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices) for the current user
 // @access  Private
-router.put('/profile', protect, async (req, res) => {
+router.get('/sessions', protect, async (req, res) => {
   try {
-    console.log('Profile update request received');
-    console.log('Request body:', req.body);
-    
-    const {
-      name,
-      email,
-      address,
-      gender,
-      dob,
-      skillType,
-      shopName,
-      servicesOffered,
-      profilePicture,
-      idProof,
-      bankDetails
-    } = req.body;
+    const sessions = await SessionService.listSessions(req.user._id, req.authSession._id);
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_SESSIONS',
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions (pass ?keepCurrent=true to stay signed in here)
+// @access  Private
+router.delete('/sessions', protect, blockImpersonation, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
 
-    console.log('Destructured bankDetails:', bankDetails);
+    const revokedSessions = await SessionService.revokeAllSessions(req.user._id, {
+      exceptSessionId: keepCurrent ? req.authSession._id : null,
+      reason: 'logout_all'
+    });
 
-    const user = await User.findById(req.user.id);
-    if (!user) {
+    res.json({
+      success: true,
+      message: keepCurrent ? 'All other sessions revoked' : 'All sessions revoked',
+      data: { revokedSessions }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_REVOKING_SESSIONS',
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/sessions/:id', protect, blockImpersonation, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeSession(req.user._id, req.params.id, 'revoked_by_user');
+
+    if (!revoked) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        code: 'SESSION_NOT_FOUND',
+        message: 'Session not found'
       });
     }
 
-    console.log('Found user:', user._id);
-    console.log('Current bankDetails:', user.bankDetails);
+    res.json({
+      success: true,
+      code: 'SESSION_REVOKED_SUCCESSFULLY',
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_REVOKING_SESSION',
+      message: 'Server error while revoking session'
+    });
+  }
+});
 
-    // Update allowed fields
-    if (name) user.name = name;
-    if (email) user.email = email;
-    if (address) user.address = address;
-    if (gender) user.gender = gender;
-    if (dob) user.dob = dob;
+// @route   GET /api/auth/workers
+// @desc    Get all approved workers for customers to browse (filter: minVerificationLevel)
+// @access  Public
+router.get('/workers', async (req, res) => {
+  try {
+    console.log('=== FETCHING WORKERS FOR BROWSING ===');
 
-    // Handle profile picture upload
-    if (profilePicture && profilePicture.startsWith('data:image/')) {
-      console.log('New profile picture detected. Uploading to Cloudinary...');
-      const uploadResult = await uploadBase64Image(profilePicture, 'setuworks/profile-pictures');
-      if (uploadResult.success) {
-        user.profilePicture = uploadResult.url;
-        console.log('Profile picture updated to:', uploadResult.url);
-      } else {
-        console.error('Profile picture upload failed:', uploadResult.error);
-      }
-    } else if (profilePicture === '') {
-      // Handle picture removal
-      user.profilePicture = null;
+    const { minVerificationLevel } = req.query;
+    if (minVerificationLevel && !isValidLevel(minVerificationLevel)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_FIELD',
+        message: 'Invalid verification level'
+      });
+    }
+
+    const query = {
+      role: { $in: ['worker', 'independent_worker'] },
+      status: 'approved'
+    };
+
+    // Never list workers below security.minWorkerVerificationLevel
+    const minimumLevel = maxLevel(minVerificationLevel || 'none', await SettingsCacheService.getMinWorkerVerificationLevel());
+    if (minimumLevel !== 'none') {
+      query.verificationLevel = { $in: levelsAtLeast(minimumLevel) };
     }
+    
+    const workers = await User.find(query)
+    .select('-password')
+    .populate('contractor', 'name shopName address profilePicture phone email servicesOffered contractorId')
+    .sort({ createdAt: -1 });
+
+    console.log(`Found ${workers.length} approved workers`);
+
+    res.json({
+      success: true,
+      data: { workers }
+    });
+  } catch (error) {
+    console.error('Fetch workers error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_WORKERS',
+      message: 'Server error while fetching workers'
+    });
+  }
+});
+
+// @route   POST /api/auth/bookings
+// @desc    Create a new booking request
+// @access  Private (Customer only)
+router.post('/bookings', protect, async (req, res) => {
+  try {
+    console.log('=== CREATING BOOKING REQUEST ===');
+    console.log('Request body:', req.body);
+    console.log('Requesting user:', req.user);
+
+    const { 
+      workerId, customerId, workType, location, description, startDate, endDate, 
+      contactPhone, contactEmail, urgency, paymentMethod, preferredTime, workerArrival,
+      useWallet, budget
+    } = req.body;
+
+    // Validate required fields
+    if (!workerId || !customerId || !workType || !location || !startDate) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_PROVIDE_ALL_REQUIRED_FIELDS',
+        message: 'Please provide all required fields'
+      });
+    }
+
+    // Validate wallet payment only if budget is provided
+    if (useWallet && (!budget || parseFloat(budget) <= 0)) {
+      return res.status(400).json({
+        success: false,
+        code: 'BUDGET_IS_REQUIRED_WHEN_USING_WALLET_PAYMENT',
+        message: 'Budget is required when using wallet payment'
+      });
+    }
+
+    // Validate wallet balance only if using wallet and budget is provided
+    if (useWallet && budget && parseFloat(budget) > 0) {
+      const customer = await User.findById(req.user.id).select('wallet');
+      const currentBalance = customer.wallet || 0;
+      
+      if (parseFloat(budget) > currentBalance) {
+        return res.status(400).json({
+          success: false,
+          code: 'INSUFFICIENT_WALLET_BALANCE_FOR_THIS_PAYMENT',
+          message: 'Insufficient wallet balance for this payment'
+        });
+      }
+    }
+
+    // Verify that the requesting user is a customer
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({
+        success: false,
+        code: 'ONLY_CUSTOMERS_CAN_CREATE_BOOKING_REQUESTS',
+        message: 'Only customers can create booking requests'
+      });
+    }
+
+    // Verify that the customerId matches the authenticated user
+    if (customerId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        code: 'YOU_CAN_ONLY_CREATE_BOOKINGS_FOR_YOURSELF',
+        message: 'You can only create bookings for yourself'
+      });
+    }
+
+    // Check if worker exists and is approved
+    let worker;
+    try {
+      worker = await User.findById(workerId);
+    } catch (error) {
+      console.error('Worker lookup error:', error);
+      // Try to handle if workerId is a string
+      if (error.name === 'CastError') {
+        // If it's a cast error, the workerId might be a string
+        // Try to convert it to ObjectId
+        try {
+          const mongoose = require('mongoose');
+          worker = await User.findById(mongoose.Types.ObjectId(workerId));
+        } catch (castError) {
+          console.error('ObjectId cast error:', castError);
+          return res.status(400).json({
+            success: false,
+            code: 'INVALID_WORKER_ID_FORMAT',
+            message: 'Invalid worker ID format'
+          });
+        }
+      }
+    }
+    
+    if (!worker) {
+      return res.status(404).json({
+        success: false,
+        code: 'WORKER_NOT_FOUND',
+        message: 'Worker not found'
+      });
+    }
+
+    if (worker.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        code: 'WORKER_IS_NOT_AVAILABLE_FOR_BOOKING',
+        message: 'Worker is not available for booking'
+      });
+    }
+
+    // security.minWorkerVerificationLevel
+    if (!meetsLevel(worker.verificationLevel, await SettingsCacheService.getMinWorkerVerificationLevel())) {
+      return res.status(403).json({
+        success: false,
+        code: 'WORKER_NOT_VERIFIED',
+        message: 'This worker has not completed the required verification'
+      });
+    }
+
+    // Handle wallet payment
+    let walletTransaction = null;
+    if (useWallet && budget && parseFloat(budget) > 0) {
+      try {
+        // Create wallet transaction for booking payment
+        walletTransaction = await Transaction.createTransaction({
+          userId: req.user.id,
+          type: 'payment',
+          amount: parseFloat(budget),
+          description: `Advance payment for ${worker.name} - ${workType}`,
+          relatedUserId: workerId,
+          paymentMethod: 'wallet',
+          status: 'completed'
+        });
+        console.log('Wallet transaction created:', walletTransaction);
+      } catch (walletError) {
+        console.error('Wallet payment error:', walletError);
+        return res.status(400).json({
+          success: false,
+          message: walletError.message || 'Wallet payment failed'
+        });
+      }
+    }
+
+    // Create booking record
+    console.log('=== CREATING BOOKING ===');
+    console.log('Worker ID:', workerId);
+    console.log('Worker data:', {
+      name: worker.name,
+      role: worker.role,
+      contractor: worker.contractor ? worker.contractor._id : null
+    });
+    
+    const booking = new Booking({
+      workerId,
+      customerId,
+      // Only set contractorId if worker has one (for contractor workers)
+      // Independent workers will have null contractorId
+      contractorId: worker.contractor ? worker.contractor._id : null,
+      workType,
+      location,
+      description: description || '',
+      startDate,
+      endDate: endDate || null,
+      contactPhone: contactPhone || '',
+      contactEmail: contactEmail || '',
+      urgency: urgency || 'normal',
+      paymentMethod: paymentMethod || 'cash',
+      preferredTime: preferredTime || '',
+      workerArrival: workerArrival || 'flexible',
+      budget: budget ? parseFloat(budget) : null,
+      useWallet: useWallet || false,
+      walletTransactionId: walletTransaction?._id || null,
+      // The commission agreed when the booking is made applies when it completes
+      commissionPercentage: await SettingsCacheService.getCommissionRate(),
+      status: 'pending',
+      createdAt: new Date()
+    });
+
+    // Save booking to database
+    const savedBooking = await booking.save();
+    console.log('Booking created and saved:', savedBooking);
+
+    // Update user with new booking
+    await User.findByIdAndUpdate(req.user.id, {
+      $push: { bookings: savedBooking._id }
+    }, { new: true });
+
+    const workerLocale = await LocaleService.getLocale(worker);
+    await NotificationService.notifyUser(worker, {
+      type: 'booking',
+      subject: 'New booking request',
+      text: `You have a new ${workType} booking request from ${req.user.name} starting ${formatDate(startDate, workerLocale)}.`
+    });
+    if (walletTransaction) {
+      const locale = await LocaleService.getLocale(req.user);
+      await NotificationService.notifyUser(req.user, {
+        type: 'payment',
+        subject: 'Wallet payment',
+        text: `${formatMoney(walletTransaction.amount, locale)} was paid from your SetuWorks wallet for your ${workType} booking. Balance: ${formatMoney(walletTransaction.balanceAfter, locale)}.`
+      });
+    }
+
+    // For now, return success with booking data
+    // In a real implementation, you'd return the populated booking
+    res.json({
+      success: true,
+      message: useWallet 
+        ? 'Booking request sent successfully! Advance payment processed from wallet.'
+        : 'Booking request sent successfully!',
+      data: { 
+        booking: savedBooking,
+        walletTransaction: walletTransaction ? {
+          id: walletTransaction._id,
+          amount: walletTransaction.amount,
+          balanceAfter: walletTransaction.balanceAfter
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Create booking error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_CREATING_BOOKING',
+      message: 'Server error while creating booking'
+    });
+  }
+});
+
+// @route   GET /api/auth/bookings
+// @desc    Get all bookings for the current customer
+// @access  Private (Customer only)
+router.get('/bookings', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'customer') {
+      return res.status(403).json({
+        success: false,
+        code: 'ONLY_CUSTOMERS_CAN_VIEW_THEIR_BOOKINGS',
+        message: 'Only customers can view their bookings'
+      });
+    }
+
+    const result = await Booking.getCustomerBookings(req.user.id);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Get customer bookings error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_BOOKINGS',
+      message: 'Server error while fetching bookings'
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+    
+    res.json({
+      success: true,
+      data: {
+        user,
+        permissions: getPermissions(user)
+      }
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR',
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/auth/profile
+// @desc    Update user profile
+// @access  Private
+router.put('/profile', protect, async (req, res) => {
+  try {
+    console.log('Profile update request received');
+    console.log('Profile fields:', Object.keys(req.body || {}));
+    
+    const {
+      name,
+      email,
+      address,
+      gender,
+      dob,
+      skillType,
+      shopName,
+      servicesOffered,
+      profilePicture,
+      idProof,
+      bankDetails,
+      timezone,
+      language
+    } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    console.log('Found user:', user._id);
+
+    // Personal time zone override (IANA name, e.g. "Asia/Kolkata"); empty clears it
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_CHOOSE_A_VALID_TIME_ZONE',
+        message: 'Please choose a valid time zone'
+      });
+    }
+
+    if (language && !(await I18nService.isAvailable(language))) {
+      return res.status(400).json({
+        success: false,
+        code: 'LANGUAGE_NOT_AVAILABLE',
+        message: `Language "${language}" is not available`
+      });
+    }
+
+    // Contact and bank details cannot be changed while impersonating
+    if (req.impersonator && (bankDetails || email)) {
+      return res.status(403).json({
+        success: false,
+        code: 'IMPERSONATION_FORBIDDEN',
+        message: 'Email and bank details cannot be changed while acting as another user'
+      });
+    }
+
+    // Bank detail changes need a verified email
+    if (bankDetails) {
+      const emailCheck = await EmailVerificationService.checkVerified(user);
+      if (!emailCheck.success) {
+        return res.status(emailCheck.statusCode).json({
+          success: false,
+          code: emailCheck.code,
+          message: emailCheck.message
+        });
+      }
+    }
+
+    // A new email address has to be verified again
+    const emailChanged = !!email && String(email).trim().toLowerCase() !== (user.email || '');
+
+    // Update allowed fields
+    if (name) user.name = name;
+    if (email) user.email = email;
+    if (emailChanged) user.emailVerifiedAt = null;
+    if (address) user.address = address;
+    if (gender) user.gender = gender;
+    if (dob) user.dob = dob;
+    if (timezone !== undefined) user.timezone = timezone || null;
+    if (language !== undefined) user.language = language || null;
+
+    // Handle profile picture upload
+    if (profilePicture && profilePicture.startsWith('data:image/')) {
+      console.log('New profile picture detected. Uploading...');
+      const uploadResult = await uploadBase64Image(profilePicture, 'setuworks/profile-pictures');
+      if (uploadResult.success) {
+        user.profilePicture = uploadResult.url;
+        user.uploadedFiles.profilePicture = uploadResult.url;
+        console.log('Profile picture updated to:', uploadResult.url);
+      } else {
+        console.error('Profile picture upload failed:', uploadResult.error);
+      }
+    } else if (profilePicture === '') {
+      // Handle picture removal
+      user.profilePicture = null;
+    }
+
+    // Handle ID proof upload
+    if (idProof && (idProof.startsWith('data:image/') || idProof.startsWith('data:application/pdf'))) {
+      console.log('New ID proof detected. Uploading...');
+      const uploadResult = await uploadBase64Image(idProof, UPLOAD_TYPES.idProof.folder, { isPrivate: true });
+      if (uploadResult.success) {
+        user.idProof = uploadResult.ref;
+        user.uploadedFiles.idProof = uploadResult.ref;
+        console.log('ID proof updated');
+      } else {
+        console.error('ID proof upload failed:', uploadResult.error);
+      }
+    }
+
+    // Update bank details if provided
+    if (bankDetails) {
+      console.log('Updating bank details...');
+      
+      // Initialize bankDetails object if it doesn't exist
+      if (!user.bankDetails) {
+        console.log('Initializing bankDetails object');
+        user.bankDetails = {};
+      }
+      
+      // The masked number shown to the client is not a new account number
+      const accountNumberChanged = bankDetails.accountNumber !== undefined && !isMaskedValue(bankDetails.accountNumber);
+
+      if (bankDetails.accountHolderName !== undefined) user.bankDetails.accountHolderName = bankDetails.accountHolderName;
+      if (accountNumberChanged) user.bankDetails.accountNumber = bankDetails.accountNumber;
+      if (bankDetails.bankName !== undefined) user.bankDetails.bankName = bankDetails.bankName;
+      if (bankDetails.branchName !== undefined) user.bankDetails.branchName = bankDetails.branchName;
+      if (bankDetails.ifsc !== undefined) user.bankDetails.ifsc = bankDetails.ifsc;
+      if (bankDetails.accountType !== undefined) user.bankDetails.accountType = bankDetails.accountType;
+      if (bankDetails.upiId !== undefined) user.bankDetails.upiId = bankDetails.upiId;
+      
+      // Reset verification status if bank details are updated
+      if ((accountNumberChanged && bankDetails.accountNumber) || bankDetails.ifsc || bankDetails.bankName) {
+        user.bankDetails.verificationStatus = 'pending';
+        user.bankDetails.verifiedAt = null;
+        user.bankDetails.rejectionReason = null;
+      }
+    }
+
+    // Role-specific updates
+    if (user.role === 'worker' || user.role === 'independent_worker') {
+      if (skillType) user.skillType = skillType;
+    }
+    
+    if (user.role === 'contractor') {
+      if (shopName) user.shopName = shopName;
+      if (servicesOffered) {
+        // Handle both string and array inputs for servicesOffered
+        if (typeof servicesOffered === 'string') {
+          user.servicesOffered = servicesOffered.split(',').map(s => s.trim());
+        } else if (Array.isArray(servicesOffered)) {
+          user.servicesOffered = servicesOffered;
+        }
+      }
+    }
+
+    user.updatedAt = Date.now();
+    await user.save();
+
+    if (emailChanged) {
+      const verification = await EmailVerificationService.sendVerification(user);
+      if (!verification.success) {
+        console.error('Verification email not sent:', verification.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      code: 'PROFILE_UPDATED_SUCCESSFULLY',
+      message: 'Profile updated successfully',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          phone: user.phone,
+          email: user.email,
+          emailVerified: !!user.emailVerifiedAt,
+          role: user.role,
+          status: user.status,
+          profilePicture: user.profilePicture,
+          address: user.address,
+          gender: user.gender,
+          dob: user.dob,
+          timezone: user.timezone,
+          language: user.language,
+          skillType: user.skillType,
+          shopName: user.shopName,
+          servicesOffered: user.servicesOffered,
+          idProof: user.idProof,
+          bankDetails: user.toJSON().bankDetails,
+          contractorId: user.contractorId,
+          workerId: user.workerId,
+          independentWorkerId: user.independentWorkerId,
+          contractor: user.contractor,
+          currentWork: user.currentWork,
+          wallet: user.wallet
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Profile update error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_DURING_PROFILE_UPDATE',
+      message: 'Server error during profile update'
+    });
+  }
+});
+
+// @route   PUT /api/auth/password
+// @desc    Change password
+// @access  Private
+router.put('/password', protect, blockImpersonation, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_PROVIDE_CURRENT_PASSWORD_AND_NEW_PASSWORD',
+        message: 'Please provide current password and new password'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    // Check current password
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        code: 'CURRENT_PASSWORD_IS_INCORRECT',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Enforce password policy
+    const passwordCheck = await LoginSecurityService.checkPasswordPolicy(newPassword);
+    if (!passwordCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordCheck.errors.join(', ')
+      });
+    }
+
+    // Update password
+    user.password = newPassword;
+    user.updatedAt = Date.now();
+    await user.save();
+
+    // End every other session so a leaked password cannot be reused
+    const revokedSessions = await SessionService.revokeAllSessions(user._id, {
+      exceptSessionId: req.authSession._id,
+      reason: 'password_changed'
+    });
+
+    res.json({
+      success: true,
+      code: 'PASSWORD_CHANGED_SUCCESSFULLY',
+      message: 'Password changed successfully',
+      data: { revokedSessions }
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_DURING_PASSWORD_CHANGE',
+      message: 'Server error during password change'
+    });
+  }
+});
+
+// @route   POST /api/auth/email/verify
+// @desc    Verify an email address with the token from the verification link
+// @access  Public
+router.post('/email/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        code: 'VERIFICATION_TOKEN_IS_REQUIRED',
+        message: 'Verification token is required'
+      });
+    }
+
+    const result = await EmailVerificationService.verifyEmail(token);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_VERIFYING_EMAIL',
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/email/resend
+// @desc    Send a new verification link to the current user's email
+// @access  Private
+router.post('/email/resend', protect, blockImpersonation, async (req, res) => {
+  try {
+    const result = await EmailVerificationService.sendVerification(req.user);
+
+    if (!result.success) {
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_SENDING_VERIFICATION_EMAIL',
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset code by SMS or email
+// @access  Public
+router.post('/forgot-password', authRateLimit('passwordReset'), async (req, res) => {
+  try {
+    const { phone, email } = req.body;
+
+    if (!phone && !email) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_PROVIDE_YOUR_PHONE_NUMBER_OR_EMAIL',
+        message: 'Please provide your phone number or email'
+      });
+    }
+
+    // Every request counts towards the per-IP limit, successful or not
+    const ipKey = `reset-request:ip:${req.ip}`;
+    const ipLock = await LoginSecurityService.getLock(ipKey);
+    if (ipLock.locked) {
+      res.set('Retry-After', String(ipLock.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'TOO_MANY_PASSWORD_RESET_REQUESTS_PLEASE_TRY',
+        message: 'Too many password reset requests. Please try again later.',
+        retryAfter: ipLock.retryAfter
+      });
+    }
+    await LoginSecurityService.registerFailure(ipKey, RESET_REQUESTS_PER_IP, { windowMinutes: 60, lockMinutes: 60 });
+
+    const { user, identifier, channel } = await findResetAccount({ phone, email });
+
+    // Only send when the account exists, but always answer the same way
+    if (user && user.status !== 'blocked') {
+      const result = await OtpService.requestOtp(identifier, 'password_reset', { channel });
+      if (!result.success && result.statusCode !== 429) {
+        console.error('Password reset code could not be sent:', result.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      code: 'IF_AN_ACCOUNT_EXISTS_FOR_THESE_DETAILS_A_RESET',
+      message: 'If an account exists for these details, a reset code has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_REQUESTING_PASSWORD_RESET',
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password with a reset code
+// @access  Public
+router.post('/reset-password', authRateLimit('passwordReset'), async (req, res) => {
+  try {
+    const { phone, email, code, newPassword } = req.body;
+
+    if ((!phone && !email) || !code || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_PROVIDE_PHONE_OR_EMAIL_RESET_CODE_AND_NEW',
+        message: 'Please provide phone or email, reset code and new password'
+      });
+    }
+
+    const ipKey = `reset-failure:ip:${req.ip}`;
+    const ipLock = await LoginSecurityService.getLock(ipKey);
+    if (ipLock.locked) {
+      res.set('Retry-After', String(ipLock.retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'TOO_MANY_FAILED_RESET_ATTEMPTS_PLEASE_TRY_AGAIN',
+        message: 'Too many failed reset attempts. Please try again later.',
+        retryAfter: ipLock.retryAfter
+      });
+    }
+
+    // Enforce password policy
+    const passwordCheck = await LoginSecurityService.checkPasswordPolicy(newPassword);
+    if (!passwordCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordCheck.errors.join(', ')
+      });
+    }
+
+    const { user, identifier } = await findResetAccount({ phone, email });
+
+    const verification = user
+      ? await OtpService.verifyAndConsume(identifier, 'password_reset', code)
+      : { success: false, statusCode: 400 };
+
+    if (!verification.success) {
+      await LoginSecurityService.registerFailure(ipKey, RESET_FAILURES_PER_IP, { windowMinutes: 60, lockMinutes: 60 });
+      return res.status(verification.statusCode === 429 ? 429 : 400).json({
+        success: false,
+        message: verification.statusCode === 429
+          ? verification.message
+          : 'Invalid or expired reset code'
+      });
+    }
+
+    // Update password (hashed by the User model)
+    user.password = newPassword;
+    user.updatedAt = Date.now();
+    await user.save();
+
+    // The reset invalidates every existing session and lifts any lockout
+    await SessionService.revokeAllSessions(user._id, { reason: 'password_reset' });
+    await LoginSecurityService.unlockAccount(user.phone);
+
+    res.json({
+      success: true,
+      code: 'PASSWORD_RESET_SUCCESSFULLY_PLEASE_LOG_IN_WITH',
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_RESETTING_PASSWORD',
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   GET /api/auth/users
+// @desc    Get all users (admin only)
+// @access  Private, Admin (users:read)
+router.get('/users', protect, requirePermission('users:read'), async (req, res) => {
+  try {
+    const users = await User.find().select('-password').sort({ createdAt: -1 });
+    
+    console.log('Backend sending users data:');
+    users.forEach((user, index) => {
+      console.log(`User ${index + 1}:`, {
+        name: user.name,
+        phone: user.phone,
+        email: user.email,
+        role: user.role,
+        status: user.status,
+        contractorId: user.contractorId,
+        workerId: user.workerId,
+        independentWorkerId: user.independentWorkerId,
+        createdAt: user.createdAt
+      });
+    });
+    
+    res.json({
+      success: true,
+      data: { users }
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR',
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/auth/users/:id/status
+// @desc    Update user status (admin only)
+// @access  Private, Admin (users:approve)
+router.put('/users/:id/status', protect, requirePermission('users:approve'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    
+    if (!['pending', 'approved', 'blocked'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_STATUS',
+        message: 'Invalid status'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    // Only admin managers may approve or block other admins
+    if (user.role === 'admin' && !hasPermissions(req.user, ['admins:manage'])) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_REQUIRED',
+        message: 'Access denied. Requires permission: admins:manage'
+      });
+    }
+
+    const before = AuditService.snapshot(user);
+    const previousStatus = user.status;
+    user.status = status;
+    user.updatedAt = Date.now();
+    
+    // Generate unique ID when approving
+    if (status === 'approved' && previousStatus === 'pending') {
+      try {
+        const uniqueId = await user.generateUniqueId();
+        console.log(`Generated unique ID for ${user.role}: ${uniqueId}`);
+      } catch (error) {
+        console.error('Error generating unique ID:', error);
+        return res.status(500).json({
+          success: false,
+          code: 'ERROR_GENERATING_UNIQUE_ID',
+          message: 'Error generating unique ID'
+        });
+      }
+    }
+
+    await user.save();
+
+    // Blocked users are signed out everywhere
+    if (status === 'blocked') {
+      await SessionService.revokeAllSessions(user._id, { reason: 'account_blocked' });
+    }
+
+    await AuditService.record(req, {
+      action: 'user.status.update',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: user
+    });
+
+    res.json({
+      success: true,
+      code: status === 'approved' ? 'USER_STATUS_UPDATED_AND_UNIQUE_ID_GENERATED' : 'USER_STATUS_UPDATED',
+      message: `User status updated to ${status}${status === 'approved' ? ' and unique ID generated' : ''}`,
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          phone: user.phone,
+          email: user.email,
+          role: user.role,
+          status: user.status,
+          contractorId: user.contractorId,
+          workerId: user.workerId,
+          independentWorkerId: user.independentWorkerId
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_DURING_STATUS_UPDATE',
+      message: 'Server error during status update'
+    });
+  }
+});
+
+// @route   POST /api/auth/admins
+// @desc    Create an admin or sub-admin account
+// @access  Private, Admin (admins:manage)
+router.post('/admins', protect, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { name, phone, email, password, adminRole } = req.body;
+
+    if (!name || !phone || !password || !adminRole) {
+      return res.status(400).json({
+        success: false,
+        code: 'PLEASE_PROVIDE_NAME_PHONE_PASSWORD_AND_ADMINROLE',
+        message: 'Please provide name, phone, password, and adminRole'
+      });
+    }
+
+    if (!ADMIN_ROLES.includes(adminRole)) {
+      return res.status(400).json({
+        success: false,
+        code: 'ADMIN_ROLE_INVALID',
+        message: `adminRole must be one of: ${ADMIN_ROLES.join(', ')}`
+      });
+    }
+
+    const existingUser = await User.findOne({ phone });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        code: 'USER_WITH_THIS_PHONE_NUMBER_ALREADY_EXISTS',
+        message: 'User with this phone number already exists'
+      });
+    }
+
+    const passwordCheck = await LoginSecurityService.checkPasswordPolicy(password);
+    if (!passwordCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordCheck.errors.join(', ')
+      });
+    }
+
+    const adminUser = new User({
+      name,
+      phone,
+      email,
+      password,
+      role: 'admin',
+      adminRole,
+      status: 'approved'
+    });
+    await adminUser.save();
+
+    await AuditService.record(req, {
+      action: 'admin.create',
+      targetType: 'User',
+      targetId: adminUser._id,
+      before: {},
+      after: { name: adminUser.name, phone: adminUser.phone, email: adminUser.email, adminRole: adminUser.adminRole }
+    });
+
+    console.log(`Admin ${adminUser._id} (${adminRole}) created by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      code: 'ADMIN_ACCOUNT_CREATED_SUCCESSFULLY',
+      message: 'Admin account created successfully',
+      data: {
+        user: {
+          id: adminUser._id,
+          name: adminUser.name,
+          phone: adminUser.phone,
+          email: adminUser.email,
+          role: adminUser.role,
+          adminRole: adminUser.adminRole,
+          permissions: getPermissions(adminUser),
+          status: adminUser.status
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create admin error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_CREATING_ADMIN',
+      message: 'Server error while creating admin'
+    });
+  }
+});
+
+// @route   PUT /api/auth/users/:id/admin-role
+// @desc    Change an admin's sub-admin role
+// @access  Private, Admin (admins:manage)
+router.put('/users/:id/admin-role', protect, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { adminRole } = req.body;
 
-    // Handle ID proof upload
-    if (idProof && (idProof.startsWith('data:image/') || idProof.startsWith('data:application/pdf'))) {
-      console.log('New ID proof detected. Uploading to Cloudinary...');
-      const uploadResult = await uploadBase64Image(idProof, 'setuworks/id-proofs');
-      if (uploadResult.success) {
-        user.idProof = uploadResult.url;
-        console.log('ID proof updated to:', uploadResult.url);
-      } else {
-        console.error('ID proof upload failed:', uploadResult.error);
-      }
+    if (!ADMIN_ROLES.includes(adminRole)) {
+      return res.status(400).json({
+        success: false,
+        code: 'ADMIN_ROLE_INVALID',
+        message: `adminRole must be one of: ${ADMIN_ROLES.join(', ')}`
+      });
     }
 
-    // Update bank details if provided
-    if (bankDetails) {
-      console.log('Updating bank details...');
-      
-      // Initialize bankDetails object if it doesn't exist
-      if (!user.bankDetails) {
-        console.log('Initializing bankDetails object');
-        user.bankDetails = {};
-      }
-      
-      if (bankDetails.accountHolderName !== undefined) user.bankDetails.accountHolderName = bankDetails.accountHolderName;
-      if (bankDetails.accountNumber !== undefined) user.bankDetails.accountNumber = bankDetails.accountNumber;
-      if (bankDetails.bankName !== undefined) user.bankDetails.bankName = bankDetails.bankName;
-      if (bankDetails.branchName !== undefined) user.bankDetails.branchName = bankDetails.branchName;
-      if (bankDetails.ifsc !== undefined) user.bankDetails.ifsc = bankDetails.ifsc;
-      if (bankDetails.accountType !== undefined) user.bankDetails.accountType = bankDetails.accountType;
-      if (bankDetails.upiId !== undefined) user.bankDetails.upiId = bankDetails.upiId;
-      
-      // Reset verification status if bank details are updated
-      if (bankDetails.accountNumber || bankDetails.ifsc || bankDetails.bankName) {
-        user.bankDetails.verificationStatus = 'pending';
-        user.bankDetails.verifiedAt = null;
-        user.bankDetails.rejectionReason = null;
-      }
-      
-      console.log('Updated bankDetails:', user.bankDetails);
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        code: 'YOU_CANNOT_CHANGE_YOUR_OWN_ADMIN_ROLE',
+        message: 'You cannot change your own admin role'
+      });
     }
 
-    // Role-specific updates
-    if (user.role === 'worker' || user.role === 'independent_worker') {
-      if (skillType) user.skillType = skillType;
-    }
-    
-    if (user.role === 'contractor') {
-      if (shopName) user.shopName = shopName;
-      if (servicesOffered) {
-        // Handle both string and array inputs for servicesOffered
-        if (typeof servicesOffered === 'string') {
-          user.servicesOffered = servicesOffered.split(',').map(s => s.trim());
-        } else if (Array.isArray(servicesOffered)) {
-          user.servicesOffered = servicesOffered;
-        }
-      }
+    const user = await User.findOne({ _id: req.params.id, role: 'admin' });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'ADMIN_NOT_FOUND',
+        message: 'Admin not found'
+      });
     }
 
+    // Permissions are looked up on every request, so the change applies immediately
+    const before = AuditService.snapshot(user);
+    user.adminRole = adminRole;
     user.updatedAt = Date.now();
     await user.save();
 
+    await AuditService.record(req, {
+      action: 'admin.role.update',
+      targetType: 'User',
+      targetId: user._id,
+      before,
+      after: user
+    });
+
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      code: 'ADMIN_ROLE_UPDATED',
+      message: `Admin role updated to ${adminRole}`,
       data: {
         user: {
           id: user._id,
           name: user.name,
           phone: user.phone,
-          email: user.email,
           role: user.role,
-          status: user.status,
-          profilePicture: user.profilePicture,
-          address: user.address,
-          gender: user.gender,
-          dob: user.dob,
-          skillType: user.skillType,
-          shopName: user.shopName,
-          servicesOffered: user.servicesOffered,
-          idProof: user.idProof,
-          bankDetails: user.bankDetails,
-          contractorId: user.contractorId,
-          workerId: user.workerId,
-          independentWorkerId: user.independentWorkerId,
-          contractor: user.contractor,
-          currentWork: user.currentWork,
-          wallet: user.wallet
+          adminRole: user.adminRole,
+          permissions: getPermissions(user)
         }
       }
     });
   } catch (error) {
-    console.error('Profile update error:', error);
+    console.error('Update admin role error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during profile update'
+      code: 'SERVER_ERROR_WHILE_UPDATING_ADMIN_ROLE',
+      message: 'Server error while updating admin role'
     });
   }
 });
 
-// @route   PUT /api/auth/password
-// @desc    Change password
-// @access  Private
-router.put('/password', protect, async (req, res) => {
+// @route   POST /api/auth/users/:id/impersonate
+// @desc    Act as a user with a short-lived impersonation token
+// @access  Private, Admin (users:impersonate)
+router.post('/users/:id/impersonate', protect, requirePermission('users:impersonate'), async (req, res) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { reason } = req.body;
 
-    if (!currentPassword || !newPassword) {
+    if (!reason || !String(reason).trim()) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide current password and new password'
+        code: 'PLEASE_PROVIDE_A_REASON_FOR_ACTING_AS_THIS_USER',
+        message: 'Please provide a reason for acting as this user'
       });
     }
 
-    const user = await User.findById(req.user.id);
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
     if (!user) {
       return res.status(404).json({
         success: false,
+        code: 'USER_NOT_FOUND',
         message: 'User not found'
       });
     }
 
-    // Check current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        success: false,
+        code: 'ADMIN_ACCOUNTS_CANNOT_BE_IMPERSONATED',
+        message: 'Admin accounts cannot be impersonated'
+      });
+    }
+
+    if (user.status === 'blocked') {
       return res.status(400).json({
         success: false,
-        message: 'Current password is incorrect'
+        code: 'BLOCKED_ACCOUNTS_CANNOT_BE_IMPERSONATED',
+        message: 'Blocked accounts cannot be impersonated'
       });
     }
 
-    // Update password
-    user.password = newPassword;
-    user.updatedAt = Date.now();
-    await user.save();
+    const session = await SessionService.createImpersonationSession(req.user, user, req, String(reason).trim());
 
-    res.json({
+    await ImpersonationService.logEvent({
+      adminId: req.user._id,
+      userId: user._id,
+      sessionId: session.sessionId,
+      event: 'start',
+      req,
+      statusCode: 201,
+      reason: String(reason).trim()
+    });
+
+    await AuditService.record(req, {
+      action: 'user.impersonate',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { sessionId: session.sessionId, reason: String(reason).trim() }
+    });
+
+    console.log(`Admin ${req.user.id} started impersonating user ${user._id}`);
+
+    res.status(201).json({
       success: true,
-      message: 'Password changed successfully'
+      code: 'ACTING_AS_USER',
+      message: `You are now acting as ${user.name}`,
+      data: {
+        user: formatLoginUser(user),
+        token: session.token,
+        expiresIn: session.expiresIn,
+        impersonation: {
+          sessionId: session.sessionId,
+          impersonator: req.user._id
+        }
+      }
     });
   } catch (error) {
-    console.error('Password change error:', error);
+    console.error('Start impersonation error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during password change'
+      code: 'SERVER_ERROR_WHILE_STARTING_IMPERSONATION',
+      message: 'Server error while starting impersonation'
     });
   }
 });
 
-// @route   GET /api/auth/users
-// @desc    Get all users (admin only)
-// @access  Private, Admin
-router.get('/users', protect, authorize('admin'), async (req, res) => {
+// @route   POST /api/auth/impersonation/end
+// @desc    Stop acting as a user and revoke the impersonation token
+// @access  Private (impersonation token)
+router.post('/impersonation/end', protect, async (req, res) => {
   try {
-    const users = await User.find().select('-password').sort({ createdAt: -1 });
-    
-    console.log('Backend sending users data:');
-    users.forEach((user, index) => {
-      console.log(`User ${index + 1}:`, {
-        name: user.name,
-        phone: user.phone,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        contractorId: user.contractorId,
-        workerId: user.workerId,
-        independentWorkerId: user.independentWorkerId,
-        createdAt: user.createdAt
+    if (!req.impersonator) {
+      return res.status(400).json({
+        success: false,
+        code: 'THIS_SESSION_IS_NOT_AN_IMPERSONATION_SESSION',
+        message: 'This session is not an impersonation session'
       });
+    }
+
+    await SessionService.revokeSession(req.user._id, req.authSession._id, 'impersonation_ended');
+
+    await ImpersonationService.logEvent({
+      adminId: req.impersonator,
+      userId: req.user._id,
+      sessionId: req.authSession._id,
+      event: 'end',
+      req,
+      statusCode: 200
     });
-    
+
+    await AuditService.record(req, {
+      action: 'user.impersonate.end',
+      targetType: 'User',
+      targetId: req.user._id,
+      metadata: { sessionId: String(req.authSession._id) }
+    });
+
     res.json({
       success: true,
-      data: { users }
+      code: 'IMPERSONATION_ENDED',
+      message: 'Impersonation ended'
     });
   } catch (error) {
-    console.error('Get users error:', error);
+    console.error('End impersonation error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      code: 'SERVER_ERROR_WHILE_ENDING_IMPERSONATION',
+      message: 'Server error while ending impersonation'
     });
   }
 });
 
-// @route   PUT /api/auth/users/:id/status
-// @desc    Update user status (admin only)
-// @access  Private, Admin
-router.put('/users/:id/status', protect, authorize('admin'), async (req, res) => {
+// @route   GET /api/auth/impersonation-logs
+// @desc    Audit trail of admin impersonation (filter by adminId, userId, sessionId)
+// @access  Private, Admin (admins:manage)
+router.get('/impersonation-logs', protect, requirePermission('admins:manage'), async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    if (!['pending', 'approved', 'blocked'].includes(status)) {
-      return res.status(400).json({
+    const result = await ImpersonationService.listLogs(req.query);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
         success: false,
-        message: 'Invalid status'
+        code: result.code,
+        message: result.message
       });
     }
 
-    const user = await User.findById(req.params.id);
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Get impersonation logs error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_IMPERSONATION_LOGS',
+      message: 'Server error while fetching impersonation logs'
+    });
+  }
+});
+
+// @route   PUT /api/auth/users/:id/unlock
+// @desc    Lift a login lockout before it expires (admin only)
+// @access  Private, Admin (users:unlock)
+router.put('/users/:id/unlock', protect, requirePermission('users:unlock'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name phone');
     if (!user) {
       return res.status(404).json({
         success: false,
+        code: 'USER_NOT_FOUND',
         message: 'User not found'
       });
     }
 
-    const previousStatus = user.status;
-    user.status = status;
-    user.updatedAt = Date.now();
-    
-    // Generate unique ID when approving
-    if (status === 'approved' && previousStatus === 'pending') {
-      try {
-        const uniqueId = await user.generateUniqueId();
-        console.log(`Generated unique ID for ${user.role}: ${uniqueId}`);
-      } catch (error) {
-        console.error('Error generating unique ID:', error);
-        return res.status(500).json({
-          success: false,
-          message: 'Error generating unique ID'
-        });
-      }
-    }
+    const wasLocked = await LoginSecurityService.unlockAccount(user.phone);
 
-    await user.save();
+    await AuditService.record(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { wasLocked }
+    });
+
+    console.log(`Account ${user._id} unlocked by admin ${req.user.id} (was locked: ${wasLocked})`);
 
     res.json({
       success: true,
-      message: `User status updated to ${status}${status === 'approved' ? ' and unique ID generated' : ''}`,
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked',
       data: {
         user: {
           id: user._id,
           name: user.name,
-          phone: user.phone,
-          email: user.email,
-          role: user.role,
-          status: user.status,
-          contractorId: user.contractorId,
-          workerId: user.workerId,
-          independentWorkerId: user.independentWorkerId
-        }
+          phone: user.phone
+        },
+        wasLocked
       }
     });
   } catch (error) {
-    console.error('Update user status error:', error);
+    console.error('Unlock account error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during status update'
+      code: 'SERVER_ERROR_WHILE_UNLOCKING_ACCOUNT',
+      message: 'Server error while unlocking account'
     });
   }
 });
 
 // @route   PUT /api/auth/users/:id/bank-verification
 // @desc    Verify or reject user's bank details (admin only)
-// @access  Private, Admin
-router.put('/users/:id/bank-verification', protect, authorize('admin'), async (req, res) => {
+// @access  Private, Admin (bank:verify)
+router.put('/users/:id/bank-verification', protect, blockImpersonation, requirePermission('bank:verify'), async (req, res) => {
   console.log('=== BANK VERIFICATION ROUTE HIT ===');
   console.log('User ID:', req.params.id);
   console.log('Request body:', req.body);
@@ -981,6 +2459,7 @@ router.put('/users/:id/bank-verification', protect, authorize('admin'), async (r
     if (!['verified', 'rejected', 'pending'].includes(status)) {
       return res.status(400).json({
         success: false,
+        code: 'INVALID_VERIFICATION_STATUS_MUST_BE_VERIFIED',
         message: 'Invalid verification status. Must be verified, rejected, or pending'
       });
     }
@@ -988,6 +2467,7 @@ router.put('/users/:id/bank-verification', protect, authorize('admin'), async (r
     if (status === 'rejected' && !rejectionReason) {
       return res.status(400).json({
         success: false,
+        code: 'REJECTION_REASON_IS_REQUIRED_WHEN_REJECTING_BANK',
         message: 'Rejection reason is required when rejecting bank details'
       });
     }
@@ -996,6 +2476,7 @@ router.put('/users/:id/bank-verification', protect, authorize('admin'), async (r
     if (!user) {
       return res.status(404).json({
         success: false,
+        code: 'USER_NOT_FOUND',
         message: 'User not found'
       });
     }
@@ -1003,10 +2484,13 @@ router.put('/users/:id/bank-verification', protect, authorize('admin'), async (r
     if (!user.bankDetails || !user.bankDetails.accountNumber) {
       return res.status(400).json({
         success: false,
+        code: 'USER_HAS_NO_BANK_DETAILS_TO_VERIFY',
         message: 'User has no bank details to verify'
       });
     }
 
+    const before = AuditService.snapshot(user.bankDetails);
+
     // Update bank verification status
     user.bankDetails.verificationStatus = status;
     
@@ -1024,8 +2508,17 @@ router.put('/users/:id/bank-verification', protect, authorize('admin'), async (r
     user.updatedAt = Date.now();
     await user.save();
 
+    await AuditService.record(req, {
+      action: 'user.bank.verify',
+      targetType: 'User',
+      targetId: user._id,
+      before: { bankDetails: before },
+      after: { bankDetails: user.bankDetails }
+    });
+
     res.json({
       success: true,
+      code: 'BANK_DETAILS_STATUS_UPDATED',
       message: `Bank details ${status === 'verified' ? 'verified' : status === 'rejected' ? 'rejected' : 'reset to pending'} successfully`,
       data: {
         user: {
@@ -1034,7 +2527,7 @@ router.put('/users/:id/bank-verification', protect, authorize('admin'), async (r
           phone: user.phone,
           email: user.email,
           role: user.role,
-          bankDetails: user.bankDetails
+          bankDetails: user.toJSON().bankDetails
         }
       }
     });
@@ -1042,6 +2535,7 @@ router.put('/users/:id/bank-verification', protect, authorize('admin'), async (r
     console.error('Bank verification error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_DURING_BANK_VERIFICATION',
       message: 'Server error during bank verification'
     });
   }
@@ -1049,8 +2543,8 @@ router.put('/users/:id/bank-verification', protect, authorize('admin'), async (r
 
 // @route   GET /api/auth/users/bank-pending
 // @desc    Get all users with pending bank verification (admin only)
-// @access  Private, Admin
-router.get('/users/bank-pending', protect, authorize('admin'), async (req, res) => {
+// @access  Private, Admin (bank:verify)
+router.get('/users/bank-pending', protect, requirePermission('bank:verify'), async (req, res) => {
   try {
     const users = await User.find({
       'bankDetails.accountNumber': { $exists: true, $ne: null },
@@ -1068,17 +2562,79 @@ router.get('/users/bank-pending', protect, authorize('admin'), async (req, res)
     console.error('Get pending bank verifications error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR',
       message: 'Server error'
     });
   }
 });
 
+// @route   GET /api/auth/users/:id/bank-details/reveal
+// @desc    Reveal a user's full bank account number (admin only)
+// @access  Private, Admin (bank:reveal)
+router.get('/users/:id/bank-details/reveal', protect, requirePermission('bank:reveal'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('bankDetails');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      });
+    }
+
+    if (!user.bankDetails || !user.bankDetails.accountNumber) {
+      return res.status(404).json({
+        success: false,
+        code: 'USER_HAS_NO_BANK_ACCOUNT_NUMBER_ON_FILE',
+        message: 'User has no bank account number on file'
+      });
+    }
+
+    const accountNumber = decrypt(user.bankDetails.accountNumber);
+
+    await AuditService.record(req, {
+      action: 'user.bank.reveal',
+      targetType: 'User',
+      targetId: user._id
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: { accountNumber }
+    });
+  } catch (error) {
+    console.error('Reveal bank details error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_REVEALING_BANK_DETAILS',
+      message: 'Server error while revealing bank details'
+    });
+  }
+});
+
 // @route   GET /api/auth/images
-// @desc    List all images from Cloudinary
-// @access  Private (Admin only)
-router.get('/images', protect, authorize('admin'), async (req, res) => {
+// @desc    List uploaded images in a folder
+// @access  Private, Admin (media:read)
+router.get('/images', protect, requirePermission('media:read'), async (req, res) => {
   try {
     const { folder } = req.query;
+    if (folder && !isValidFolder(folder)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_FOLDER',
+        message: 'Invalid folder'
+      });
+    }
+
     const result = await listImages(folder || 'setuworks/profile-pictures');
     
     if (result.success) {
@@ -1092,7 +2648,8 @@ router.get('/images', protect, authorize('admin'), async (req, res) => {
     } else {
       res.status(500).json({
         success: false,
-        message: 'Error fetching images from Cloudinary',
+        code: 'ERROR_FETCHING_IMAGES',
+        message: 'Error fetching images',
         error: result.error
       });
     }
@@ -1100,6 +2657,7 @@ router.get('/images', protect, authorize('admin'), async (req, res) => {
     console.error('List images error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_IMAGES',
       message: 'Server error while fetching images'
     });
   }
@@ -1117,6 +2675,7 @@ router.get('/wallet', protect, async (req, res) => {
     if (req.user.role !== 'customer') {
       return res.status(403).json({
         success: false,
+        code: 'ONLY_CUSTOMERS_CAN_ACCESS_WALLET',
         message: 'Only customers can access wallet'
       });
     }
@@ -1126,6 +2685,7 @@ router.get('/wallet', protect, async (req, res) => {
     if (!user) {
       return res.status(404).json({
         success: false,
+        code: 'USER_NOT_FOUND',
         message: 'User not found'
       });
     }
@@ -1148,6 +2708,7 @@ router.get('/wallet', protect, async (req, res) => {
     console.error('Get wallet error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_WALLET_DATA',
       message: 'Server error while fetching wallet data'
     });
   }
@@ -1156,18 +2717,20 @@ router.get('/wallet', protect, async (req, res) => {
 // @route   POST /api/auth/wallet/recharge
 // @desc    Recharge customer wallet
 // @access  Private (Customer only)
-router.post('/wallet/recharge', protect, async (req, res) => {
+router.post('/wallet/recharge', protect, blockImpersonation, async (req, res) => {
   try {
     console.log('=== WALLET RECHARGE ===');
     console.log('Request body:', req.body);
     console.log('Requesting user:', req.user);
 
     const { amount, paymentMethod = 'upi', paymentReference } = req.body;
+    const locale = await LocaleService.getLocale(req.user);
 
     // Validate amount
     if (!amount || parseFloat(amount) <= 0) {
       return res.status(400).json({
         success: false,
+        code: 'PLEASE_ENTER_A_VALID_AMOUNT',
         message: 'Please enter a valid amount'
       });
     }
@@ -1175,7 +2738,8 @@ router.post('/wallet/recharge', protect, async (req, res) => {
     if (parseFloat(amount) > 10000) {
       return res.status(400).json({
         success: false,
-        message: 'Maximum recharge amount is ₹10,000'
+        code: 'MAXIMUM_RECHARGE_AMOUNT',
+        message: `Maximum recharge amount is ${formatMoney(10000, locale)}`
       });
     }
 
@@ -1183,6 +2747,7 @@ router.post('/wallet/recharge', protect, async (req, res) => {
     if (req.user.role !== 'customer') {
       return res.status(403).json({
         success: false,
+        code: 'ONLY_CUSTOMERS_CAN_RECHARGE_WALLET',
         message: 'Only customers can recharge wallet'
       });
     }
@@ -1192,7 +2757,7 @@ router.post('/wallet/recharge', protect, async (req, res) => {
       userId: req.user.id,
       type: 'recharge',
       amount: parseFloat(amount),
-      description: `Wallet recharge of ₹${amount}`,
+      description: `Wallet recharge of ${formatMoney(parseFloat(amount), locale)}`,
       paymentMethod,
       paymentReference,
       status: 'completed'
@@ -1201,8 +2766,15 @@ router.post('/wallet/recharge', protect, async (req, res) => {
     // Get updated user data
     const user = await User.findById(req.user.id).select('wallet');
 
+    await NotificationService.notifyUser(req.user, {
+      type: 'payment',
+      subject: 'Wallet recharged',
+      text: `${formatMoney(transaction.amount, locale)} was added to your SetuWorks wallet. Balance: ${formatMoney(transaction.balanceAfter, locale)}.`
+    });
+
     res.json({
       success: true,
+      code: 'WALLET_RECHARGED_SUCCESSFULLY',
       message: 'Wallet recharged successfully',
       data: {
         balance: user.wallet,
@@ -1228,18 +2800,20 @@ router.post('/wallet/recharge', protect, async (req, res) => {
 // @route   POST /api/auth/wallet/withdraw
 // @desc    Withdraw from customer wallet
 // @access  Private (Customer only)
-router.post('/wallet/withdraw', protect, async (req, res) => {
+router.post('/wallet/withdraw', protect, blockImpersonation, requireVerifiedEmail, async (req, res) => {
   try {
     console.log('=== WALLET WITHDRAWAL ===');
     console.log('Request body:', req.body);
     console.log('Requesting user:', req.user);
 
     const { amount, paymentMethod = 'bank_transfer', paymentReference } = req.body;
+    const locale = await LocaleService.getLocale(req.user);
 
     // Validate amount
     if (!amount || parseFloat(amount) <= 0) {
       return res.status(400).json({
         success: false,
+        code: 'PLEASE_ENTER_A_VALID_AMOUNT',
         message: 'Please enter a valid amount'
       });
     }
@@ -1248,10 +2822,20 @@ router.post('/wallet/withdraw', protect, async (req, res) => {
     if (req.user.role !== 'customer') {
       return res.status(403).json({
         success: false,
+        code: 'ONLY_CUSTOMERS_CAN_WITHDRAW_FROM_WALLET',
         message: 'Only customers can withdraw from wallet'
       });
     }
 
+    const minWithdrawalAmount = await SettingsCacheService.getMinWithdrawalAmount();
+    if (parseFloat(amount) < minWithdrawalAmount) {
+      return res.status(400).json({
+        success: false,
+        code: 'MINIMUM_WITHDRAWAL_AMOUNT',
+        message: `Minimum withdrawal amount is ${formatMoney(minWithdrawalAmount, locale)}`
+      });
+    }
+
     // Check current balance
     const user = await User.findById(req.user.id).select('wallet');
     const currentBalance = user.wallet || 0;
@@ -1259,6 +2843,7 @@ router.post('/wallet/withdraw', protect, async (req, res) => {
     if (parseFloat(amount) > currentBalance) {
       return res.status(400).json({
         success: false,
+        code: 'INSUFFICIENT_BALANCE',
         message: 'Insufficient balance'
       });
     }
@@ -1268,7 +2853,7 @@ router.post('/wallet/withdraw', protect, async (req, res) => {
       userId: req.user.id,
       type: 'withdraw',
       amount: parseFloat(amount),
-      description: `Wallet withdrawal of ₹${amount}`,
+      description: `Wallet withdrawal of ${formatMoney(parseFloat(amount), locale)}`,
       paymentMethod,
       paymentReference,
       status: 'completed'
@@ -1277,8 +2862,15 @@ router.post('/wallet/withdraw', protect, async (req, res) => {
     // Get updated user data
     const updatedUser = await User.findById(req.user.id).select('wallet');
 
+    await NotificationService.notifyUser(req.user, {
+      type: 'payment',
+      subject: 'Wallet withdrawal',
+      text: `${formatMoney(transaction.amount, locale)} was withdrawn from your SetuWorks wallet. Balance: ${formatMoney(transaction.balanceAfter, locale)}.`
+    });
+
     res.json({
       success: true,
+      code: 'WITHDRAWAL_SUCCESSFUL',
       message: 'Withdrawal successful',
       data: {
         balance: updatedUser.wallet,
@@ -1313,6 +2905,7 @@ router.get('/wallet/transactions', protect, async (req, res) => {
     if (req.user.role !== 'customer') {
       return res.status(403).json({
         success: false,
+        code: 'ONLY_CUSTOMERS_CAN_ACCESS_WALLET_TRANSACTIONS',
         message: 'Only customers can access wallet transactions'
       });
     }
@@ -1343,6 +2936,7 @@ router.get('/wallet/transactions', protect, async (req, res) => {
     console.error('Get wallet transactions error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_WALLET_TRANSACTIONS',
       message: 'Server error while fetching wallet transactions'
     });
   }
@@ -1359,6 +2953,7 @@ router.get('/wallet/summary', protect, async (req, res) => {
     if (req.user.role !== 'customer') {
       return res.status(403).json({
         success: false,
+        code: 'ONLY_CUSTOMERS_CAN_ACCESS_WALLET_SUMMARY',
         message: 'Only customers can access wallet summary'
       });
     }
@@ -1377,6 +2972,7 @@ router.get('/wallet/summary', protect, async (req, res) => {
     console.error('Get wallet summary error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_WALLET_SUMMARY',
       message: 'Server error while fetching wallet summary'
     });
   }
@@ -1406,6 +3002,7 @@ router.get('/admin-exists', async (req, res) => {
     console.error('Check admin exists error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_CHECKING_ADMIN_EXISTENCE',
       message: 'Server error while checking admin existence'
     });
   }
@@ -1425,6 +3022,7 @@ router.post('/setup-admin', async (req, res) => {
     if (existingAdmin) {
       return res.status(400).json({
         success: false,
+        code: 'ADMIN_USER_ALREADY_EXISTS',
         message: 'Admin user already exists'
       });
     }
@@ -1434,24 +3032,45 @@ router.post('/setup-admin', async (req, res) => {
     if (existingUser) {
       return res.status(400).json({
         success: false,
+        code: 'USER_WITH_THIS_EMAIL_ALREADY_EXISTS',
         message: 'User with this email already exists'
       });
     }
+
+    // Enforce password policy
+    const passwordCheck = await LoginSecurityService.checkPasswordPolicy(password);
+    if (!passwordCheck.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: passwordCheck.errors.join(', ')
+      });
+    }
     
     // Create admin user
     const adminUser = new User({
       name,
       email,
-      password, // Will be hashed by pre-save hook
+      password, // Hashed by the User model pre-save hook
       phone,
       role: 'admin',
+      adminRole: 'super_admin',
       status: 'approved'
     });
     
     await adminUser.save();
+
+    // Nobody is signed in yet, so the entry has no actor; ip and user agent
+    // show where the first admin was created from
+    await AuditService.record(req, {
+      action: 'admin.setup',
+      targetType: 'User',
+      targetId: adminUser._id,
+      before: {},
+      after: { name: adminUser.name, phone: adminUser.phone, email: adminUser.email, adminRole: adminUser.adminRole }
+    });
     
-    // Generate token
-    const token = generateToken(adminUser._id);
+    // Start a session
+    const session = await SessionService.createSession(adminUser, req);
     
     console.log('Admin user created successfully:', {
       id: adminUser._id,
@@ -1461,6 +3080,7 @@ router.post('/setup-admin', async (req, res) => {
     
     res.status(201).json({
       success: true,
+      code: 'ADMIN_USER_CREATED_SUCCESSFULLY',
       message: 'Admin user created successfully',
       data: {
         user: {
@@ -1470,13 +3090,16 @@ router.post('/setup-admin', async (req, res) => {
           role: adminUser.role,
           status: adminUser.status
         },
-        token
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
       }
     });
   } catch (error) {
     console.error('Admin setup error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_DURING_ADMIN_SETUP',
       message: 'Server error during admin setup'
     });
   }
@@ -1484,8 +3107,8 @@ router.post('/setup-admin', async (req, res) => {
 
 // @route   POST /api/auth/recalculate-ratings
 // @desc    Manually recalculate all worker ratings (for fixing data)
-// @access  Private, Admin
-router.post('/recalculate-ratings', protect, authorize('admin'), async (req, res) => {
+// @access  Private, Admin (ratings:manage)
+router.post('/recalculate-ratings', protect, requirePermission('ratings:manage'), async (req, res) => {
   try {
     console.log('=== RECALCULATING ALL WORKER RATINGS ===');
     
@@ -1534,14 +3157,22 @@ router.post('/recalculate-ratings', protect, authorize('admin'), async (req, res
       }
     }
     
+    await AuditService.record(req, {
+      action: 'ratings.recalculate',
+      targetType: 'Rating',
+      metadata: { workers: workers.length, updated: updatedCount }
+    });
+
     res.json({
       success: true,
+      code: 'RATINGS_RECALCULATED',
       message: `Recalculated ratings for ${updatedCount} workers`
     });
   } catch (error) {
     console.error('Recalculate ratings error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_RECALCULATING_RATINGS',
       message: 'Server error while recalculating ratings'
     });
   }
@@ -1549,32 +3180,18 @@ router.post('/recalculate-ratings', protect, authorize('admin'), async (req, res
 
 // @route   GET /api/auth/dashboard-stats
 // @desc    Get comprehensive dashboard statistics for admin
-// @access  Private, Admin
-router.get('/dashboard-stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private, Admin (reports:read)
+router.get('/dashboard-stats', protect, requirePermission('reports:read'), async (req, res) => {
   try {
     console.log('=== FETCHING DASHBOARD STATS ===');
     const { timeRange = '7d' } = req.query;
     
-    // Calculate date range based on timeRange
+    // Day and month boundaries follow the configured time zone
+    const { timezone } = await LocaleService.getLocale(req.user);
     const now = new Date();
-    let startDate = new Date();
-    
-    switch (timeRange) {
-      case '24h':
-        startDate.setHours(now.getHours() - 24);
-        break;
-      case '7d':
-        startDate.setDate(now.getDate() - 7);
-        break;
-      case '30d':
-        startDate.setDate(now.getDate() - 30);
-        break;
-      case '90d':
-        startDate.setDate(now.getDate() - 90);
-        break;
-      default:
-        startDate.setDate(now.getDate() - 7);
-    }
+    const startDate = getRangeStart(timeRange, timezone, now);
+    const thisMonthStart = startOfMonth(now, timezone);
+    const lastMonthStart = startOfMonth(now, timezone, -1);
     
     // Get user statistics
     const userStats = await User.aggregate([
@@ -1687,7 +3304,7 @@ router.get('/dashboard-stats', protect, authorize('admin'), async (req, res) =>
             $sum: {
               $cond: [
                 {
-                  $gte: ['$completedDate', new Date(now.getFullYear(), now.getMonth(), 1)]
+                  $gte: ['$completedDate', thisMonthStart]
                 },
                 '$commissionAmount',
                 0
@@ -1699,8 +3316,8 @@ router.get('/dashboard-stats', protect, authorize('admin'), async (req, res) =>
               $cond: [
                 {
                   $and: [
-                    { $gte: ['$completedDate', new Date(now.getFullYear(), now.getMonth() - 1, 1) ] },
-                    { $lt: ['$completedDate', new Date(now.getFullYear(), now.getMonth(), 1) ] }
+                    { $gte: ['$completedDate', lastMonthStart] },
+                    { $lt: ['$completedDate', thisMonthStart] }
                   ]
                 },
                 '$commissionAmount',
@@ -1794,6 +3411,7 @@ router.get('/dashboard-stats', protect, authorize('admin'), async (req, res) =>
     console.error('Get dashboard stats error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_DASHBOARD_STATISTICS',
       message: 'Server error while fetching dashboard statistics'
     });
   }
@@ -1801,8 +3419,8 @@ router.get('/dashboard-stats', protect, authorize('admin'), async (req, res) =>
 
 // @route   GET /api/auth/user-stats
 // @desc    Get user statistics by role
-// @access  Private, Admin
-router.get('/user-stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private, Admin (reports:read)
+router.get('/user-stats', protect, requirePermission('reports:read'), async (req, res) => {
   try {
     const userStats = await User.aggregate([
       {
@@ -1826,6 +3444,7 @@ router.get('/user-stats', protect, authorize('admin'), async (req, res) => {
     console.error('Get user stats error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_USER_STATISTICS',
       message: 'Server error while fetching user statistics'
     });
   }
@@ -1833,8 +3452,8 @@ router.get('/user-stats', protect, authorize('admin'), async (req, res) => {
 
 // @route   GET /api/auth/job-stats
 // @desc    Get job statistics by status
-// @access  Private, Admin
-router.get('/job-stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private, Admin (reports:read)
+router.get('/job-stats', protect, requirePermission('reports:read'), async (req, res) => {
   try {
     const Job = require('../models/Job');
     const jobStats = await Job.aggregate([
@@ -1859,6 +3478,7 @@ router.get('/job-stats', protect, authorize('admin'), async (req, res) => {
     console.error('Get job stats error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_JOB_STATISTICS',
       message: 'Server error while fetching job statistics'
     });
   }
@@ -1866,8 +3486,8 @@ router.get('/job-stats', protect, authorize('admin'), async (req, res) => {
 
 // @route   GET /api/auth/booking-stats
 // @desc    Get booking statistics by status
-// @access  Private, Admin
-router.get('/booking-stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private, Admin (reports:read)
+router.get('/booking-stats', protect, requirePermission('reports:read'), async (req, res) => {
   try {
     const bookingStats = await Booking.getBookingStats();
     const formattedStats = bookingStats[0] || {};
@@ -1880,6 +3500,7 @@ router.get('/booking-stats', protect, authorize('admin'), async (req, res) => {
     console.error('Get booking stats error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_BOOKING_STATISTICS',
       message: 'Server error while fetching booking statistics'
     });
   }
@@ -1887,8 +3508,8 @@ router.get('/booking-stats', protect, authorize('admin'), async (req, res) => {
 
 // @route   GET /api/auth/transaction-stats
 // @desc    Get transaction statistics by type
-// @access  Private, Admin
-router.get('/transaction-stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private, Admin (reports:read)
+router.get('/transaction-stats', protect, requirePermission('reports:read'), async (req, res) => {
   try {
     const transactionStats = await Transaction.aggregate([
       { $match: { status: 'completed' } },
@@ -1917,6 +3538,7 @@ router.get('/transaction-stats', protect, authorize('admin'), async (req, res) =
     console.error('Get transaction stats error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_TRANSACTION',
       message: 'Server error while fetching transaction statistics'
     });
   }
@@ -1924,8 +3546,8 @@ router.get('/transaction-stats', protect, authorize('admin'), async (req, res) =
 
 // @route   GET /api/auth/rating-stats
 // @desc    Get rating statistics
-// @access  Private, Admin
-router.get('/rating-stats', protect, authorize('admin'), async (req, res) => {
+// @access  Private, Admin (reports:read)
+router.get('/rating-stats', protect, requirePermission('reports:read'), async (req, res) => {
   try {
     const Rating = require('../models/Rating');
     const ratingStats = await Rating.aggregate([
@@ -1963,6 +3585,7 @@ router.get('/rating-stats', protect, authorize('admin'), async (req, res) => {
     console.error('Get rating stats error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_RATING_STATISTICS',
       message: 'Server error while fetching rating statistics'
     });
   }
@@ -0,0 +1,104 @@
+const express = require('express');
+const BackupService = require('../services/backupService');
+const AuditService = require('../services/auditService');
+const { protect, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/backups
+// @desc    List backups, newest first (filters: status, page, limit)
+// @access  Private, Admin (backups:manage)
+router.get('/', protect, requirePermission('backups:manage'), async (req, res) => {
+  try {
+    const result = await BackupService.listBackups(req.query);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Get backups error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_BACKUPS',
+      message: 'Server error while fetching backups'
+    });
+  }
+});
+
+// @route   POST /api/backups
+// @desc    Start a backup now; poll GET /api/backups/:name for the result
+// @access  Private, Admin (backups:manage)
+router.post('/', protect, requirePermission('backups:manage'), async (req, res) => {
+  try {
+    const result = await BackupService.startBackup({ trigger: 'manual', createdBy: req.user._id });
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    await AuditService.record(req, {
+      action: 'backup.create',
+      targetType: 'Backup',
+      targetId: result.data._id,
+      metadata: { name: result.data.name }
+    });
+
+    res.status(202).json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Start backup error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_STARTING_BACKUP',
+      message: 'Server error while starting backup'
+    });
+  }
+});
+
+// @route   GET /api/backups/:name
+// @desc    Get a backup's status and manifest entries
+// @access  Private, Admin (backups:manage)
+router.get('/:name', protect, requirePermission('backups:manage'), async (req, res) => {
+  try {
+    const result = await BackupService.getBackup(req.params.name);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Get backup error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_BACKUP',
+      message: 'Server error while fetching backup'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,10 @@ const User = require('../models/User');
 const Booking = require('../models/Booking');
 const Job = require('../models/Job');
 const { protect, authorize } = require('../middleware/auth');
+const AuditService = require('../services/auditService');
+const NotificationService = require('../services/notificationService');
+const LocaleService = require('../services/localeService');
+const { startOfMonth } = require('../utils/locale');
 
 const router = express.Router();
 
@@ -35,10 +39,9 @@ router.get('/dashboard-stats', protect, authorize('contractor'), async (req, res
       status: 'pending'
     });
 
-    // Calculate monthly earnings (completed jobs this month)
-    const currentMonth = new Date();
-    currentMonth.setDate(1);
-    currentMonth.setHours(0, 0, 0, 0);
+    // Calculate monthly earnings (completed jobs this month, in the configured time zone)
+    const { timezone } = await LocaleService.getLocale(req.user);
+    const currentMonth = startOfMonth(new Date(), timezone);
 
     const completedJobs = await Booking.find({
       contractorId: contractorId,
@@ -119,6 +122,7 @@ router.get('/dashboard-stats', protect, authorize('contractor'), async (req, res
     console.error('Dashboard stats error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_DASHBOARD_STATS',
       message: 'Server error while fetching dashboard stats'
     });
   }
@@ -197,6 +201,7 @@ router.get('/contractor-requests', protect, authorize('contractor'), async (req,
     console.error('Fetch contractor requests error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_JOB_REQUESTS',
       message: 'Server error while fetching job requests'
     });
   }
@@ -221,6 +226,7 @@ router.put('/:id/accept', protect, authorize('contractor'), async (req, res) =>
     if (!job) {
       return res.status(404).json({
         success: false,
+        code: 'JOB_REQUEST_NOT_FOUND',
         message: 'Job request not found'
       });
     }
@@ -229,10 +235,13 @@ router.put('/:id/accept', protect, authorize('contractor'), async (req, res) =>
     if (job.contractorId && job.contractorId.toString() !== contractorId) {
       return res.status(403).json({
         success: false,
+        code: 'YOU_CAN_ONLY_ACCEPT_YOUR_OWN_JOB_REQUESTS',
         message: 'You can only accept your own job requests'
       });
     }
 
+    const before = AuditService.snapshot(job);
+
     // Update job status
     job.status = 'accepted';
     job.acceptedAt = new Date();
@@ -241,10 +250,26 @@ router.put('/:id/accept', protect, authorize('contractor'), async (req, res) =>
     }
     await job.save();
 
+    await AuditService.record(req, {
+      action: 'booking.accept',
+      targetType: 'Booking',
+      targetId: job._id,
+      before: before,
+      after: job
+    });
+
+    const customer = await User.findById(job.customerId).select('name email phone');
+    await NotificationService.notifyUser(customer, {
+      type: 'booking',
+      subject: 'Booking accepted',
+      text: `Your ${job.workType} booking has been accepted.`
+    });
+
     console.log('Job request accepted successfully with notes:', notes);
 
     res.json({
       success: true,
+      code: 'JOB_REQUEST_ACCEPTED_SUCCESSFULLY',
       message: 'Job request accepted successfully',
       data: { job }
     });
@@ -252,6 +277,7 @@ router.put('/:id/accept', protect, authorize('contractor'), async (req, res) =>
     console.error('Accept job request error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_ACCEPTING_JOB_REQUEST',
       message: 'Server error while accepting job request'
     });
   }
@@ -276,6 +302,7 @@ router.put('/:id/reject', protect, authorize('contractor'), async (req, res) =>
     if (!job) {
       return res.status(404).json({
         success: false,
+        code: 'JOB_REQUEST_NOT_FOUND',
         message: 'Job request not found'
       });
     }
@@ -284,20 +311,39 @@ router.put('/:id/reject', protect, authorize('contractor'), async (req, res) =>
     if (job.contractorId && job.contractorId.toString() !== contractorId) {
       return res.status(403).json({
         success: false,
+        code: 'YOU_CAN_ONLY_REJECT_YOUR_OWN_JOB_REQUESTS',
         message: 'You can only reject your own job requests'
       });
     }
 
+    const before = AuditService.snapshot(job);
+
     // Update job status
     job.status = 'rejected';
     job.rejectedAt = new Date();
     job.rejectedReason = rejectionReason || 'No reason provided';
     await job.save();
 
+    await AuditService.record(req, {
+      action: 'booking.reject',
+      targetType: 'Booking',
+      targetId: job._id,
+      before: before,
+      after: job
+    });
+
+    const customer = await User.findById(job.customerId).select('name email phone');
+    await NotificationService.notifyUser(customer, {
+      type: 'booking',
+      subject: 'Booking rejected',
+      text: `Your ${job.workType} booking has been rejected: ${job.rejectedReason}`
+    });
+
     console.log('Job request rejected successfully');
 
     res.json({
       success: true,
+      code: 'JOB_REQUEST_REJECTED_SUCCESSFULLY',
       message: 'Job request rejected successfully',
       data: { job }
     });
@@ -305,6 +351,7 @@ router.put('/:id/reject', protect, authorize('contractor'), async (req, res) =>
     console.error('Reject job request error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_REJECTING_JOB_REQUEST',
       message: 'Server error while rejecting job request'
     });
   }
@@ -359,6 +406,7 @@ router.get('/active-jobs', protect, authorize('contractor'), async (req, res) =>
     console.error('Get active jobs error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_ACTIVE_JOBS',
       message: 'Server error while fetching active jobs'
     });
   }
@@ -381,6 +429,7 @@ router.delete('/job-requests/:requestId', protect, authorize('contractor'), asyn
       console.log(`Invalid request ID format: ${requestId}`);
       return res.status(400).json({
         success: false,
+        code: 'INVALID_REQUEST_ID_FORMAT',
         message: 'Invalid request ID format'
       });
     }
@@ -393,6 +442,7 @@ router.delete('/job-requests/:requestId', protect, authorize('contractor'), asyn
     if (!jobRequest) {
       return res.status(404).json({
         success: false,
+        code: 'JOB_REQUEST_NOT_FOUND',
         message: 'Job request not found'
       });
     }
@@ -401,6 +451,7 @@ router.delete('/job-requests/:requestId', protect, authorize('contractor'), asyn
     if (jobRequest.contractorId && jobRequest.contractorId.toString() !== contractorId) {
       return res.status(403).json({
         success: false,
+        code: 'YOU_CAN_ONLY_DELETE_YOUR_OWN_JOB_REQUESTS',
         message: 'You can only delete your own job requests'
       });
     }
@@ -410,23 +461,33 @@ router.delete('/job-requests/:requestId', protect, authorize('contractor'), asyn
     if (!deletableStatuses.includes(jobRequest.status)) {
       return res.status(400).json({
         success: false,
+        code: 'JOB_REQUEST_CANNOT_BE_DELETED',
         message: `Cannot delete job request with status: ${jobRequest.status}. Only pending, rejected, or cancelled requests can be deleted.`
       });
     }
     
     // Delete the job request
     await Booking.findByIdAndDelete(requestId);
+
+    await AuditService.record(req, {
+      action: 'booking.delete',
+      targetType: 'Booking',
+      targetId: jobRequest._id,
+      before: jobRequest
+    });
     
     console.log(`Job request ${requestId} deleted successfully by contractor ${contractorId}`);
     
     res.json({
       success: true,
+      code: 'JOB_REQUEST_DELETED_SUCCESSFULLY',
       message: 'Job request deleted successfully'
     });
   } catch (error) {
     console.error('Delete job request error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_DELETING_JOB_REQUEST',
       message: 'Server error while deleting job request'
     });
   }
@@ -3,6 +3,8 @@ const User = require('../models/User');
 const Booking = require('../models/Booking');
 const Rating = require('../models/Rating');
 const { protect, authorize } = require('../middleware/auth');
+const SettingsCacheService = require('../services/settingsCacheService');
+const { isValidLevel, levelsAtLeast, maxLevel, meetsLevel } = require('../utils/kyc');
 
 const router = express.Router();
 
@@ -49,6 +51,7 @@ router.get('/bookings', protect, authorize('customer'), async (req, res) => {
     console.error('Fetch customer bookings error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_BOOKINGS',
       message: 'Server error while fetching bookings'
     });
   }
@@ -77,6 +80,7 @@ router.get('/bookings/:id', protect, authorize('customer'), async (req, res) =>
     if (!booking) {
       return res.status(404).json({
         success: false,
+        code: 'BOOKING_NOT_FOUND',
         message: 'Booking not found'
       });
     }
@@ -91,6 +95,7 @@ router.get('/bookings/:id', protect, authorize('customer'), async (req, res) =>
     console.error('Fetch booking details error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_BOOKING_DETAILS',
       message: 'Server error while fetching booking details'
     });
   }
@@ -118,6 +123,7 @@ router.put('/bookings/:id/cancel', protect, authorize('customer'), async (req, r
     if (!booking) {
       return res.status(404).json({
         success: false,
+        code: 'BOOKING_NOT_FOUND',
         message: 'Booking not found'
       });
     }
@@ -126,6 +132,7 @@ router.put('/bookings/:id/cancel', protect, authorize('customer'), async (req, r
     if (booking.status === 'cancelled') {
       return res.status(400).json({
         success: false,
+        code: 'BOOKING_IS_ALREADY_CANCELLED',
         message: 'Booking is already cancelled'
       });
     }
@@ -133,6 +140,7 @@ router.put('/bookings/:id/cancel', protect, authorize('customer'), async (req, r
     if (booking.status === 'completed') {
       return res.status(400).json({
         success: false,
+        code: 'CANNOT_CANCEL_A_COMPLETED_BOOKING',
         message: 'Cannot cancel a completed booking'
       });
     }
@@ -140,6 +148,7 @@ router.put('/bookings/:id/cancel', protect, authorize('customer'), async (req, r
     if (booking.status === 'in_progress') {
       return res.status(400).json({
         success: false,
+        code: 'CANNOT_CANCEL_A_BOOKING_THAT_IS_IN_PROGRESS',
         message: 'Cannot cancel a booking that is in progress'
       });
     }
@@ -154,6 +163,7 @@ router.put('/bookings/:id/cancel', protect, authorize('customer'), async (req, r
 
     res.json({
       success: true,
+      code: 'BOOKING_CANCELLED_SUCCESSFULLY',
       message: 'Booking cancelled successfully',
       booking
     });
@@ -161,6 +171,7 @@ router.put('/bookings/:id/cancel', protect, authorize('customer'), async (req, r
     console.error('Cancel booking error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_CANCELLING_BOOKING',
       message: 'Server error while cancelling booking'
     });
   }
@@ -242,19 +253,28 @@ router.get('/dashboard-stats', protect, authorize('customer'), async (req, res)
     console.error('Customer dashboard stats error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_DASHBOARD_STATS',
       message: 'Server error while fetching dashboard stats'
     });
   }
 });
 
 // @route   GET /api/customer/workers
-// @desc    Get available workers for booking
+// @desc    Get available workers for booking (filters: skillType, location, minVerificationLevel)
 // @access  Private (Customer only)
 router.get('/workers', protect, authorize('customer'), async (req, res) => {
   try {
     console.log('=== FETCHING AVAILABLE WORKERS ===');
 
-    const { skillType, location } = req.query;
+    const { skillType, location, minVerificationLevel } = req.query;
+    if (minVerificationLevel && !isValidLevel(minVerificationLevel)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_FIELD',
+        message: 'Invalid verification level'
+      });
+    }
+
     const query = { 
       role: { $in: ['worker', 'independent_worker'] },
       isActive: true
@@ -264,12 +284,18 @@ router.get('/workers', protect, authorize('customer'), async (req, res) => {
       query.skillType = skillType;
     }
 
+    // Never list workers below security.minWorkerVerificationLevel
+    const minimumLevel = maxLevel(minVerificationLevel || 'none', await SettingsCacheService.getMinWorkerVerificationLevel());
+    if (minimumLevel !== 'none') {
+      query.verificationLevel = { $in: levelsAtLeast(minimumLevel) };
+    }
+
     if (location) {
       query.location = { $regex: location, $options: 'i' };
     }
 
     const workers = await User.find(query)
-      .select('name email phone skillType location profilePicture contractor averageRating totalRatings')
+      .select('name email phone skillType location profilePicture contractor averageRating totalRatings verificationLevel')
       .populate('contractor', 'name')
       .sort({ createdAt: -1 })
       .limit(50);
@@ -284,6 +310,7 @@ router.get('/workers', protect, authorize('customer'), async (req, res) => {
     console.error('Fetch workers error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_WORKERS',
       message: 'Server error while fetching workers'
     });
   }
@@ -303,7 +330,10 @@ router.post('/bookings', protect, authorize('customer'), async (req, res) => {
     // Create new booking
     const newBooking = new Booking({
       ...bookingData,
-      customerId
+      customerId,
+      // The commission agreed when the booking is made applies when it completes
+      commissionPercentage: await SettingsCacheService.getCommissionRate(),
+      commissionAmount: 0
     });
 
     // If worker is specified, check if they exist
@@ -312,9 +342,19 @@ router.post('/bookings', protect, authorize('customer'), async (req, res) => {
       if (!worker || !['worker', 'independent_worker'].includes(worker.role)) {
         return res.status(400).json({
           success: false,
+          code: 'INVALID_WORKER_SELECTED',
           message: 'Invalid worker selected'
         });
       }
+
+      // security.minWorkerVerificationLevel
+      if (!meetsLevel(worker.verificationLevel, await SettingsCacheService.getMinWorkerVerificationLevel())) {
+        return res.status(403).json({
+          success: false,
+          code: 'WORKER_NOT_VERIFIED',
+          message: 'This worker has not completed the required verification'
+        });
+      }
     }
 
     await newBooking.save();
@@ -328,6 +368,7 @@ router.post('/bookings', protect, authorize('customer'), async (req, res) => {
 
     res.status(201).json({
       success: true,
+      code: 'BOOKING_CREATED_SUCCESSFULLY',
       message: 'Booking created successfully',
       booking: populatedBooking
     });
@@ -335,6 +376,7 @@ router.post('/bookings', protect, authorize('customer'), async (req, res) => {
     console.error('Create booking error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_CREATING_BOOKING',
       message: 'Server error while creating booking'
     });
   }
@@ -362,6 +404,7 @@ router.put('/bookings/:id', protect, authorize('customer'), async (req, res) =>
     if (!booking) {
       return res.status(404).json({
         success: false,
+        code: 'BOOKING_NOT_FOUND',
         message: 'Booking not found'
       });
     }
@@ -370,6 +413,7 @@ router.put('/bookings/:id', protect, authorize('customer'), async (req, res) =>
     if (['completed', 'cancelled', 'in_progress'].includes(booking.status)) {
       return res.status(400).json({
         success: false,
+        code: 'CANNOT_UPDATE_A_BOOKING_THAT_IS_COMPLETED',
         message: 'Cannot update a booking that is completed, cancelled, or in progress'
       });
     }
@@ -399,6 +443,7 @@ router.put('/bookings/:id', protect, authorize('customer'), async (req, res) =>
 
     res.json({
       success: true,
+      code: 'BOOKING_UPDATED_SUCCESSFULLY',
       message: 'Booking updated successfully',
       booking: updatedBooking
     });
@@ -406,6 +451,7 @@ router.put('/bookings/:id', protect, authorize('customer'), async (req, res) =>
     console.error('Update booking error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_UPDATING_BOOKING',
       message: 'Server error while updating booking'
     });
   }
@@ -426,6 +472,7 @@ router.post('/ratings', protect, authorize('customer'), async (req, res) => {
     if (!bookingId || !workerId || !rating || !review) {
       return res.status(400).json({
         success: false,
+        code: 'ALL_FIELDS_ARE_REQUIRED_BOOKINGID_WORKERID',
         message: 'All fields are required: bookingId, workerId, rating, review'
       });
     }
@@ -434,6 +481,7 @@ router.post('/ratings', protect, authorize('customer'), async (req, res) => {
     if (rating < 1 || rating > 5) {
       return res.status(400).json({
         success: false,
+        code: 'RATING_MUST_BE_BETWEEN_1_AND_5',
         message: 'Rating must be between 1 and 5'
       });
     }
@@ -442,6 +490,7 @@ router.post('/ratings', protect, authorize('customer'), async (req, res) => {
     if (review.trim().length < 10) {
       return res.status(400).json({
         success: false,
+        code: 'REVIEW_MUST_BE_AT_LEAST_10_CHARACTERS_LONG',
         message: 'Review must be at least 10 characters long'
       });
     }
@@ -451,6 +500,7 @@ router.post('/ratings', protect, authorize('customer'), async (req, res) => {
     if (!booking) {
       return res.status(404).json({
         success: false,
+        code: 'BOOKING_NOT_FOUND',
         message: 'Booking not found'
       });
     }
@@ -459,6 +509,7 @@ router.post('/ratings', protect, authorize('customer'), async (req, res) => {
     if (booking.customerId.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
+        code: 'YOU_CAN_ONLY_RATE_YOUR_OWN_BOOKINGS',
         message: 'You can only rate your own bookings'
       });
     }
@@ -467,6 +518,7 @@ router.post('/ratings', protect, authorize('customer'), async (req, res) => {
     if (booking.status !== 'completed') {
       return res.status(400).json({
         success: false,
+        code: 'YOU_CAN_ONLY_RATE_COMPLETED_BOOKINGS',
         message: 'You can only rate completed bookings'
       });
     }
@@ -476,6 +528,7 @@ router.post('/ratings', protect, authorize('customer'), async (req, res) => {
     if (existingRating) {
       return res.status(400).json({
         success: false,
+        code: 'YOU_HAVE_ALREADY_RATED_THIS_BOOKING',
         message: 'You have already rated this booking'
       });
     }
@@ -501,6 +554,7 @@ router.post('/ratings', protect, authorize('customer'), async (req, res) => {
 
     res.status(201).json({
       success: true,
+      code: 'RATING_SUBMITTED_SUCCESSFULLY',
       message: 'Rating submitted successfully',
       data: {
         ratingId: newRating._id,
@@ -516,12 +570,14 @@ router.post('/ratings', protect, authorize('customer'), async (req, res) => {
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
+        code: 'YOU_HAVE_ALREADY_RATED_THIS_BOOKING',
         message: 'You have already rated this booking'
       });
     }
 
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_SUBMITTING_RATING',
       message: 'Server error while submitting rating'
     });
   }
@@ -544,6 +600,7 @@ router.delete('/ratings/:bookingId', protect, authorize('customer'), async (req,
     if (!booking) {
       return res.status(404).json({
         success: false,
+        code: 'BOOKING_NOT_FOUND',
         message: 'Booking not found'
       });
     }
@@ -552,6 +609,7 @@ router.delete('/ratings/:bookingId', protect, authorize('customer'), async (req,
     if (booking.customerId.toString() !== customerId) {
       return res.status(403).json({
         success: false,
+        code: 'YOU_CAN_ONLY_DELETE_RATINGS_FOR_YOUR_OWN',
         message: 'You can only delete ratings for your own bookings'
       });
     }
@@ -565,6 +623,7 @@ router.delete('/ratings/:bookingId', protect, authorize('customer'), async (req,
     if (!deletedRating) {
       return res.status(404).json({
         success: false,
+        code: 'RATING_NOT_FOUND',
         message: 'Rating not found'
       });
     }
@@ -605,12 +664,14 @@ router.delete('/ratings/:bookingId', protect, authorize('customer'), async (req,
 
     res.json({
       success: true,
+      code: 'RATING_DELETED_SUCCESSFULLY',
       message: 'Rating deleted successfully'
     });
   } catch (error) {
     console.error('Delete rating error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_DELETING_RATING',
       message: 'Server error while deleting rating'
     });
   }
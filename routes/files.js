@@ -0,0 +1,54 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { UPLOAD_DIR, resolveFilePath, verifySignature } = require('../utils/diskStorage');
+
+const router = express.Router();
+
+// Uploaded SVGs and PDFs must not run scripts on the API origin
+const setFileHeaders = (res) => {
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+};
+
+// @route   GET /api/files/private/*
+// @desc    Serve a private file through a signed URL (see KycService)
+// @access  Public with a valid, unexpired signature
+router.get('/private/*filePath', (req, res) => {
+  const publicId = `private/${req.params.filePath.join('/')}`;
+  const filePath = resolveFilePath(publicId);
+
+  if (!filePath || !verifySignature(publicId, req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      code: 'INVALID_OR_EXPIRED_FILE_LINK',
+      message: 'Invalid or expired file link'
+    });
+  }
+
+  setFileHeaders(res);
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        code: 'FILE_NOT_FOUND',
+        message: 'File not found'
+      });
+    }
+  });
+});
+
+// @route   GET /api/files/*
+// @desc    Serve files kept by the local storage driver
+// @access  Private
+router.use(protect, express.static(UPLOAD_DIR, {
+  dotfiles: 'deny',
+  index: false,
+  redirect: false,
+  setHeaders: (res) => {
+    setFileHeaders(res);
+    res.set('Cache-Control', 'private, max-age=3600');
+  }
+}));
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const Job = require('../models/Job');
 const User = require('../models/User');
 const { protect, authorize } = require('../middleware/auth');
+const { hasPermissions } = require('../utils/permissions');
+const AuditService = require('../services/auditService');
+const SettingsCacheService = require('../services/settingsCacheService');
 
 const router = express.Router();
 
@@ -23,6 +26,7 @@ router.post('/', protect, authorize('customer'), async (req, res) => {
     if (!title || !description || !serviceType || !customerAddress || !estimatedPrice || !scheduledDate) {
       return res.status(400).json({
         success: false,
+        code: 'PLEASE_PROVIDE_ALL_REQUIRED_FIELDS',
         message: 'Please provide all required fields'
       });
     }
@@ -34,7 +38,9 @@ router.post('/', protect, authorize('customer'), async (req, res) => {
       customer: req.user.id,
       customerAddress,
       estimatedPrice,
-      scheduledDate: new Date(scheduledDate)
+      scheduledDate: new Date(scheduledDate),
+      // The commission agreed when the job is booked applies when it completes
+      commissionPercentage: await SettingsCacheService.getCommissionRate()
     });
 
     await job.save();
@@ -44,6 +50,7 @@ router.post('/', protect, authorize('customer'), async (req, res) => {
 
     res.status(201).json({
       success: true,
+      code: 'JOB_CREATED_SUCCESSFULLY',
       message: 'Job created successfully',
       data: { job }
     });
@@ -51,6 +58,7 @@ router.post('/', protect, authorize('customer'), async (req, res) => {
     console.error('Create job error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_DURING_JOB_CREATION',
       message: 'Server error during job creation'
     });
   }
@@ -78,6 +86,12 @@ router.get('/', protect, async (req, res) => {
         { contractor: req.user.id },
         { status: 'pending' }
       ];
+    } else if (!hasPermissions(req.user, ['bookings:read'])) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_REQUIRED',
+        message: 'Access denied. Requires permission: bookings:read'
+      });
     }
 
     // Apply filters
@@ -101,6 +115,7 @@ router.get('/', protect, async (req, res) => {
     console.error('Get jobs error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR',
       message: 'Server error'
     });
   }
@@ -120,6 +135,7 @@ router.get('/:id', protect, async (req, res) => {
     if (!job) {
       return res.status(404).json({
         success: false,
+        code: 'JOB_NOT_FOUND',
         message: 'Job not found'
       });
     }
@@ -130,11 +146,12 @@ router.get('/:id', protect, async (req, res) => {
       job.contractor?._id?.toString() === req.user.id ||
       job.worker?._id?.toString() === req.user.id ||
       job.independentWorker?._id?.toString() === req.user.id ||
-      req.user.role === 'admin';
+      hasPermissions(req.user, ['bookings:read']);
 
     if (!hasAccess) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED',
         message: 'Access denied'
       });
     }
@@ -147,6 +164,7 @@ router.get('/:id', protect, async (req, res) => {
     console.error('Get job error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR',
       message: 'Server error'
     });
   }
@@ -159,9 +177,18 @@ router.put('/:id/assign', protect, authorize('contractor', 'worker', 'independen
   try {
     const { assignedTo, assignedType } = req.body; // assignedTo: user ID, assignedType: 'contractor', 'worker', 'independent_worker'
 
+    if (req.user.role === 'admin' && !hasPermissions(req.user, ['bookings:write'])) {
+      return res.status(403).json({
+        success: false,
+        code: 'PERMISSION_REQUIRED',
+        message: 'Access denied. Requires permission: bookings:write'
+      });
+    }
+
     if (!assignedTo || !assignedType) {
       return res.status(400).json({
         success: false,
+        code: 'PLEASE_PROVIDE_ASSIGNEDTO_AND_ASSIGNEDTYPE',
         message: 'Please provide assignedTo and assignedType'
       });
     }
@@ -170,6 +197,7 @@ router.put('/:id/assign', protect, authorize('contractor', 'worker', 'independen
     if (!job) {
       return res.status(404).json({
         success: false,
+        code: 'JOB_NOT_FOUND',
         message: 'Job not found'
       });
     }
@@ -177,6 +205,7 @@ router.put('/:id/assign', protect, authorize('contractor', 'worker', 'independen
     if (job.status !== 'pending') {
       return res.status(400).json({
         success: false,
+        code: 'JOB_CAN_ONLY_BE_ASSIGNED_WHEN_STATUS_IS_PENDING',
         message: 'Job can only be assigned when status is pending'
       });
     }
@@ -186,6 +215,7 @@ router.put('/:id/assign', protect, authorize('contractor', 'worker', 'independen
     if (!assignedUser) {
       return res.status(404).json({
         success: false,
+        code: 'ASSIGNED_USER_NOT_FOUND',
         message: 'Assigned user not found'
       });
     }
@@ -194,10 +224,13 @@ router.put('/:id/assign', protect, authorize('contractor', 'worker', 'independen
         !(assignedType === 'independent_worker' && assignedUser.role === 'independent_worker')) {
       return res.status(400).json({
         success: false,
+        code: 'USER_ROLE_DOES_NOT_MATCH_ASSIGNMENT_TYPE',
         message: 'User role does not match assignment type'
       });
     }
 
+    const before = AuditService.snapshot(job);
+
     // Assign job
     if (assignedType === 'contractor') {
       job.contractor = assignedTo;
@@ -210,11 +243,22 @@ router.put('/:id/assign', protect, authorize('contractor', 'worker', 'independen
     job.status = 'assigned';
     await job.save();
 
+    if (['admin', 'contractor'].includes(req.user.role)) {
+      await AuditService.record(req, {
+        action: 'job.assign',
+        targetType: 'Job',
+        targetId: job._id,
+        before,
+        after: job
+      });
+    }
+
     // Populate assigned user info
     await job.populate(assignedType, 'name phone');
 
     res.json({
       success: true,
+      code: 'JOB_ASSIGNED_SUCCESSFULLY',
       message: 'Job assigned successfully',
       data: { job }
     });
@@ -222,6 +266,7 @@ router.put('/:id/assign', protect, authorize('contractor', 'worker', 'independen
     console.error('Assign job error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_DURING_JOB_ASSIGNMENT',
       message: 'Server error during job assignment'
     });
   }
@@ -237,6 +282,7 @@ router.put('/:id/status', protect, async (req, res) => {
     if (!['pending', 'assigned', 'in_progress', 'completed', 'cancelled'].includes(status)) {
       return res.status(400).json({
         success: false,
+        code: 'INVALID_STATUS',
         message: 'Invalid status'
       });
     }
@@ -245,6 +291,7 @@ router.put('/:id/status', protect, async (req, res) => {
     if (!job) {
       return res.status(404).json({
         success: false,
+        code: 'JOB_NOT_FOUND',
         message: 'Job not found'
       });
     }
@@ -255,11 +302,12 @@ router.put('/:id/status', protect, async (req, res) => {
       job.contractor?.toString() === req.user.id ||
       job.worker?.toString() === req.user.id ||
       job.independentWorker?.toString() === req.user.id ||
-      req.user.role === 'admin';
+      hasPermissions(req.user, ['bookings:write']);
 
     if (!canUpdate) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED',
         message: 'Access denied'
       });
     }
@@ -268,6 +316,7 @@ router.put('/:id/status', protect, async (req, res) => {
     if (job.status === 'completed' && status !== 'cancelled') {
       return res.status(400).json({
         success: false,
+        code: 'COMPLETED_JOB_CAN_ONLY_BE_CANCELLED',
         message: 'Completed job can only be cancelled'
       });
     }
@@ -275,10 +324,12 @@ router.put('/:id/status', protect, async (req, res) => {
     if (job.status === 'cancelled') {
       return res.status(400).json({
         success: false,
+        code: 'CANCELLED_JOB_CANNOT_BE_UPDATED',
         message: 'Cancelled job cannot be updated'
       });
     }
 
+    const before = AuditService.snapshot(job);
     job.status = status;
     
     if (status === 'completed') {
@@ -287,8 +338,19 @@ router.put('/:id/status', protect, async (req, res) => {
 
     await job.save();
 
+    if (['admin', 'contractor'].includes(req.user.role)) {
+      await AuditService.record(req, {
+        action: 'job.status.update',
+        targetType: 'Job',
+        targetId: job._id,
+        before,
+        after: job
+      });
+    }
+
     res.json({
       success: true,
+      code: 'JOB_STATUS_UPDATED',
       message: `Job status updated to ${status}`,
       data: { job }
     });
@@ -296,6 +358,7 @@ router.put('/:id/status', protect, async (req, res) => {
     console.error('Update job status error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_DURING_STATUS_UPDATE',
       message: 'Server error during status update'
     });
   }
@@ -312,6 +375,7 @@ router.put('/:id/complete', protect, authorize('customer'), async (req, res) =>
     if (!job) {
       return res.status(404).json({
         success: false,
+        code: 'JOB_NOT_FOUND',
         message: 'Job not found'
       });
     }
@@ -319,6 +383,7 @@ router.put('/:id/complete', protect, authorize('customer'), async (req, res) =>
     if (job.customer.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED',
         message: 'Access denied'
       });
     }
@@ -326,6 +391,7 @@ router.put('/:id/complete', protect, authorize('customer'), async (req, res) =>
     if (job.status !== 'in_progress') {
       return res.status(400).json({
         success: false,
+        code: 'JOB_MUST_BE_IN_PROGRESS_TO_BE_COMPLETED',
         message: 'Job must be in progress to be completed'
       });
     }
@@ -333,6 +399,7 @@ router.put('/:id/complete', protect, authorize('customer'), async (req, res) =>
     if (finalPrice && finalPrice <= 0) {
       return res.status(400).json({
         success: false,
+        code: 'FINAL_PRICE_MUST_BE_GREATER_THAN_0',
         message: 'Final price must be greater than 0'
       });
     }
@@ -340,6 +407,7 @@ router.put('/:id/complete', protect, authorize('customer'), async (req, res) =>
     if (rating && (rating < 1 || rating > 5)) {
       return res.status(400).json({
         success: false,
+        code: 'RATING_MUST_BE_BETWEEN_1_AND_5',
         message: 'Rating must be between 1 and 5'
       });
     }
@@ -355,6 +423,7 @@ router.put('/:id/complete', protect, authorize('customer'), async (req, res) =>
 
     res.json({
       success: true,
+      code: 'JOB_COMPLETED_SUCCESSFULLY',
       message: 'Job completed successfully',
       data: { job }
     });
@@ -362,6 +431,7 @@ router.put('/:id/complete', protect, authorize('customer'), async (req, res) =>
     console.error('Complete job error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_DURING_JOB_COMPLETION',
       message: 'Server error during job completion'
     });
   }
@@ -0,0 +1,227 @@
+const express = require('express');
+const KycService = require('../services/kycService');
+const AuditService = require('../services/auditService');
+const { protect, requirePermission } = require('../middleware/auth');
+const { uploadFiles, getUploadedFile } = require('../middleware/upload');
+
+const router = express.Router();
+
+// @route   GET /api/kyc/users/:userId/id-proof
+// @desc    Get a short-lived signed URL for a user's ID proof
+// @access  Private (owner, the worker's contractor, or Admin with kyc:review)
+router.get('/users/:userId/id-proof', protect, async (req, res) => {
+  try {
+    const result = await KycService.getIdProofUrl(req, req.params.userId);
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Get ID proof error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_DOCUMENT',
+      message: 'Server error while fetching document'
+    });
+  }
+});
+
+const sendResult = (res, result) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 500).json({
+      success: false,
+      code: result.code,
+      message: result.message
+    });
+  }
+
+  res.json({
+    success: true,
+    code: result.code,
+    message: result.message,
+    data: result.data
+  });
+};
+
+// @route   GET /api/kyc/documents
+// @desc    List your own KYC documents and verification level
+// @access  Private
+router.get('/documents', protect, async (req, res) => {
+  try {
+    sendResult(res, await KycService.listUserDocuments(req, req.user._id));
+  } catch (error) {
+    console.error('Get KYC documents error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_DOCUMENTS',
+      message: 'Server error while fetching documents'
+    });
+  }
+});
+
+// @route   POST /api/kyc/documents
+// @desc    Submit a KYC document for review (multipart: file, type, number, expiresAt)
+// @access  Private
+router.post('/documents', protect, uploadFiles({ file: 'kycDocument' }), async (req, res) => {
+  try {
+    const result = await KycService.submitDocument(req.user, req.body, getUploadedFile(req, 'file'));
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({
+        success: false,
+        code: result.code,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      code: result.code,
+      message: result.message,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Submit KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_SUBMITTING_DOCUMENT',
+      message: 'Server error while submitting document'
+    });
+  }
+});
+
+// @route   GET /api/kyc/documents/:id
+// @desc    Get a KYC document with a short-lived signed file URL
+// @access  Private (owner, the worker's contractor, or Admin with kyc:review)
+router.get('/documents/:id', protect, async (req, res) => {
+  try {
+    const result = await KycService.getDocument(req, req.params.id);
+    res.set('Cache-Control', 'no-store');
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Get KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_DOCUMENT',
+      message: 'Server error while fetching document'
+    });
+  }
+});
+
+// @route   DELETE /api/kyc/documents/:id
+// @desc    Withdraw one of your own pending KYC documents
+// @access  Private
+router.delete('/documents/:id', protect, async (req, res) => {
+  try {
+    sendResult(res, await KycService.withdrawDocument(req.user, req.params.id));
+  } catch (error) {
+    console.error('Withdraw KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_WITHDRAWING_DOCUMENT',
+      message: 'Server error while withdrawing document'
+    });
+  }
+});
+
+// @route   GET /api/kyc/users/:userId/documents
+// @desc    List a user's KYC documents and verification level
+// @access  Private (owner, the worker's contractor, or Admin with kyc:review)
+router.get('/users/:userId/documents', protect, async (req, res) => {
+  try {
+    sendResult(res, await KycService.listUserDocuments(req, req.params.userId));
+  } catch (error) {
+    console.error('Get user KYC documents error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_DOCUMENTS',
+      message: 'Server error while fetching documents'
+    });
+  }
+});
+
+// @route   GET /api/kyc/review-queue
+// @desc    Documents awaiting review, oldest first (optional ?status=&type=&page=&limit=)
+// @access  Private (Admin with kyc:review)
+router.get('/review-queue', protect, requirePermission('kyc:review'), async (req, res) => {
+  try {
+    sendResult(res, await KycService.getReviewQueue(req.query));
+  } catch (error) {
+    console.error('Get KYC review queue error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_REVIEW_QUEUE',
+      message: 'Server error while fetching review queue'
+    });
+  }
+});
+
+// @route   POST /api/kyc/documents/:id/approve
+// @desc    Approve a pending KYC document and update the user's verification level
+// @access  Private (Admin with kyc:review)
+router.post('/documents/:id/approve', protect, requirePermission('kyc:review'), async (req, res) => {
+  try {
+    const result = await KycService.approveDocument(req.user, req.params.id);
+
+    if (result.success) {
+      await AuditService.record(req, {
+        action: 'kyc.document.approve',
+        targetType: 'KycDocument',
+        targetId: result.data._id,
+        before: result.before,
+        after: result.data.toJSON(),
+        metadata: { user: String(result.data.user), verificationLevel: result.verificationLevel }
+      });
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Approve KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_APPROVING_DOCUMENT',
+      message: 'Server error while approving document'
+    });
+  }
+});
+
+// @route   POST /api/kyc/documents/:id/reject
+// @desc    Reject a pending KYC document with a reason
+// @access  Private (Admin with kyc:review)
+router.post('/documents/:id/reject', protect, requirePermission('kyc:review'), async (req, res) => {
+  try {
+    const result = await KycService.rejectDocument(req.user, req.params.id, req.body.reason);
+
+    if (result.success) {
+      await AuditService.record(req, {
+        action: 'kyc.document.reject',
+        targetType: 'KycDocument',
+        targetId: result.data._id,
+        before: result.before,
+        after: result.data.toJSON(),
+        metadata: { user: String(result.data.user), reason: result.data.rejectionReason }
+      });
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Reject KYC document error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_REJECTING_DOCUMENT',
+      message: 'Server error while rejecting document'
+    });
+  }
+});
+
+module.exports = router;
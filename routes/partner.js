@@ -0,0 +1,200 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { protectApiKey, requirePermission, allowApiKeyOr } = require('../middleware/auth');
+const AuditService = require('../services/auditService');
+
+const router = express.Router();
+
+// Timestamp recorded when a booking moves into each status
+const STATUS_TIMESTAMPS = {
+  accepted: 'acceptedAt',
+  confirmed: 'confirmedAt',
+  in_progress: 'startedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  rejected: 'rejectedAt'
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// @route   GET /api/partner/bookings
+// @desc    List bookings with pagination and filtering
+// @access  API key (bookings:read) or Admin with bookings:read
+router.get('/bookings', protectApiKey('bookings:read'), allowApiKeyOr(requirePermission('bookings:read')), async (req, res) => {
+  try {
+    const { status, customerId, workerId, contractorId, updatedSince } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+    const query = {};
+    if (status) query.status = status;
+    if (customerId) query.customerId = customerId;
+    if (workerId) query.workerId = workerId;
+    if (contractorId) query.contractorId = contractorId;
+    if (updatedSince) {
+      const since = new Date(updatedSince);
+      if (isNaN(since.getTime())) {
+        return res.status(400).json({
+          success: false,
+          code: 'FIELD_MUST_BE_A_VALID_DATE',
+          message: 'updatedSince must be a valid date'
+        });
+      }
+      query.updatedAt = { $gte: since };
+    }
+
+    for (const field of ['customerId', 'workerId', 'contractorId']) {
+      if (query[field] && !mongoose.Types.ObjectId.isValid(query[field])) {
+        return res.status(400).json({
+          success: false,
+          code: 'INVALID_FIELD',
+          message: `Invalid ${field}`
+        });
+      }
+    }
+
+    const [bookings, total] = await Promise.all([
+      Booking.find(query)
+        .populate('workerId', 'name phone skillType')
+        .populate('contractorId', 'name phone')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Booking.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      bookings,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Partner fetch bookings error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_BOOKINGS',
+      message: 'Server error while fetching bookings'
+    });
+  }
+});
+
+// @route   GET /api/partner/bookings/:id
+// @desc    Get a specific booking by ID
+// @access  API key (bookings:read) or Admin with bookings:read
+router.get('/bookings/:id', protectApiKey('bookings:read'), allowApiKeyOr(requirePermission('bookings:read')), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        code: 'BOOKING_NOT_FOUND',
+        message: 'Booking not found'
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id)
+      .populate('workerId', 'name phone skillType')
+      .populate('contractorId', 'name phone');
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        code: 'BOOKING_NOT_FOUND',
+        message: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      booking
+    });
+  } catch (error) {
+    console.error('Partner fetch booking error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_BOOKING',
+      message: 'Server error while fetching booking'
+    });
+  }
+});
+
+// @route   PUT /api/partner/bookings/:id/status
+// @desc    Update a booking's status
+// @access  API key (bookings:write) or Admin with bookings:write
+router.put('/bookings/:id/status', protectApiKey('bookings:write'), allowApiKeyOr(requirePermission('bookings:write')), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!STATUS_TIMESTAMPS[status]) {
+      return res.status(400).json({
+        success: false,
+        code: 'STATUS_MUST_BE_ONE_OF',
+        message: `Status must be one of: ${Object.keys(STATUS_TIMESTAMPS).join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        code: 'BOOKING_NOT_FOUND',
+        message: 'Booking not found'
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        code: 'BOOKING_NOT_FOUND',
+        message: 'Booking not found'
+      });
+    }
+
+    if (['completed', 'cancelled', 'rejected'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        code: 'BOOKING_ALREADY_IN_STATUS',
+        message: `Booking is already ${booking.status}`
+      });
+    }
+
+    const before = AuditService.snapshot(booking);
+    booking.status = status;
+    booking[STATUS_TIMESTAMPS[status]] = new Date();
+    if (status === 'rejected' && reason) {
+      booking.rejectedReason = reason;
+    }
+    booking.updatedAt = new Date();
+    await booking.save();
+
+    await AuditService.record(req, {
+      action: 'booking.status.update',
+      targetType: 'Booking',
+      targetId: booking._id,
+      before,
+      after: booking,
+      metadata: { source: 'partner_api' }
+    });
+
+    res.json({
+      success: true,
+      code: 'BOOKING_STATUS_UPDATED_SUCCESSFULLY',
+      message: 'Booking status updated successfully',
+      booking
+    });
+  } catch (error) {
+    console.error('Partner update booking status error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_UPDATING_BOOKING_STATUS',
+      message: 'Server error while updating booking status'
+    });
+  }
+});
+
+module.exports = router;
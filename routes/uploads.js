@@ -0,0 +1,104 @@
+const express = require('express');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { uploadFiles, getUploadedFile } = require('../middleware/upload');
+const { deleteStoredFile } = require('../utils/storage');
+
+const router = express.Router();
+
+// Store the uploaded file (its URL, or its reference when private) as one of
+// the user's profile fields and delete the file it replaces, if this user
+// uploaded that one too
+const updateUserFile = async (req, res, field, userField, message) => {
+  try {
+    const file = getUploadedFile(req, field);
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        code: 'NO_FILE_UPLOADED',
+        message: 'No file uploaded'
+      });
+    }
+
+    const value = file.url || file.ref;
+    const previous = await User.findByIdAndUpdate(req.user._id, {
+      [userField]: value,
+      [`uploadedFiles.${userField}`]: value,
+      updatedAt: new Date()
+    }).select(`${userField} uploadedFiles`);
+
+    const replaced = previous && previous[userField];
+    if (replaced && replaced !== value && previous.uploadedFiles && previous.uploadedFiles[userField] === replaced) {
+      await deleteStoredFile(replaced);
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        url: file.url,
+        ref: file.ref,
+        size: file.size
+      }
+    });
+  } catch (error) {
+    console.error(`Upload ${field} error:`, error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_SAVING_UPLOAD',
+      message: 'Server error while saving upload'
+    });
+  }
+};
+
+// @route   POST /api/uploads/avatar
+// @desc    Upload a profile picture (multipart field "avatar")
+// @access  Private
+router.post('/avatar', protect, uploadFiles({ avatar: 'avatar' }), (req, res) => (
+  updateUserFile(req, res, 'avatar', 'profilePicture', 'Profile picture updated successfully')
+));
+
+// @route   POST /api/uploads/id-proof
+// @desc    Upload an ID proof image or PDF (multipart field "idProof"), stored privately
+// @access  Private
+router.post('/id-proof', protect, uploadFiles({ idProof: 'idProof' }), (req, res) => (
+  updateUserFile(req, res, 'idProof', 'idProof', 'ID proof uploaded successfully')
+));
+
+// @route   POST /api/uploads/documents
+// @desc    Upload a document (multipart field "document") and get its URL back
+// @access  Private
+router.post('/documents', protect, uploadFiles({ document: 'document' }), async (req, res) => {
+  try {
+    const file = getUploadedFile(req, 'document');
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        code: 'NO_FILE_UPLOADED',
+        message: 'No file uploaded'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      code: 'DOCUMENT_UPLOADED_SUCCESSFULLY',
+      message: 'Document uploaded successfully',
+      data: {
+        url: file.url,
+        publicId: file.publicId,
+        name: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size
+      }
+    });
+  } catch (error) {
+    console.error('Upload document error:', error);
+    res.status(500).json({
+      success: false,
+      code: 'SERVER_ERROR_WHILE_SAVING_UPLOAD',
+      message: 'Server error while saving upload'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,11 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Booking = require('../models/Booking');
 const Rating = require('../models/Rating');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, blockImpersonation } = require('../middleware/auth');
+const { hasPermissions } = require('../utils/permissions');
+const AuditService = require('../services/auditService');
+const LocaleService = require('../services/localeService');
+const { startOfMonth } = require('../utils/locale');
 const router = express.Router();
 
 // Add middleware to log all requests to workers routes (MUST be first)
@@ -66,6 +70,7 @@ router.get('/contractor-details/:contractorId', protect, async (req, res) => {
       console.log(`Invalid contractor ID format: ${contractorId}`);
       return res.status(400).json({
         success: false,
+        code: 'INVALID_CONTRACTOR_ID_FORMAT',
         message: 'Invalid contractor ID format'
       });
     }
@@ -75,6 +80,7 @@ router.get('/contractor-details/:contractorId', protect, async (req, res) => {
       console.log(`Access denied for user role: ${req.user.role}`);
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_ONLY_WORKERS_CAN_VIEW_CONTRACTOR',
         message: 'Access denied. Only workers can view contractor details.'
       });
     }
@@ -84,6 +90,7 @@ router.get('/contractor-details/:contractorId', protect, async (req, res) => {
       console.log(`Worker ${req.user.id} is not assigned to contractor ${contractorId}`);
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_YOU_CAN_ONLY_VIEW_YOUR_ASSIGNED',
         message: 'Access denied. You can only view your assigned contractor.'
       });
     }
@@ -97,6 +104,7 @@ router.get('/contractor-details/:contractorId', protect, async (req, res) => {
       console.log(`Contractor not found with ID: ${contractorId}`);
       return res.status(404).json({
         success: false,
+        code: 'CONTRACTOR_NOT_FOUND_THE_CONTRACTOR_REFERENCE',
         message: 'Contractor not found. The contractor reference may be invalid.'
       });
     }
@@ -106,6 +114,7 @@ router.get('/contractor-details/:contractorId', protect, async (req, res) => {
       console.log(`User ${contractorId} is not a contractor, role is: ${contractor.role}`);
       return res.status(400).json({
         success: false,
+        code: 'REFERENCED_USER_IS_NOT_A_CONTRACTOR',
         message: 'Referenced user is not a contractor'
       });
     }
@@ -120,6 +129,7 @@ router.get('/contractor-details/:contractorId', protect, async (req, res) => {
     console.error('Get contractor details error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_CONTRACTOR_DETAILS',
       message: 'Server error while fetching contractor details'
     });
   }
@@ -136,14 +146,16 @@ router.get('/contractor/:contractorId', protect, async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(contractorId)) {
       return res.status(400).json({
         success: false,
+        code: 'INVALID_CONTRACTOR_ID_FORMAT',
         message: 'Invalid contractor ID format'
       });
     }
     
-    // Verify that requesting user is contractor or admin
-    if (req.user.role !== 'admin' && req.user._id.toString() !== contractorId) {
+    // Verify that requesting user is the contractor or an admin allowed to read users
+    if (!hasPermissions(req.user, ['users:read']) && req.user._id.toString() !== contractorId) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_YOU_CAN_ONLY_VIEW_YOUR_OWN_WORKERS',
         message: 'Access denied. You can only view your own workers.'
       });
     }
@@ -154,8 +166,7 @@ router.get('/contractor/:contractorId', protect, async (req, res) => {
       role: { $in: ['worker', 'independent_worker'] }
     })
     .select('-password -averageRating -totalRatings')
-    .sort({ createdAt: -1 })
-    .lean();
+    .sort({ createdAt: -1 });
 
     res.json({
       success: true,
@@ -165,6 +176,7 @@ router.get('/contractor/:contractorId', protect, async (req, res) => {
     console.error('Get contractor workers error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_WORKERS',
       message: 'Server error while fetching workers'
     });
   }
@@ -182,6 +194,7 @@ router.put('/:workerId/status', protect, async (req, res) => {
     if (!['pending', 'approved', 'blocked'].includes(status)) {
       return res.status(400).json({
         success: false,
+        code: 'INVALID_STATUS_VALUE',
         message: 'Invalid status value'
       });
     }
@@ -190,14 +203,16 @@ router.put('/:workerId/status', protect, async (req, res) => {
     if (!worker) {
       return res.status(404).json({
         success: false,
+        code: 'WORKER_NOT_FOUND',
         message: 'Worker not found'
       });
     }
 
     // Verify that the worker belongs to the requesting contractor
-    if (req.user.role !== 'admin' && worker.contractor.toString() !== req.user._id.toString()) {
+    if (!hasPermissions(req.user, ['users:approve']) && worker.contractor.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_YOU_CAN_ONLY_UPDATE_YOUR_OWN',
         message: 'Access denied. You can only update your own workers.'
       });
     }
@@ -206,10 +221,12 @@ router.put('/:workerId/status', protect, async (req, res) => {
     if (req.user.role === 'contractor' && worker.status !== 'pending') {
       return res.status(400).json({
         success: false,
+        code: 'CONTRACTORS_CAN_ONLY_UPDATE_PENDING_WORKER',
         message: 'Contractors can only update pending worker applications'
       });
     }
 
+    const before = AuditService.snapshot(worker);
     const previousStatus = worker.status;
     worker.status = status;
     worker.updatedAt = Date.now();
@@ -223,6 +240,7 @@ router.put('/:workerId/status', protect, async (req, res) => {
         console.error('Error generating worker ID:', error);
         return res.status(500).json({
           success: false,
+          code: 'ERROR_GENERATING_WORKER_ID',
           message: 'Error generating worker ID'
         });
       }
@@ -230,8 +248,17 @@ router.put('/:workerId/status', protect, async (req, res) => {
 
     await worker.save();
 
+    await AuditService.record(req, {
+      action: 'worker.status.update',
+      targetType: 'User',
+      targetId: worker._id,
+      before: before,
+      after: worker
+    });
+
     res.json({
       success: true,
+      code: 'WORKER_STATUS_UPDATED',
       message: `Worker status updated to ${status}`,
       data: {
         worker: {
@@ -253,6 +280,7 @@ router.put('/:workerId/status', protect, async (req, res) => {
     console.error('Update worker status error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_UPDATING_WORKER_STATUS',
       message: 'Server error while updating worker status'
     });
   }
@@ -270,6 +298,7 @@ router.put('/:workerId/assign-work', protect, async (req, res) => {
     if (!location || !workType || !startDate) {
       return res.status(400).json({
         success: false,
+        code: 'LOCATION_WORK_TYPE_AND_START_DATE_ARE_REQUIRED',
         message: 'Location, work type, and start date are required'
       });
     }
@@ -278,14 +307,16 @@ router.put('/:workerId/assign-work', protect, async (req, res) => {
     if (!worker) {
       return res.status(404).json({
         success: false,
+        code: 'WORKER_NOT_FOUND',
         message: 'Worker not found'
       });
     }
 
     // Verify that the worker belongs to the requesting contractor
-    if (req.user.role !== 'admin' && worker.contractor.toString() !== req.user._id.toString()) {
+    if (!hasPermissions(req.user, ['bookings:write']) && worker.contractor.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_YOU_CAN_ONLY_ASSIGN_WORK_TO_YOUR',
         message: 'Access denied. You can only assign work to your own workers.'
       });
     }
@@ -294,10 +325,13 @@ router.put('/:workerId/assign-work', protect, async (req, res) => {
     if (worker.status !== 'approved') {
       return res.status(400).json({
         success: false,
+        code: 'CAN_ONLY_ASSIGN_WORK_TO_APPROVED_WORKERS',
         message: 'Can only assign work to approved workers'
       });
     }
 
+    const before = AuditService.snapshot(worker.currentWork);
+
     // Update worker with work assignment
     worker.currentWork = {
       location,
@@ -313,8 +347,17 @@ router.put('/:workerId/assign-work', protect, async (req, res) => {
     worker.updatedAt = Date.now();
     await worker.save();
 
+    await AuditService.record(req, {
+      action: 'worker.work.assign',
+      targetType: 'User',
+      targetId: worker._id,
+      before: { currentWork: before },
+      after: { currentWork: worker.currentWork }
+    });
+
     res.json({
       success: true,
+      code: 'WORK_ASSIGNED_SUCCESSFULLY',
       message: 'Work assigned successfully',
       data: {
         worker: {
@@ -335,6 +378,7 @@ router.put('/:workerId/assign-work', protect, async (req, res) => {
     console.error('Assign work error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_ASSIGNING_WORK',
       message: 'Server error while assigning work'
     });
   }
@@ -351,14 +395,16 @@ router.get('/:workerId/work-history', protect, async (req, res) => {
     if (!worker) {
       return res.status(404).json({
         success: false,
+        code: 'WORKER_NOT_FOUND',
         message: 'Worker not found'
       });
     }
 
     // Verify that the worker belongs to the requesting contractor
-    if (req.user.role !== 'admin' && worker.contractor.toString() !== req.user._id.toString()) {
+    if (!hasPermissions(req.user, ['bookings:read']) && worker.contractor.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_YOU_CAN_ONLY_VIEW_YOUR_OWN_WORKERS',
         message: 'Access denied. You can only view your own workers.'
       });
     }
@@ -374,6 +420,7 @@ router.get('/:workerId/work-history', protect, async (req, res) => {
     console.error('Get work history error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_WORK_HISTORY',
       message: 'Server error while fetching work history'
     });
   }
@@ -391,6 +438,7 @@ router.put('/:workerId/update-work-status', protect, async (req, res) => {
     if (!['assigned', 'in_progress', 'completed', 'cancelled'].includes(status)) {
       return res.status(400).json({
         success: false,
+        code: 'INVALID_WORK_STATUS',
         message: 'Invalid work status'
       });
     }
@@ -399,14 +447,16 @@ router.put('/:workerId/update-work-status', protect, async (req, res) => {
     if (!worker) {
       return res.status(404).json({
         success: false,
+        code: 'WORKER_NOT_FOUND',
         message: 'Worker not found'
       });
     }
 
     // Verify that the worker belongs to the requesting contractor
-    if (req.user.role !== 'admin' && worker.contractor.toString() !== req.user._id.toString()) {
+    if (!hasPermissions(req.user, ['bookings:write']) && worker.contractor.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_YOU_CAN_ONLY_UPDATE_YOUR_OWN',
         message: 'Access denied. You can only update your own workers.'
       });
     }
@@ -415,10 +465,13 @@ router.put('/:workerId/update-work-status', protect, async (req, res) => {
     if (!worker.currentWork) {
       return res.status(400).json({
         success: false,
+        code: 'NO_ACTIVE_WORK_FOUND_FOR_THIS_WORKER',
         message: 'No active work found for this worker'
       });
     }
 
+    const before = AuditService.snapshot(worker.currentWork);
+
     // Update work status
     worker.currentWork.status = status;
     
@@ -430,8 +483,17 @@ router.put('/:workerId/update-work-status', protect, async (req, res) => {
     worker.updatedAt = Date.now();
     await worker.save();
 
+    await AuditService.record(req, {
+      action: 'worker.work_status.update',
+      targetType: 'User',
+      targetId: worker._id,
+      before: { currentWork: before },
+      after: { currentWork: worker.currentWork }
+    });
+
     res.json({
       success: true,
+      code: 'WORK_STATUS_UPDATED',
       message: `Work status updated to ${status}`,
       data: {
         worker: {
@@ -446,6 +508,7 @@ router.put('/:workerId/update-work-status', protect, async (req, res) => {
     console.error('Update work status error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_UPDATING_WORK_STATUS',
       message: 'Server error while updating work status'
     });
   }
@@ -454,7 +517,7 @@ router.put('/:workerId/update-work-status', protect, async (req, res) => {
 // @route   PUT /api/workers/:workerId/bank-verification
 // @desc    Verify or reject worker's bank details (contractor only)
 // @access  Private (Contractor only)
-router.put('/:workerId/bank-verification', protect, async (req, res) => {
+router.put('/:workerId/bank-verification', protect, blockImpersonation, async (req, res) => {
   try {
     const { workerId } = req.params;
     const { status, rejectionReason } = req.body;
@@ -468,6 +531,7 @@ router.put('/:workerId/bank-verification', protect, async (req, res) => {
     if (!['pending', 'verified', 'rejected'].includes(status)) {
       return res.status(400).json({
         success: false,
+        code: 'INVALID_VERIFICATION_STATUS',
         message: 'Invalid verification status'
       });
     }
@@ -476,6 +540,7 @@ router.put('/:workerId/bank-verification', protect, async (req, res) => {
     if (status === 'rejected' && !rejectionReason) {
       return res.status(400).json({
         success: false,
+        code: 'REJECTION_REASON_IS_REQUIRED_WHEN_REJECTING_BANK',
         message: 'Rejection reason is required when rejecting bank details'
       });
     }
@@ -484,14 +549,16 @@ router.put('/:workerId/bank-verification', protect, async (req, res) => {
     if (!worker) {
       return res.status(404).json({
         success: false,
+        code: 'WORKER_NOT_FOUND',
         message: 'Worker not found'
       });
     }
 
     // Verify that the worker belongs to the requesting contractor
-    if (req.user.role !== 'admin' && worker.contractor.toString() !== req.user._id.toString()) {
+    if (!hasPermissions(req.user, ['bank:verify']) && worker.contractor.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_YOU_CAN_ONLY_VERIFY_BANK_DETAILS',
         message: 'Access denied. You can only verify bank details of your own workers.'
       });
     }
@@ -500,6 +567,7 @@ router.put('/:workerId/bank-verification', protect, async (req, res) => {
     if (!worker.bankDetails || !worker.bankDetails.accountNumber) {
       return res.status(400).json({
         success: false,
+        code: 'WORKER_HAS_NOT_PROVIDED_BANK_DETAILS',
         message: 'Worker has not provided bank details'
       });
     }
@@ -509,6 +577,7 @@ router.put('/:workerId/bank-verification', protect, async (req, res) => {
       worker.bankDetails = {};
     }
 
+    const before = AuditService.snapshot(worker.bankDetails);
     const previousStatus = worker.bankDetails.verificationStatus || 'pending';
     worker.bankDetails.verificationStatus = status;
     
@@ -525,10 +594,19 @@ router.put('/:workerId/bank-verification', protect, async (req, res) => {
     worker.updatedAt = Date.now();
     await worker.save();
 
+    await AuditService.record(req, {
+      action: 'worker.bank.verify',
+      targetType: 'User',
+      targetId: worker._id,
+      before: { bankDetails: before },
+      after: { bankDetails: worker.bankDetails }
+    });
+
     console.log(`Worker ${workerId} bank verification updated to ${status} by ${req.user.role} ${req.user._id}`);
 
     res.json({
       success: true,
+      code: 'WORKER_BANK_VERIFICATION_UPDATED',
       message: `Worker bank verification status updated to ${status}`,
       data: {
         bankDetails: {
@@ -543,6 +621,7 @@ router.put('/:workerId/bank-verification', protect, async (req, res) => {
     console.error('Worker bank verification error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_UPDATING_BANK_VERIFICATION',
       message: 'Server error while updating bank verification'
     });
   }
@@ -563,16 +642,12 @@ router.get('/dashboard-stats', protect, async (req, res) => {
     const allBookings = await Booking.find({ workerId });
     
     // Calculate statistics
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
+    const { timezone } = await LocaleService.getLocale(req.user);
+    const monthStart = startOfMonth(new Date(), timezone);
     
-    // Filter bookings for current month
+    // Filter bookings for current month (in the configured time zone)
     const monthlyBookings = allBookings.filter(booking => {
-      const bookingDate = new Date(booking.createdAt);
-      return booking.status === 'completed' && 
-             bookingDate.getMonth() === currentMonth && 
-             bookingDate.getFullYear() === currentYear;
+      return booking.status === 'completed' && new Date(booking.createdAt) >= monthStart;
     });
     
     const stats = {
@@ -608,6 +683,7 @@ router.get('/dashboard-stats', protect, async (req, res) => {
     console.error('Get worker dashboard stats error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_DASHBOARD_STATISTICS',
       message: 'Server error while fetching dashboard statistics'
     });
   }
@@ -660,6 +736,7 @@ router.get('/jobs', protect, async (req, res) => {
     console.error('Get worker jobs error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_JOBS',
       message: 'Server error while fetching jobs'
     });
   }
@@ -695,6 +772,7 @@ router.put('/jobs/:jobId/status', protect, async (req, res) => {
     if (!booking) {
       return res.status(404).json({
         success: false,
+        code: 'JOB_NOT_FOUND',
         message: 'Job not found'
       });
     }
@@ -703,6 +781,7 @@ router.put('/jobs/:jobId/status', protect, async (req, res) => {
     if (booking.workerId.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_YOU_CAN_ONLY_UPDATE_YOUR_OWN_JOBS',
         message: 'Access denied. You can only update your own jobs.'
       });
     }
@@ -737,6 +816,7 @@ router.put('/jobs/:jobId/status', protect, async (req, res) => {
     
     res.json({
       success: true,
+      code: 'JOB_STATUS_UPDATED',
       message: `Job status updated to ${status}`,
       job: updatedBooking
     });
@@ -744,6 +824,7 @@ router.put('/jobs/:jobId/status', protect, async (req, res) => {
     console.error('Update job status error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_UPDATING_JOB_STATUS',
       message: 'Server error while updating job status'
     });
   }
@@ -797,6 +878,7 @@ router.get('/work-history', protect, async (req, res) => {
     console.error('Get work history error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_WORK_HISTORY',
       message: 'Server error while fetching work history'
     });
   }
@@ -818,6 +900,7 @@ router.delete('/:workerId', protect, async (req, res) => {
       console.log(`Invalid worker ID format: ${workerId}`);
       return res.status(400).json({
         success: false,
+        code: 'INVALID_WORKER_ID_FORMAT',
         message: 'Invalid worker ID format'
       });
     }
@@ -826,14 +909,16 @@ router.delete('/:workerId', protect, async (req, res) => {
     if (!worker) {
       return res.status(404).json({
         success: false,
+        code: 'WORKER_NOT_FOUND',
         message: 'Worker not found'
       });
     }
 
     // Verify that the worker belongs to the requesting contractor
-    if (req.user.role !== 'admin' && worker.contractor.toString() !== req.user._id.toString()) {
+    if (!hasPermissions(req.user, ['users:delete']) && worker.contractor.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         success: false,
+        code: 'ACCESS_DENIED_YOU_CAN_ONLY_DELETE_YOUR_OWN',
         message: 'Access denied. You can only delete your own workers.'
       });
     }
@@ -842,6 +927,7 @@ router.delete('/:workerId', protect, async (req, res) => {
     if (worker.status === 'approved' && worker.currentWork && worker.currentWork.status !== 'completed') {
       return res.status(400).json({
         success: false,
+        code: 'CANNOT_DELETE_WORKER_WITH_ACTIVE_WORK',
         message: 'Cannot delete worker with active work assignments. Please complete or cancel their work first.'
       });
     }
@@ -849,16 +935,25 @@ router.delete('/:workerId', protect, async (req, res) => {
     // Delete the worker
     await User.findByIdAndDelete(workerId);
 
+    await AuditService.record(req, {
+      action: 'worker.delete',
+      targetType: 'User',
+      targetId: worker._id,
+      before: worker
+    });
+
     console.log(`Worker ${workerId} deleted successfully by contractor ${req.user._id}`);
 
     res.json({
       success: true,
+      code: 'WORKER_DELETED_SUCCESSFULLY',
       message: 'Worker deleted successfully'
     });
   } catch (error) {
     console.error('Delete worker error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_DELETING_WORKER',
       message: 'Server error while deleting worker'
     });
   }
@@ -884,6 +979,7 @@ router.get('/:id/ratings', async (req, res) => {
     if (!worker) {
       return res.status(404).json({
         success: false,
+        code: 'WORKER_NOT_FOUND',
         message: 'Worker not found'
       });
     }
@@ -921,6 +1017,7 @@ router.get('/:id/ratings', async (req, res) => {
     console.error('Fetch worker ratings error:', error);
     res.status(500).json({
       success: false,
+      code: 'SERVER_ERROR_WHILE_FETCHING_WORKER_RATINGS',
       message: 'Server error while fetching worker ratings'
     });
   }
@@ -1,4 +1,14 @@
 const AdminSettings = require('../models/AdminSettings');
+const SettingsVersionService = require('./settingsVersionService');
+const { flatten } = require('../utils/diff');
+const { decrypt, isMaskedValue, withoutMaskedValues } = require('../utils/encryption');
+const { findInvalidIpRules, findInvalidOrigins, findIpLockout } = require('../utils/allowlist');
+const { VERIFICATION_LEVELS, isValidLevel } = require('../utils/kyc');
+
+// Credentials that an import only overwrites when secrets are explicitly included
+const SECRET_PATHS = ['payment.gatewayConfig', 'system.apiSettings.apiKey'];
+
+const isSecretPath = (path) => SECRET_PATHS.some(secret => path === secret || path.startsWith(`${secret}.`));
 
 class AdminSettingsService {
   // Get all admin settings
@@ -20,6 +30,7 @@ class AdminSettingsService {
       console.error('Error fetching admin settings:', error);
       return {
         success: false,
+        code: 'FAILED_TO_FETCH_ADMIN_SETTINGS',
         message: 'Failed to fetch admin settings',
         error: error.message
       };
@@ -46,6 +57,7 @@ class AdminSettingsService {
       console.error(`Error fetching ${category} settings:`, error);
       return {
         success: false,
+        code: 'FAILED_TO_FETCH_CATEGORY_SETTINGS',
         message: `Failed to fetch ${category} settings`,
         error: error.message
       };
@@ -59,6 +71,7 @@ class AdminSettingsService {
       if (!settings) {
         settings = new AdminSettings();
       }
+      const previous = SettingsVersionService.snapshot(settings);
       
       // Update only provided fields
       Object.keys(updateData).forEach(key => {
@@ -71,9 +84,11 @@ class AdminSettingsService {
       settings.updatedBy = userId;
       
       await settings.save();
+      await SettingsVersionService.recordChange(previous, settings, { category: 'general', changedBy: userId });
       
       return {
         success: true,
+        code: 'GENERAL_SETTINGS_UPDATED_SUCCESSFULLY',
         message: 'General settings updated successfully',
         data: settings.general
       };
@@ -81,6 +96,7 @@ class AdminSettingsService {
       console.error('Error updating general settings:', error);
       return {
         success: false,
+        code: 'FAILED_TO_UPDATE_GENERAL_SETTINGS',
         message: 'Failed to update general settings',
         error: error.message
       };
@@ -94,6 +110,7 @@ class AdminSettingsService {
       if (!settings) {
         settings = new AdminSettings();
       }
+      const previous = SettingsVersionService.snapshot(settings);
       
       // Update basic payment settings
       ['commissionRate', 'minWithdrawalAmount', 'paymentGateway', 'autoPayoutEnabled'].forEach(field => {
@@ -106,7 +123,7 @@ class AdminSettingsService {
       if (updateData.gatewayConfig) {
         Object.keys(updateData.gatewayConfig).forEach(gateway => {
           if (settings.payment.gatewayConfig[gateway]) {
-            Object.assign(settings.payment.gatewayConfig[gateway], updateData.gatewayConfig[gateway]);
+            Object.assign(settings.payment.gatewayConfig[gateway], withoutMaskedValues(updateData.gatewayConfig[gateway]));
           }
         });
       }
@@ -115,9 +132,11 @@ class AdminSettingsService {
       settings.updatedBy = userId;
       
       await settings.save();
+      await SettingsVersionService.recordChange(previous, settings, { category: 'payment', changedBy: userId });
       
       return {
         success: true,
+        code: 'PAYMENT_SETTINGS_UPDATED_SUCCESSFULLY',
         message: 'Payment settings updated successfully',
         data: settings.payment
       };
@@ -125,6 +144,7 @@ class AdminSettingsService {
       console.error('Error updating payment settings:', error);
       return {
         success: false,
+        code: 'FAILED_TO_UPDATE_PAYMENT_SETTINGS',
         message: 'Failed to update payment settings',
         error: error.message
       };
@@ -138,6 +158,7 @@ class AdminSettingsService {
       if (!settings) {
         settings = new AdminSettings();
       }
+      const previous = SettingsVersionService.snapshot(settings);
       
       // Update only provided fields
       Object.keys(updateData).forEach(key => {
@@ -150,9 +171,11 @@ class AdminSettingsService {
       settings.updatedBy = userId;
       
       await settings.save();
+      await SettingsVersionService.recordChange(previous, settings, { category: 'notification', changedBy: userId });
       
       return {
         success: true,
+        code: 'NOTIFICATION_SETTINGS_UPDATED_SUCCESSFULLY',
         message: 'Notification settings updated successfully',
         data: settings.notification
       };
@@ -160,6 +183,7 @@ class AdminSettingsService {
       console.error('Error updating notification settings:', error);
       return {
         success: false,
+        code: 'FAILED_TO_UPDATE_NOTIFICATION_SETTINGS',
         message: 'Failed to update notification settings',
         error: error.message
       };
@@ -173,6 +197,7 @@ class AdminSettingsService {
       if (!settings) {
         settings = new AdminSettings();
       }
+      const previous = SettingsVersionService.snapshot(settings);
       
       // Update only provided fields
       Object.keys(updateData).forEach(key => {
@@ -185,9 +210,11 @@ class AdminSettingsService {
       settings.updatedBy = userId;
       
       await settings.save();
+      await SettingsVersionService.recordChange(previous, settings, { category: 'security', changedBy: userId });
       
       return {
         success: true,
+        code: 'SECURITY_SETTINGS_UPDATED_SUCCESSFULLY',
         message: 'Security settings updated successfully',
         data: settings.security
       };
@@ -195,6 +222,7 @@ class AdminSettingsService {
       console.error('Error updating security settings:', error);
       return {
         success: false,
+        code: 'FAILED_TO_UPDATE_SECURITY_SETTINGS',
         message: 'Failed to update security settings',
         error: error.message
       };
@@ -208,6 +236,7 @@ class AdminSettingsService {
       if (!settings) {
         settings = new AdminSettings();
       }
+      const previous = SettingsVersionService.snapshot(settings);
       
       // Update system settings
       if (updateData.socialLinks) {
@@ -227,9 +256,11 @@ class AdminSettingsService {
       settings.updatedBy = userId;
       
       await settings.save();
+      await SettingsVersionService.recordChange(previous, settings, { category: 'system', changedBy: userId });
       
       return {
         success: true,
+        code: 'SYSTEM_SETTINGS_UPDATED_SUCCESSFULLY',
         message: 'System settings updated successfully',
         data: settings.system
       };
@@ -237,6 +268,7 @@ class AdminSettingsService {
       console.error('Error updating system settings:', error);
       return {
         success: false,
+        code: 'FAILED_TO_UPDATE_SYSTEM_SETTINGS',
         message: 'Failed to update system settings',
         error: error.message
       };
@@ -250,15 +282,18 @@ class AdminSettingsService {
       if (!settings) {
         settings = new AdminSettings();
       }
+      const previous = SettingsVersionService.snapshot(settings);
       
       settings.general.siteLogo = logoUrl;
       settings.lastUpdated = new Date();
       settings.updatedBy = userId;
       
       await settings.save();
+      await SettingsVersionService.recordChange(previous, settings, { category: 'general', changedBy: userId });
       
       return {
         success: true,
+        code: 'SITE_LOGO_UPDATED_SUCCESSFULLY',
         message: 'Site logo updated successfully',
         data: { siteLogo: logoUrl }
       };
@@ -266,70 +301,60 @@ class AdminSettingsService {
       console.error('Error updating site logo:', error);
       return {
         success: false,
+        code: 'FAILED_TO_UPDATE_SITE_LOGO',
         message: 'Failed to update site logo',
         error: error.message
       };
     }
   }
 
-  // Generate API key
-  static async generateApiKey(userId) {
+  // Reset one category (or every category) to its defaults
+  static async resetSettings(category = null, userId = null) {
     try {
-      const generateApiKey = () => {
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-        let result = '';
-        for (let i = 0; i < 32; i++) {
-          result += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return result;
-      };
-      
+      if (category && !AdminSettings.CATEGORIES.includes(category)) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'UNKNOWN_SETTINGS_CATEGORY',
+          message: `Unknown settings category: ${category}`
+        };
+      }
+
       let settings = await AdminSettings.findOne();
       if (!settings) {
         settings = new AdminSettings();
       }
-      
-      const newApiKey = generateApiKey();
-      settings.system.apiSettings.apiKey = newApiKey;
+      const previous = SettingsVersionService.snapshot(settings);
+      const defaults = new AdminSettings().toObject();
+
+      (category ? [category] : AdminSettings.CATEGORIES).forEach(key => {
+        settings.set(key, defaults[key]);
+      });
       settings.lastUpdated = new Date();
       settings.updatedBy = userId;
-      
+
       await settings.save();
-      
-      return {
-        success: true,
-        message: 'API key generated successfully',
-        data: { apiKey: newApiKey }
-      };
-    } catch (error) {
-      console.error('Error generating API key:', error);
-      return {
-        success: false,
-        message: 'Failed to generate API key',
-        error: error.message
-      };
-    }
-  }
+      await SettingsVersionService.recordChange(previous, settings, {
+        action: 'reset',
+        category,
+        changedBy: userId
+      });
 
-  // Reset settings to defaults
-  static async resetSettings(category = null) {
-    try {
-      // Delete existing settings
-      await AdminSettings.deleteMany({});
-      
-      // Create new default settings
-      const defaultSettings = new AdminSettings();
-      await defaultSettings.save();
-      
       return {
         success: true,
+        code: 'SETTINGS_RESET_TO_DEFAULTS',
         message: `${category || 'All'} settings reset to defaults successfully`,
-        data: defaultSettings
+        data: {
+          settings,
+          previous
+        }
       };
     } catch (error) {
       console.error('Error resetting settings:', error);
       return {
         success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_RESET_SETTINGS',
         message: 'Failed to reset settings',
         error: error.message
       };
@@ -344,6 +369,7 @@ class AdminSettingsService {
       if (!settings) {
         return {
           success: false,
+          code: 'NO_SETTINGS_FOUND_TO_EXPORT',
           message: 'No settings found to export'
         };
       }
@@ -359,6 +385,8 @@ class AdminSettingsService {
           developerContact: settings.general.developerContact,
           maintenanceMode: settings.general.maintenanceMode,
           allowRegistration: settings.general.allowRegistration,
+          registrationAllowedRoles: settings.general.registrationAllowedRoles,
+          allowInvitedRegistration: settings.general.allowInvitedRegistration,
           requireEmailVerification: settings.general.requireEmailVerification,
           timezone: settings.general.timezone,
           dateFormat: settings.general.dateFormat,
@@ -376,7 +404,8 @@ class AdminSettingsService {
           sessionTimeout: settings.security.sessionTimeout,
           maxLoginAttempts: settings.security.maxLoginAttempts,
           passwordMinLength: settings.security.passwordMinLength,
-          twoFactorAuth: settings.security.twoFactorAuth
+          twoFactorAuth: settings.security.twoFactorAuth,
+          minWorkerVerificationLevel: settings.security.minWorkerVerificationLevel
         },
         system: {
           socialLinks: settings.system.socialLinks,
@@ -393,6 +422,7 @@ class AdminSettingsService {
       
       return {
         success: true,
+        code: 'SETTINGS_EXPORTED_SUCCESSFULLY',
         message: 'Settings exported successfully',
         data: exportData
       };
@@ -400,25 +430,175 @@ class AdminSettingsService {
       console.error('Error exporting settings:', error);
       return {
         success: false,
+        code: 'FAILED_TO_EXPORT_SETTINGS',
         message: 'Failed to export settings',
         error: error.message
       };
     }
   }
 
+  // Apply an exported settings bundle; with dryRun the changes are only reported
+  static async importSettings(bundle, { dryRun = false, includeSecrets = false, userId = null, ip = null } = {}) {
+    try {
+      // Accept either the bundle itself or the whole export response
+      const source = bundle && bundle.data && !AdminSettings.CATEGORIES.some(key => bundle[key]) ? bundle.data : bundle;
+      const categories = AdminSettings.CATEGORIES.filter(key => source && source[key] !== undefined);
+
+      if (categories.length === 0) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'IMPORT_MISSING_CATEGORIES',
+          message: `Import must contain at least one of: ${AdminSettings.CATEGORIES.join(', ')}`
+        };
+      }
+
+      const errors = [];
+      categories.forEach(category => {
+        if (!source[category] || typeof source[category] !== 'object' || Array.isArray(source[category])) {
+          errors.push(`${category} must be an object`);
+          return;
+        }
+        this.validateSettings(category, source[category]).errors.forEach(error => errors.push(`${category}: ${error}`));
+      });
+
+      let settings = await AdminSettings.findOne();
+      if (!settings) {
+        settings = new AdminSettings();
+      }
+      const previous = SettingsVersionService.snapshot(settings);
+
+      const skippedSecrets = [];
+      const ignoredFields = [];
+
+      if (errors.length === 0) {
+        categories.forEach(category => {
+          Object.entries(flatten(source[category], category)).forEach(([path, value]) => {
+            if (!AdminSettings.schema.path(path)) {
+              ignoredFields.push(path);
+            } else if (isSecretPath(path) && (!includeSecrets || isMaskedValue(value))) {
+              skippedSecrets.push(path);
+            } else {
+              settings.set(path, value);
+            }
+          });
+        });
+
+        const validationError = settings.validateSync();
+        if (validationError) {
+          Object.values(validationError.errors).forEach(error => errors.push(error.message));
+        }
+
+        // Same self-lockout check as PUT /security
+        const lockout = ip ? findIpLockout(settings.security.ipWhitelist, ip) : null;
+        if (lockout) {
+          errors.push(lockout);
+        }
+      }
+
+      if (errors.length > 0) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'INVALID_SETTINGS',
+          message: `Invalid settings: ${errors.join(', ')}`
+        };
+      }
+
+      const changes = SettingsVersionService.diff(previous, settings);
+      let version = null;
+
+      if (!dryRun && changes.length > 0) {
+        settings.lastUpdated = new Date();
+        settings.updatedBy = userId;
+
+        await settings.save();
+        const entry = await SettingsVersionService.recordChange(previous, settings, {
+          action: 'import',
+          changedBy: userId
+        });
+        version = entry ? entry.version : null;
+      }
+
+      return {
+        success: true,
+        message: dryRun
+          ? `Dry run: ${changes.length} setting(s) would change`
+          : `Settings imported successfully (${changes.length} setting(s) changed)`,
+        data: {
+          dryRun,
+          categories,
+          changes,
+          skippedSecrets,
+          ignoredFields,
+          version,
+          settings,
+          previous
+        }
+      };
+    } catch (error) {
+      console.error('Error importing settings:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_IMPORT_SETTINGS',
+        message: 'Failed to import settings',
+        error: error.message
+      };
+    }
+  }
+
+  // Decrypted payment gateway credentials, for the reveal endpoint only
+  static async getGatewaySecrets() {
+    try {
+      const settings = await AdminSettings.findOne();
+      if (!settings) {
+        return {
+          success: false,
+          statusCode: 404,
+          code: 'NO_SETTINGS_FOUND',
+          message: 'No settings found'
+        };
+      }
+
+      const gatewayConfig = settings.toObject().payment.gatewayConfig;
+      AdminSettings.SECRET_PATHS.forEach(path => {
+        const [gateway, field] = path.split('.').slice(-2);
+        gatewayConfig[gateway][field] = decrypt(gatewayConfig[gateway][field]);
+      });
+
+      return {
+        success: true,
+        data: {
+          settingsId: settings._id,
+          gatewayConfig
+        }
+      };
+    } catch (error) {
+      console.error('Error revealing gateway secrets:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_REVEAL_GATEWAY_SECRETS',
+        message: 'Failed to reveal gateway secrets',
+        error: error.message
+      };
+    }
+  }
+
   // Validate settings before saving
   static validateSettings(category, data) {
     const errors = [];
     
     switch (category) {
       case 'general':
-        if (data.siteName && data.siteName.length < 2) {
+        if (data.siteName && (typeof data.siteName !== 'string' || data.siteName.length < 2)) {
           errors.push('Site name must be at least 2 characters long');
         }
-        if (data.siteEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.siteEmail)) {
+        if (data.siteEmail && (typeof data.siteEmail !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.siteEmail))) {
           errors.push('Please enter a valid email address');
         }
-        if (data.customerCareNumber && !/^[\d\s\-\+\(\)]+$/.test(data.customerCareNumber.replace(/\s/g, ''))) {
+        if (data.customerCareNumber && (typeof data.customerCareNumber !== 'string' || !/^[\d\s\-\+\(\)]+$/.test(data.customerCareNumber.replace(/\s/g, '')))) {
           errors.push('Please enter a valid phone number');
         }
         break;
@@ -442,6 +622,24 @@ class AdminSettingsService {
         if (data.passwordMinLength !== undefined && data.passwordMinLength < 6) {
           errors.push('Password minimum length must be at least 6 characters');
         }
+        if (data.ipWhitelist) {
+          const invalidRules = findInvalidIpRules(data.ipWhitelist);
+          if (invalidRules.length > 0) {
+            errors.push(`Invalid IP whitelist entries: ${invalidRules.join(', ')}`);
+          }
+        }
+        if (data.minWorkerVerificationLevel !== undefined && !isValidLevel(data.minWorkerVerificationLevel)) {
+          errors.push(`Minimum worker verification level must be one of: ${VERIFICATION_LEVELS.join(', ')}`);
+        }
+        break;
+
+      case 'system':
+        if (data.apiSettings && data.apiSettings.corsOrigins) {
+          const invalidOrigins = findInvalidOrigins(data.apiSettings.corsOrigins);
+          if (invalidOrigins.length > 0) {
+            errors.push(`Invalid CORS origins: ${invalidOrigins.join(', ')}`);
+          }
+        }
         break;
     }
     
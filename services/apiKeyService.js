@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const SettingsCacheService = require('./settingsCacheService');
+
+const KEY_PREFIX = 'sw_';
+// Avoid a write on every request; lastUsedAt only needs to be roughly accurate
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Public view of a key; the hash never leaves the service
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  keyPrefix: apiKey.keyPrefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  active: apiKey.isActive(),
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt
+});
+
+class ApiKeyService {
+  // Whether API access is switched on in system.apiSettings
+  static async isApiEnabled() {
+    const system = await SettingsCacheService.getCategory('system');
+    return Boolean(system.apiSettings && system.apiSettings.enableApi);
+  }
+
+  // Create a named key; the plain key is only returned here
+  static async createKey({ name, scopes, expiresInDays }, userId) {
+    try {
+      if (!name || !String(name).trim()) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'API_KEY_NAME_IS_REQUIRED',
+          message: 'API key name is required'
+        };
+      }
+
+      const requestedScopes = Array.isArray(scopes) ? [...new Set(scopes)] : [];
+      const invalidScopes = requestedScopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+
+      if (requestedScopes.length === 0 || invalidScopes.length > 0) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'API_KEY_SCOPES_INVALID',
+          message: `Scopes must be one or more of: ${ApiKey.SCOPES.join(', ')}`
+        };
+      }
+
+      const days = expiresInDays !== undefined && expiresInDays !== null ? parseInt(expiresInDays, 10) : null;
+      if (days !== null && (isNaN(days) || days <= 0)) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'FIELD_MUST_BE_A_POSITIVE_NUMBER',
+          message: 'expiresInDays must be a positive number'
+        };
+      }
+
+      const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const now = new Date();
+
+      const apiKey = new ApiKey({
+        name: String(name).trim(),
+        keyPrefix: key.slice(0, KEY_PREFIX.length + 8),
+        keyHash: hashKey(key),
+        scopes: requestedScopes,
+        expiresAt: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000) : null,
+        createdBy: userId
+      });
+      await apiKey.save();
+
+      return {
+        success: true,
+        code: 'API_KEY_CREATED_SUCCESSFULLY_STORE_IT_NOW_IT',
+        message: 'API key created successfully. Store it now; it will not be shown again.',
+        data: {
+          apiKey: key,
+          key: formatApiKey(apiKey)
+        }
+      };
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_CREATE_API_KEY',
+        message: 'Failed to create API key',
+        error: error.message
+      };
+    }
+  }
+
+  // List all keys, newest first
+  static async listKeys() {
+    try {
+      const apiKeys = await ApiKey.find()
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 });
+
+      return {
+        success: true,
+        data: apiKeys.map(formatApiKey)
+      };
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_FETCH_API_KEYS',
+        message: 'Failed to fetch API keys',
+        error: error.message
+      };
+    }
+  }
+
+  // Revoke a key; revoked keys are kept so their usage stays visible
+  static async revokeKey(keyId, userId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(keyId)) {
+        return {
+          success: false,
+          statusCode: 404,
+          code: 'API_KEY_NOT_FOUND',
+          message: 'API key not found'
+        };
+      }
+
+      const now = new Date();
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: keyId, revokedAt: null },
+        { revokedAt: now, revokedBy: userId, updatedAt: now },
+        { new: true }
+      );
+
+      if (!apiKey) {
+        return {
+          success: false,
+          statusCode: 404,
+          code: 'API_KEY_NOT_FOUND_OR_ALREADY_REVOKED',
+          message: 'API key not found or already revoked'
+        };
+      }
+
+      return {
+        success: true,
+        code: 'API_KEY_REVOKED_SUCCESSFULLY',
+        message: 'API key revoked successfully',
+        data: formatApiKey(apiKey)
+      };
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_REVOKE_API_KEY',
+        message: 'Failed to revoke API key',
+        error: error.message
+      };
+    }
+  }
+
+  // Active key matching a presented key, or null. Read-only: use does not
+  // count until authenticate() accepts the key for a route.
+  static async findActiveKey(key) {
+    if (!key || !(await this.isApiEnabled())) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(String(key)) });
+    return apiKey && apiKey.isActive() ? apiKey : null;
+  }
+
+  // Check a presented key and its scopes, and record its use
+  static async authenticate(key, requiredScopes = [], ip) {
+    try {
+      if (!(await this.isApiEnabled())) {
+        return {
+          success: false,
+          statusCode: 403,
+          code: 'API_ACCESS_IS_DISABLED',
+          message: 'API access is disabled'
+        };
+      }
+
+      const apiKey = key ? await ApiKey.findOne({ keyHash: hashKey(String(key)) }) : null;
+
+      if (!apiKey || !apiKey.isActive()) {
+        return {
+          success: false,
+          statusCode: 401,
+          code: 'INVALID_OR_REVOKED_API_KEY',
+          message: 'Invalid or revoked API key'
+        };
+      }
+
+      if (!apiKey.hasScopes(requiredScopes)) {
+        return {
+          success: false,
+          statusCode: 403,
+          code: 'API_KEY_MISSING_SCOPE',
+          message: `API key is missing required scope: ${requiredScopes.filter(scope => !apiKey.scopes.includes(scope)).join(', ')}`
+        };
+      }
+
+      if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+        await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip || null });
+      }
+
+      return {
+        success: true,
+        data: apiKey
+      };
+    } catch (error) {
+      console.error('Error authenticating API key:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_AUTHENTICATE_API_KEY',
+        message: 'Failed to authenticate API key',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { getAdminRole } = require('../utils/permissions');
+const { toCsv } = require('../utils/csv');
+const { formatDateTime } = require('../utils/locale');
+const { toPlain, diffObjects } = require('../utils/diff');
+
+const MAX_PAGE_SIZE = 200;
+const MAX_EXPORT_ROWS = 10000;
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt', 'lastUpdated', '__v'];
+// Secrets are never copied into the audit trail
+const SENSITIVE_FIELD_PATTERN = /password|secret|hash|token|recoveryCodes|accountNumber/i;
+
+// Changed fields between two snapshots as [{ field, before, after }]
+const diff = (before, after) => diffObjects(before, after, {
+  ignore: IGNORED_FIELDS,
+  redact: SENSITIVE_FIELD_PATTERN
+});
+
+// Build the Mongo query for the audit log filters
+const buildQuery = ({ actor, action, targetType, targetId, from, to }) => {
+  const query = {};
+
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) {
+      return { error: 'Invalid actor id' };
+    }
+    query.actor = actor;
+  }
+  if (action) {
+    // "settings." matches every settings action
+    query.action = action.endsWith('.')
+      ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = String(targetId);
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+    if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+      return { error: 'from and to must be valid dates' };
+    }
+  }
+
+  return { query };
+};
+
+// Ids are written as plain strings, not as JSON-quoted ObjectIds
+const idText = (value) => value ? String(value._id || value) : '';
+
+// Columns of the CSV export; localTime is the timestamp in the reader's time zone and date format
+const csvColumns = (locale) => [
+  { header: 'timestamp', value: log => log.createdAt },
+  { header: 'localTime', value: log => formatDateTime(log.createdAt, locale) },
+  { header: 'actor', value: log => idText(log.actor) },
+  { header: 'actorName', value: log => log.actor && log.actor.name ? log.actor.name : '' },
+  { header: 'actorRole', value: log => log.actorAdminRole || log.actorRole },
+  { header: 'impersonator', value: log => idText(log.impersonator) },
+  { header: 'apiKey', value: log => idText(log.apiKey) },
+  { header: 'action', value: log => log.action },
+  { header: 'targetType', value: log => log.targetType },
+  { header: 'targetId', value: log => log.targetId },
+  { header: 'changes', value: log => log.changes.map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`).join('; ') },
+  { header: 'metadata', value: log => log.metadata },
+  { header: 'ip', value: log => log.ip },
+  { header: 'userAgent', value: log => log.userAgent }
+];
+
+class AuditService {
+  // JSON snapshot of a document, taken before it is changed
+  static snapshot(value) {
+    return toPlain(value);
+  }
+
+  // Record a privileged action. Failures are logged and never break the request.
+  static async record(req, { action, targetType, targetId, before, after, metadata = {} }) {
+    try {
+      const user = req.user || null;
+
+      await AuditLog.create({
+        actor: user ? user._id : null,
+        actorRole: user ? user.role : req.apiKey ? 'api_key' : null,
+        actorAdminRole: getAdminRole(user),
+        impersonator: req.impersonator || null,
+        apiKey: req.apiKey ? req.apiKey._id : null,
+        action,
+        targetType,
+        targetId: targetId ? String(targetId) : null,
+        changes: diff(before, after),
+        metadata,
+        ip: req.ip,
+        userAgent: (req.headers['user-agent'] || '').slice(0, 512)
+      });
+    } catch (error) {
+      console.error(`Error recording audit log for ${action}:`, error);
+    }
+  }
+
+  // Query the audit log, newest first
+  static async listLogs(filters = {}) {
+    try {
+      const { query, error } = buildQuery(filters);
+      if (error) {
+        return { success: false, statusCode: 400, message: error };
+      }
+
+      const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+      const [logs, total] = await Promise.all([
+        AuditLog.find(query)
+          .populate('actor', 'name phone email')
+          .populate('impersonator', 'name phone email')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        AuditLog.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          logs,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching audit logs:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_FETCH_AUDIT_LOGS',
+        message: 'Failed to fetch audit logs',
+        error: error.message
+      };
+    }
+  }
+
+  // Export matching audit log entries as CSV
+  static async exportCsv(filters = {}, locale = {}) {
+    try {
+      const { query, error } = buildQuery(filters);
+      if (error) {
+        return { success: false, statusCode: 400, message: error };
+      }
+
+      const logs = await AuditLog.find(query)
+        .populate('actor', 'name')
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+      return {
+        success: true,
+        data: {
+          csv: toCsv(logs, csvColumns(locale)),
+          count: logs.length,
+          truncated: logs.length === MAX_EXPORT_ROWS
+        }
+      };
+    } catch (error) {
+      console.error('Error exporting audit logs:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_EXPORT_AUDIT_LOGS',
+        message: 'Failed to export audit logs',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = AuditService;
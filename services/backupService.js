@@ -0,0 +1,525 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const Backup = require('../models/Backup');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Job = require('../models/Job');
+const Transaction = require('../models/Transaction');
+const Rating = require('../models/Rating');
+const AdminSettings = require('../models/AdminSettings');
+const SettingsCacheService = require('./settingsCacheService');
+const { getDriver, isValidBackupName } = require('../utils/backupStorage');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const MANIFEST_FILE = 'manifest.json';
+const FORMAT = 'ejson-lines+gzip';
+const FORMAT_VERSION = 1;
+
+// Collections included in every backup
+const BACKUP_MODELS = [User, Booking, Job, Transaction, Rating, AdminSettings];
+
+const FREQUENCY_MS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  monthly: 30 * 24 * 60 * 60 * 1000
+};
+
+// How often the scheduler checks whether a backup is due
+const BACKUP_CHECK_INTERVAL_MINUTES = parseInt(process.env.BACKUP_CHECK_INTERVAL_MINUTES, 10) || 5;
+// A backup still "running" after this long was interrupted (e.g. by a restart)
+const STALE_BACKUP_MS = 6 * 60 * 60 * 1000;
+// Validation errors reported per collection before the rest are only counted
+const MAX_REPORTED_ERRORS = 20;
+const RESTORE_BATCH_SIZE = 500;
+
+const fileNameFor = (Model) => `${Model.collection.collectionName}.jsonl.gz`;
+
+const sha256File = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+// Stream a collection to a gzipped file of Extended JSON lines. Raw documents
+// are read so encrypted fields and password hashes are kept as stored.
+const exportCollection = async (Model, filePath) => {
+  let count = 0;
+  const hash = crypto.createHash('sha256');
+
+  async function* lines() {
+    for await (const doc of Model.collection.find()) {
+      count += 1;
+      yield `${EJSON.stringify(doc, { relaxed: false })}\n`;
+    }
+  }
+
+  const hashStream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  await pipeline(Readable.from(lines()), zlib.createGzip(), hashStream, fs.createWriteStream(filePath));
+  const { size } = await fs.promises.stat(filePath);
+
+  return { count, size, sha256: hash.digest('hex') };
+};
+
+// Read the documents of a backup file one at a time
+async function* readDocuments(filePath) {
+  const input = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  let line = 0;
+  for await (const text of lines) {
+    line += 1;
+    if (text.trim()) {
+      yield { line, text };
+    }
+  }
+}
+
+// Storage targets for the configured backupLocation
+const resolveLocations = (backupLocation) => {
+  const requested = backupLocation === 'both' ? ['local', 'cloud'] : [backupLocation || 'local'];
+  const warnings = [];
+  const locations = requested.filter(location => {
+    if (!getDriver(location)) {
+      warnings.push(`No "${location}" storage driver is configured`);
+      return false;
+    }
+    return true;
+  });
+
+  if (locations.length === 0) {
+    warnings.push('Backup kept in local storage instead');
+    locations.push('local');
+  }
+
+  return { locations, warnings };
+};
+
+const readManifest = async (dir) => {
+  const manifest = JSON.parse(await fs.promises.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+  if (manifest.format !== FORMAT || manifest.version !== FORMAT_VERSION || !Array.isArray(manifest.collections)) {
+    throw new Error(`Unsupported backup format: ${manifest.format} v${manifest.version}`);
+  }
+  return manifest;
+};
+
+const findModel = (collectionName) => BACKUP_MODELS.find(Model => Model.collection.collectionName === collectionName);
+
+// Empty collection to restore into, with the live collection's indexes so
+// unique constraints are enforced while loading
+const createStagingCollection = async (Model) => {
+  const { db } = mongoose.connection;
+  const staging = await db.createCollection(`${Model.collection.collectionName}_restore_${Date.now()}`);
+
+  const indexes = await Model.collection.indexes().catch(() => []);
+  const specs = indexes
+    .filter(index => index.name !== '_id_')
+    .map(({ v, ns, ...spec }) => spec);
+  if (specs.length > 0) {
+    await staging.createIndexes(specs);
+  }
+  return staging;
+};
+
+class BackupService {
+  // Claim the backup lock and run a backup in the background.
+  // Resolves once the backup record exists; the export continues afterwards.
+  static async startBackup({ trigger = 'manual', createdBy = null } = {}) {
+    try {
+      await Backup.updateMany(
+        { status: 'running', startedAt: { $lt: new Date(Date.now() - STALE_BACKUP_MS) } },
+        { status: 'failed', error: 'Backup was interrupted', updatedAt: new Date() }
+      );
+
+      const name = `backup-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      let backup;
+      try {
+        backup = await Backup.create({ name, trigger, createdBy });
+      } catch (error) {
+        if (error.code === 11000) {
+          return { success: false, statusCode: 409, code: 'A_BACKUP_IS_ALREADY_RUNNING', message: 'A backup is already running' };
+        }
+        throw error;
+      }
+
+      this.runBackup(backup);
+
+      return {
+        success: true,
+        statusCode: 202,
+        code: 'BACKUP_STARTED',
+        message: 'Backup started',
+        data: backup
+      };
+    } catch (error) {
+      console.error('Error starting backup:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_START_BACKUP',
+        message: 'Failed to start backup',
+        error: error.message
+      };
+    }
+  }
+
+  // Export every collection, write the manifest and copy the files to each
+  // storage location. Never throws; failures are stored on the backup record.
+  static async runBackup(backup) {
+    let stagingDir = null;
+
+    try {
+      const system = await SettingsCacheService.getCategory('system');
+      const backupSettings = system.backupSettings || {};
+
+      stagingDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'setuworks-backup-'));
+
+      const collections = [];
+      for (const Model of BACKUP_MODELS) {
+        const file = fileNameFor(Model);
+        const result = await exportCollection(Model, path.join(stagingDir, file));
+        collections.push({ name: Model.collection.collectionName, file, ...result });
+      }
+
+      const manifest = {
+        name: backup.name,
+        format: FORMAT,
+        version: FORMAT_VERSION,
+        createdAt: backup.startedAt.toISOString(),
+        collections
+      };
+      await fs.promises.writeFile(path.join(stagingDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+      const files = [MANIFEST_FILE, ...collections.map(collection => collection.file)];
+      const { locations, warnings } = resolveLocations(backupSettings.backupLocation);
+      for (const location of locations) {
+        await getDriver(location).store(backup.name, stagingDir, files);
+      }
+
+      backup.status = 'completed';
+      backup.locations = locations;
+      backup.warnings = warnings;
+      backup.collections = collections;
+      backup.sizeBytes = collections.reduce((total, collection) => total + collection.size, 0);
+      backup.completedAt = new Date();
+      await backup.save();
+
+      await this.pruneBackups(backupSettings.retentionDays);
+    } catch (error) {
+      console.error(`Backup ${backup.name} failed:`, error);
+      backup.status = 'failed';
+      backup.error = error.message;
+      backup.completedAt = new Date();
+      await backup.save().catch(saveError => console.error('Error saving failed backup:', saveError));
+    } finally {
+      if (stagingDir) {
+        await fs.promises.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+      }
+    }
+  }
+
+  // Delete backups older than the retention period. The newest completed
+  // backup is always kept, however old it is.
+  static async pruneBackups(retentionDays) {
+    const days = Number(retentionDays) || 30;
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const latest = await Backup.findOne({ status: 'completed' }).sort({ createdAt: -1 }).select('_id');
+    const expired = await Backup.find({
+      status: { $in: ['completed', 'failed'] },
+      createdAt: { $lt: cutoff },
+      _id: { $ne: latest ? latest._id : null }
+    });
+
+    let pruned = 0;
+    for (const backup of expired) {
+      try {
+        for (const location of backup.locations) {
+          const driver = getDriver(location);
+          if (driver) {
+            await driver.remove(backup.name);
+          }
+        }
+        backup.status = 'pruned';
+        backup.prunedAt = new Date();
+        await backup.save();
+        pruned += 1;
+      } catch (error) {
+        console.error(`Error pruning backup ${backup.name}:`, error);
+      }
+    }
+
+    return pruned;
+  }
+
+  // Start a scheduled backup when autoBackup is on and the last one is older
+  // than backupFrequency
+  static async runScheduledBackup() {
+    try {
+      const system = await SettingsCacheService.getCategory('system');
+      const backupSettings = system.backupSettings || {};
+      if (!backupSettings.autoBackup) {
+        return null;
+      }
+
+      const last = await Backup.findOne({ trigger: 'scheduled', status: { $in: ['running', 'completed'] } }).sort({ createdAt: -1 });
+      const interval = FREQUENCY_MS[backupSettings.backupFrequency] || FREQUENCY_MS.daily;
+      if (last && Date.now() - last.createdAt.getTime() < interval) {
+        return null;
+      }
+
+      return await this.startBackup({ trigger: 'scheduled' });
+    } catch (error) {
+      console.error('Scheduled backup check error:', error);
+      return null;
+    }
+  }
+
+  // Check for due backups periodically; the timer does not keep the process alive
+  static startScheduler() {
+    const timer = setInterval(() => this.runScheduledBackup(), BACKUP_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  // List backups, newest first
+  static async listBackups(filters = {}) {
+    try {
+      const query = {};
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+
+      const [backups, total] = await Promise.all([
+        Backup.find(query)
+          .populate('createdBy', 'name phone email')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Backup.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          backups,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching backups:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_FETCH_BACKUPS',
+        message: 'Failed to fetch backups',
+        error: error.message
+      };
+    }
+  }
+
+  static async getBackup(name) {
+    try {
+      const backup = await Backup.findOne({ name }).populate('createdBy', 'name phone email');
+      if (!backup) {
+        return { success: false, statusCode: 404, code: 'BACKUP_NOT_FOUND', message: 'Backup not found' };
+      }
+      return { success: true, data: backup };
+    } catch (error) {
+      console.error('Error fetching backup:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_FETCH_BACKUP',
+        message: 'Failed to fetch backup',
+        error: error.message
+      };
+    }
+  }
+
+  // Check a stored backup without writing anything: manifest format, file
+  // checksums, document counts, and every document against its schema
+  static async verifyBackup(name, { location = 'local', collections = null } = {}) {
+    try {
+      if (!isValidBackupName(name)) {
+        return { success: false, statusCode: 400, code: 'INVALID_BACKUP_NAME', message: 'Invalid backup name' };
+      }
+
+      const driver = getDriver(location);
+      if (!driver) {
+        return { success: false, statusCode: 400, code: 'STORAGE_DRIVER_NOT_CONFIGURED', message: `No "${location}" storage driver is configured` };
+      }
+
+      const dir = await driver.fetch(name, [MANIFEST_FILE]);
+      const manifest = await readManifest(dir);
+
+      const selected = manifest.collections.filter(entry => !collections || collections.includes(entry.name));
+      const unknown = (collections || []).filter(collection => !manifest.collections.some(entry => entry.name === collection));
+      if (unknown.length > 0) {
+        return { success: false, statusCode: 400, code: 'NOT_IN_THIS_BACKUP', message: `Not in this backup: ${unknown.join(', ')}` };
+      }
+
+      await driver.fetch(name, selected.map(entry => entry.file));
+
+      const report = [];
+      for (const entry of selected) {
+        const filePath = path.join(dir, path.basename(entry.file));
+        const result = { name: entry.name, file: entry.file, expected: entry.count, count: 0, invalid: 0, errors: [] };
+        const addError = (message) => {
+          result.invalid += 1;
+          if (result.errors.length < MAX_REPORTED_ERRORS) {
+            result.errors.push(message);
+          }
+        };
+
+        const Model = findModel(entry.name);
+        if (!Model) {
+          addError('Collection is not part of this application');
+          report.push(result);
+          continue;
+        }
+
+        if (await sha256File(filePath) !== entry.sha256) {
+          addError('Checksum does not match the manifest');
+          report.push(result);
+          continue;
+        }
+
+        for await (const { line, text } of readDocuments(filePath)) {
+          result.count += 1;
+          let doc;
+          try {
+            doc = EJSON.parse(text, { relaxed: false });
+          } catch (error) {
+            addError(`Line ${line}: not valid JSON`);
+            continue;
+          }
+
+          const validationError = new Model(doc).validateSync();
+          if (validationError) {
+            const fields = Object.values(validationError.errors).map(error => error.message).join(' ');
+            addError(`Line ${line} (${doc._id}): ${fields}`);
+          }
+        }
+
+        if (result.count !== entry.count) {
+          addError(`Expected ${entry.count} documents, found ${result.count}`);
+        }
+        report.push(result);
+      }
+
+      const valid = report.every(result => result.invalid === 0);
+      return {
+        success: true,
+        data: {
+          name: manifest.name,
+          createdAt: manifest.createdAt,
+          dir,
+          valid,
+          collections: report
+        }
+      };
+    } catch (error) {
+      console.error('Error verifying backup:', error);
+      return {
+        success: false,
+        statusCode: error.code === 'ENOENT' ? 404 : 500,
+        message: error.code === 'ENOENT' ? 'Backup files not found' : 'Failed to verify backup',
+        error: error.message
+      };
+    }
+  }
+
+  // Replace the selected collections with the contents of a backup. The whole
+  // backup is verified first and nothing is written if any check fails. Each
+  // collection is loaded into a staging collection and swapped in only once
+  // complete, so a failed write leaves the live collection untouched.
+  static async restoreBackup(name, { location = 'local', collections = null } = {}) {
+    const verification = await this.verifyBackup(name, { location, collections });
+    if (!verification.success) {
+      return verification;
+    }
+    if (!verification.data.valid) {
+      return {
+        success: false,
+        statusCode: 422,
+        code: 'BACKUP_FAILED_VALIDATION_NOTHING_WAS_RESTORED',
+        message: 'Backup failed validation; nothing was restored',
+        data: verification.data
+      };
+    }
+
+    const restored = [];
+    try {
+      for (const entry of verification.data.collections) {
+        const Model = findModel(entry.name);
+        const filePath = path.join(verification.data.dir, path.basename(entry.file));
+
+        const staging = await createStagingCollection(Model);
+        try {
+          // Raw writes so hooks do not re-hash passwords or re-encrypt fields
+          let batch = [];
+          for await (const { text } of readDocuments(filePath)) {
+            batch.push(EJSON.parse(text, { relaxed: false }));
+            if (batch.length === RESTORE_BATCH_SIZE) {
+              await staging.insertMany(batch);
+              batch = [];
+            }
+          }
+          if (batch.length > 0) {
+            await staging.insertMany(batch);
+          }
+
+          await staging.rename(Model.collection.collectionName, { dropTarget: true });
+        } catch (error) {
+          await staging.drop().catch(() => {});
+          throw error;
+        }
+        await Model.createIndexes();
+
+        restored.push({ name: entry.name, count: entry.count });
+      }
+
+      return {
+        success: true,
+        code: 'BACKUP_RESTORED',
+        message: 'Backup restored',
+        data: { name, restored }
+      };
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'RESTORE_STOPPED',
+        message: `Restore stopped while writing ${verification.data.collections[restored.length].name}`,
+        data: { name, restored },
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = BackupService;
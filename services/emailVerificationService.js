@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const SettingsCacheService = require('./settingsCacheService');
+const { sendMail } = require('../utils/mailer');
+
+const TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+const RESEND_INTERVAL_SECONDS = 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Link the user follows; the frontend posts the token to /api/auth/email/verify
+const buildVerificationLink = (token) => {
+  const appUrl = (process.env.APP_URL || 'http://localhost:3001').replace(/\/$/, '');
+  return `${appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+};
+
+class EmailVerificationService {
+  // Whether general.requireEmailVerification is on
+  static async isRequired() {
+    const general = await SettingsCacheService.getCategory('general');
+    return general.requireEmailVerification !== false;
+  }
+
+  // Check that a user may perform an action that needs a verified email
+  static async checkVerified(user) {
+    if (!(await this.isRequired())) {
+      return { success: true };
+    }
+
+    if (!user.email) {
+      return {
+        success: false,
+        statusCode: 403,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please add and verify an email address to continue'
+      };
+    }
+
+    if (!user.emailVerifiedAt) {
+      return {
+        success: false,
+        statusCode: 403,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address to continue'
+      };
+    }
+
+    return { success: true };
+  }
+
+  // Send a fresh verification link to the user's current email
+  static async sendVerification(user) {
+    try {
+      if (!user.email) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'NO_EMAIL_ADDRESS_ON_THIS_ACCOUNT',
+          message: 'No email address on this account'
+        };
+      }
+
+      if (user.emailVerifiedAt) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'EMAIL_ADDRESS_IS_ALREADY_VERIFIED',
+          message: 'Email address is already verified'
+        };
+      }
+
+      const now = new Date();
+      const latest = await EmailVerificationToken.findOne({ user: user._id }).sort({ createdAt: -1 });
+      if (latest) {
+        const nextAllowedAt = new Date(latest.createdAt.getTime() + RESEND_INTERVAL_SECONDS * 1000);
+        if (nextAllowedAt > now) {
+          return {
+            success: false,
+            statusCode: 429,
+            code: 'PLEASE_WAIT_BEFORE_REQUESTING_ANOTHER',
+            message: 'Please wait before requesting another verification email',
+            retryAfter: Math.ceil((nextAllowedAt - now) / 1000)
+          };
+        }
+      }
+
+      // Only the newest link works
+      await EmailVerificationToken.deleteMany({ user: user._id, usedAt: null });
+
+      const token = crypto.randomBytes(32).toString('hex');
+      await EmailVerificationToken.create({
+        user: user._id,
+        email: user.email,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + TOKEN_TTL_HOURS * 60 * 60 * 1000)
+      });
+
+      const link = buildVerificationLink(token);
+      const mailResult = await sendMail({
+        to: user.email,
+        subject: 'Verify your SetuWorks email address',
+        text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThe link expires in ${TOKEN_TTL_HOURS} hours. If you did not create a SetuWorks account, you can ignore this email.`
+      });
+
+      if (!mailResult.success) {
+        return {
+          success: false,
+          statusCode: 502,
+          code: 'FAILED_TO_SEND_VERIFICATION_EMAIL_PLEASE_TRY',
+          message: 'Failed to send verification email. Please try again.'
+        };
+      }
+
+      return {
+        success: true,
+        code: 'VERIFICATION_EMAIL_SENT',
+        message: 'Verification email sent',
+        data: {
+          email: user.email,
+          expiresIn: TOKEN_TTL_HOURS * 60 * 60,
+          resendAfter: RESEND_INTERVAL_SECONDS
+        }
+      };
+    } catch (error) {
+      console.error('Error sending verification email:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_SEND_VERIFICATION_EMAIL',
+        message: 'Failed to send verification email',
+        error: error.message
+      };
+    }
+  }
+
+  // Use a verification token and mark the email as verified
+  static async verifyEmail(token) {
+    try {
+      const now = new Date();
+      const verification = token
+        ? await EmailVerificationToken.findOneAndUpdate(
+          { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+          { usedAt: now },
+          { new: true }
+        )
+        : null;
+
+      if (!verification) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'VERIFICATION_LINK_IS_INVALID_OR_HAS_EXPIRED',
+          message: 'Verification link is invalid or has expired. Please request a new one.'
+        };
+      }
+
+      // The link only verifies the address it was sent to
+      const user = await User.findOneAndUpdate(
+        { _id: verification.user, email: verification.email },
+        { emailVerifiedAt: now, updatedAt: now },
+        { new: true }
+      );
+
+      if (!user) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'THIS_LINK_IS_FOR_AN_EMAIL_ADDRESS_THAT_IS_NO',
+          message: 'This link is for an email address that is no longer on the account'
+        };
+      }
+
+      return {
+        success: true,
+        code: 'EMAIL_ADDRESS_VERIFIED_SUCCESSFULLY',
+        message: 'Email address verified successfully',
+        data: {
+          email: user.email,
+          emailVerifiedAt: user.emailVerifiedAt
+        }
+      };
+    } catch (error) {
+      console.error('Error verifying email:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_VERIFY_EMAIL',
+        message: 'Failed to verify email',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,356 @@
+const fs = require('fs');
+const path = require('path');
+const MessageCatalog = require('../models/MessageCatalog');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+// Admin-managed catalogs are re-read at most this often
+const CATALOG_CACHE_TTL_SECONDS = parseInt(process.env.CATALOG_CACHE_TTL_SECONDS, 10) || 60;
+
+// Codes for responses whose message is not in the catalog
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  422: 'UNPROCESSABLE',
+  429: 'TOO_MANY_REQUESTS',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const getPlaceholders = (text) => [...String(text).matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+
+const render = (text, params = {}) => String(text).replace(/\{(\w+)\}/g, (placeholder, name) => (
+  params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+));
+
+// Built-in catalogs: locales/<language>.json with { name, messages }
+const loadBuiltInCatalogs = () => {
+  const catalogs = new Map();
+  fs.readdirSync(LOCALES_DIR).filter(file => file.endsWith('.json')).forEach(file => {
+    const { name, messages } = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), 'utf8'));
+    catalogs.set(path.basename(file, '.json'), { name, messages, builtIn: true });
+  });
+  return catalogs;
+};
+
+const builtInCatalogs = loadBuiltInCatalogs();
+const englishMessages = builtInCatalogs.get(DEFAULT_LANGUAGE).messages;
+
+// English text -> code, for responses that do not send a code of their own
+const exactCodes = new Map();
+const templateCodes = [];
+Object.keys(englishMessages).forEach(code => {
+  const text = englishMessages[code];
+  const params = [...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+
+  if (params.length === 0) {
+    exactCodes.set(text, code);
+    return;
+  }
+
+  const pattern = text.split(/\{\w+\}/).map(escapeRegex).join('(.+?)');
+  templateCodes.push({ code, params, literalLength: text.replace(/\{\w+\}/g, '').length, regex: new RegExp(`^${pattern}$`, 's') });
+});
+// Most specific templates first, so "Invalid {field} id" wins over "Invalid {field}"
+templateCodes.sort((a, b) => b.literalLength - a.literalLength);
+const templatesByCode = new Map(templateCodes.map(template => [template.code, template]));
+
+const matchTemplate = (template, message) => {
+  const match = template.regex.exec(message);
+  if (!match) {
+    return null;
+  }
+  return template.params.reduce((result, name, index) => {
+    result[name] = match[index + 1];
+    return result;
+  }, {});
+};
+
+// Parameters of a message sent with a known code, or null when the English
+// text does not fit the code's template
+const paramsForCode = (code, message) => {
+  const template = templatesByCode.get(code);
+  if (!template) {
+    return {};
+  }
+  return typeof message === 'string' ? matchTemplate(template, message) : null;
+};
+
+// Code and parameters of an English response message, or null
+const identifyMessage = (message) => {
+  if (typeof message !== 'string') {
+    return null;
+  }
+
+  if (exactCodes.has(message)) {
+    return { code: exactCodes.get(message), params: {} };
+  }
+
+  for (const template of templateCodes) {
+    const params = matchTemplate(template, message);
+    if (params) {
+      return { code: template.code, params };
+    }
+  }
+
+  return null;
+};
+
+let cachedCatalogs = null;
+let cachedAt = 0;
+
+class I18nService {
+  // Built-in catalogs merged with the admin-managed ones
+  static async getCatalogs() {
+    if (cachedCatalogs && Date.now() - cachedAt < CATALOG_CACHE_TTL_SECONDS * 1000) {
+      return cachedCatalogs;
+    }
+
+    const catalogs = new Map();
+    builtInCatalogs.forEach((catalog, language) => catalogs.set(language, { ...catalog, enabled: true }));
+
+    try {
+      const custom = await MessageCatalog.find().lean();
+      custom.forEach(entry => {
+        const builtIn = builtInCatalogs.get(entry.language);
+        catalogs.set(entry.language, {
+          name: entry.name || (builtIn && builtIn.name) || entry.language,
+          messages: { ...(builtIn ? builtIn.messages : {}), ...(entry.messages || {}) },
+          builtIn: !!builtIn,
+          enabled: entry.language === DEFAULT_LANGUAGE || entry.enabled !== false
+        });
+      });
+    } catch (error) {
+      console.error('Error loading message catalogs:', error.message);
+      return cachedCatalogs || catalogs;
+    }
+
+    cachedCatalogs = catalogs;
+    cachedAt = Date.now();
+    return catalogs;
+  }
+
+  static invalidate() {
+    cachedCatalogs = null;
+    cachedAt = 0;
+  }
+
+  static isValidLanguageTag(language) {
+    return typeof language === 'string' && LANGUAGE_PATTERN.test(language);
+  }
+
+  // Enabled language tags
+  static async getAvailableLanguages() {
+    const catalogs = await this.getCatalogs();
+    return [...catalogs.keys()].filter(language => catalogs.get(language).enabled);
+  }
+
+  static async isAvailable(language) {
+    return (await this.getAvailableLanguages()).includes(language);
+  }
+
+  // Languages from an Accept-Language header, most preferred first
+  static parseAcceptLanguage(header) {
+    return String(header || '').split(',')
+      .map((part, index) => {
+        const [tag, ...options] = part.trim().split(';');
+        const quality = options.map(option => option.trim()).find(option => option.startsWith('q='));
+        return { tag: tag.trim(), q: quality ? parseFloat(quality.slice(2)) : 1, index };
+      })
+      .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index)
+      .map(entry => entry.tag);
+  }
+
+  // First candidate with an enabled catalog ("mr-IN" also matches "mr")
+  static pickLanguage(candidates, available) {
+    for (const candidate of candidates) {
+      if (!candidate) {
+        continue;
+      }
+      const tag = available.find(language => language.toLowerCase() === String(candidate).toLowerCase());
+      if (tag) {
+        return tag;
+      }
+      const base = String(candidate).split('-')[0].toLowerCase();
+      if (available.includes(base)) {
+        return base;
+      }
+    }
+    return DEFAULT_LANGUAGE;
+  }
+
+  // Text of a message code in a language, falling back to English
+  static translate(catalogs, language, code, params = {}) {
+    const catalog = catalogs.get(language);
+    const text = (catalog && catalog.messages[code]) || englishMessages[code];
+    return text === undefined ? null : render(text, params);
+  }
+
+  // Add a code and a localized message to a { success, message } response body
+  static localize(body, { language, catalogs, statusCode = 200 }) {
+    if (!body || typeof body !== 'object' || Array.isArray(body) || typeof body.success !== 'boolean') {
+      return body;
+    }
+
+    let code = body.code;
+    let message = body.message;
+
+    // Routes and services send a catalog code and the English text; the text
+    // fills the code's placeholders, or is kept as is when it does not fit them.
+    // Responses without a known code are recognised by their English text.
+    const identified = code && englishMessages[code] !== undefined
+      ? { code, params: paramsForCode(code, message) }
+      : identifyMessage(message);
+
+    if (identified && identified.params) {
+      code = code || identified.code;
+      message = this.translate(catalogs, language, identified.code, identified.params);
+    } else if (message === undefined && body.success) {
+      code = code || 'OK';
+      message = this.translate(catalogs, language, 'OK');
+    }
+
+    if (!code) {
+      code = body.success ? 'OK' : STATUS_CODES[statusCode] || (statusCode >= 500 ? 'SERVER_ERROR' : 'REQUEST_FAILED');
+    }
+
+    // Keep success, code and message first in the response
+    const localized = { success: body.success, code };
+    if (message !== undefined) {
+      localized.message = message;
+    }
+    return Object.assign(localized, body, { code, message: localized.message });
+  }
+
+  // Built-in and admin-added languages with how many messages each translates
+  static async listLanguages() {
+    try {
+      const catalogs = await this.getCatalogs();
+      const total = Object.keys(englishMessages).length;
+
+      const languages = [...catalogs.entries()].map(([language, catalog]) => ({
+        language,
+        name: catalog.name,
+        builtIn: catalog.builtIn,
+        enabled: catalog.enabled,
+        translated: Object.keys(catalog.messages).filter(code => englishMessages[code] !== undefined).length,
+        total
+      }));
+
+      return { success: true, data: { languages, codes: englishMessages } };
+    } catch (error) {
+      console.error('Error listing languages:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        message: 'Failed to fetch languages',
+        error: error.message
+      };
+    }
+  }
+
+  // Add a language, or update its name, messages or enabled flag. Messages are
+  // merged into the stored ones; an empty string removes an override.
+  static async saveLanguage(language, { name, messages = {}, enabled } = {}, userId = null) {
+    try {
+      if (!this.isValidLanguageTag(language)) {
+        return { success: false, statusCode: 400, message: 'Invalid language code' };
+      }
+      if (typeof messages !== 'object' || Array.isArray(messages) || messages === null) {
+        return { success: false, statusCode: 400, message: 'Messages must be an object of code to text' };
+      }
+
+      const unknown = Object.keys(messages).filter(code => englishMessages[code] === undefined);
+      if (unknown.length > 0) {
+        return { success: false, statusCode: 400, message: `Unknown message codes: ${unknown.join(', ')}` };
+      }
+
+      for (const code of Object.keys(messages)) {
+        const text = messages[code];
+        const expected = getPlaceholders(englishMessages[code]);
+        if (text && (typeof text !== 'string' || getPlaceholders(text).join() !== expected.join())) {
+          return {
+            success: false,
+            statusCode: 400,
+            message: `Message ${code} must use exactly these placeholders: ${expected.map(param => `{${param}}`).join(', ') || 'none'}`
+          };
+        }
+      }
+
+      const builtIn = builtInCatalogs.get(language);
+      let catalog = await MessageCatalog.findOne({ language });
+      if (!catalog) {
+        if (!builtIn && !name) {
+          return { success: false, statusCode: 400, message: 'A name is required for a new language' };
+        }
+        catalog = new MessageCatalog({ language, name: name || builtIn.name });
+      }
+
+      const stored = { ...(catalog.messages || {}) };
+      Object.keys(messages).forEach(code => {
+        if (messages[code]) {
+          stored[code] = messages[code];
+        } else {
+          delete stored[code];
+        }
+      });
+
+      if (name) catalog.name = name;
+      if (enabled !== undefined) catalog.enabled = enabled !== false;
+      catalog.messages = stored;
+      catalog.markModified('messages');
+      catalog.updatedBy = userId;
+      await catalog.save();
+
+      this.invalidate();
+
+      return {
+        success: true,
+        message: 'Language saved successfully',
+        data: catalog
+      };
+    } catch (error) {
+      console.error('Error saving language:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        message: 'Failed to save language',
+        error: error.message
+      };
+    }
+  }
+
+  // Remove an admin-added language, or the admin overrides of a built-in one
+  static async deleteLanguage(language) {
+    try {
+      const catalog = await MessageCatalog.findOneAndDelete({ language });
+      if (!catalog) {
+        return { success: false, statusCode: 404, message: 'Language not found' };
+      }
+
+      this.invalidate();
+
+      return {
+        success: true,
+        message: builtInCatalogs.has(language) ? 'Language overrides removed' : 'Language deleted successfully',
+        data: catalog
+      };
+    } catch (error) {
+      console.error('Error deleting language:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        message: 'Failed to delete language',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = I18nService;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const ImpersonationLog = require('../models/ImpersonationLog');
+
+const MAX_PAGE_SIZE = 100;
+
+class ImpersonationService {
+  // Record an impersonation event against the real admin
+  static async logEvent({ adminId, userId, sessionId, event, req, statusCode, reason }) {
+    await ImpersonationLog.create({
+      admin: adminId,
+      user: userId,
+      session: sessionId,
+      event,
+      method: req ? req.method : undefined,
+      path: req ? req.originalUrl : undefined,
+      statusCode,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? (req.headers['user-agent'] || '').slice(0, 512) : undefined,
+      reason
+    });
+  }
+
+  // Log an impersonated request once its response has been sent
+  static trackRequest(req, res) {
+    res.on('finish', () => {
+      this.logEvent({
+        adminId: req.impersonator,
+        userId: req.user._id,
+        sessionId: req.authSession._id,
+        event: 'request',
+        req,
+        statusCode: res.statusCode
+      }).catch(error => console.error('Error logging impersonated request:', error));
+    });
+  }
+
+  // Query the impersonation trail, newest first
+  static async listLogs({ adminId, userId, sessionId, page = 1, limit = 50 } = {}) {
+    try {
+      const query = {};
+      const filters = { admin: adminId, user: userId, session: sessionId };
+
+      for (const [field, value] of Object.entries(filters)) {
+        if (!value) continue;
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return {
+            success: false,
+            statusCode: 400,
+            code: 'INVALID_FIELD_ID',
+            message: `Invalid ${field} id`
+          };
+        }
+        query[field] = value;
+      }
+
+      const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+
+      const [logs, total] = await Promise.all([
+        ImpersonationLog.find(query)
+          .populate('admin', 'name phone email')
+          .populate('user', 'name phone role')
+          .sort({ createdAt: -1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize),
+        ImpersonationLog.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          logs,
+          pagination: {
+            page: pageNumber,
+            limit: pageSize,
+            total,
+            pages: Math.ceil(total / pageSize)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching impersonation logs:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_FETCH_IMPERSONATION_LOGS',
+        message: 'Failed to fetch impersonation logs',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = ImpersonationService;
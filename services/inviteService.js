@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Invite = require('../models/Invite');
+const SettingsCacheService = require('./settingsCacheService');
+
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+
+// Readable invite codes, e.g. "K7QF-3MZP-X2WD"
+const generateCode = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < 12; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return code.match(/.{4}/g).join('-');
+};
+
+// Public view of an invite; the code hash never leaves the service
+const formatInvite = (invite) => ({
+  id: invite._id,
+  role: invite.role,
+  phone: invite.phone,
+  email: invite.email,
+  note: invite.note,
+  expiresAt: invite.expiresAt,
+  usedAt: invite.usedAt,
+  usedBy: invite.usedBy,
+  revokedAt: invite.revokedAt,
+  active: invite.isActive(),
+  createdBy: invite.createdBy,
+  createdAt: invite.createdAt
+});
+
+// Active invite matching the code, role and (if pinned) phone/email
+const findUsableInvite = async (inviteCode, { role, phone, email }) => {
+  if (!inviteCode) {
+    return null;
+  }
+
+  const invite = await Invite.findOne({ codeHash: hashCode(inviteCode) });
+  if (!invite || !invite.isActive() || invite.role !== role) {
+    return null;
+  }
+  if (invite.phone && invite.phone !== phone) {
+    return null;
+  }
+  if (invite.email && invite.email !== String(email || '').toLowerCase()) {
+    return null;
+  }
+
+  return invite;
+};
+
+class InviteService {
+  // Decide whether a sign-up may proceed under general.allowRegistration
+  static async checkRegistration({ role, phone, email, inviteCode }) {
+    const general = await SettingsCacheService.getCategory('general');
+
+    if (general.allowRegistration !== false) {
+      return { success: true };
+    }
+
+    if ((general.registrationAllowedRoles || []).includes(role)) {
+      return { success: true };
+    }
+
+    if (general.allowInvitedRegistration !== false) {
+      const invite = await findUsableInvite(inviteCode, { role, phone, email });
+      if (invite) {
+        return { success: true, invite };
+      }
+
+      if (inviteCode) {
+        return {
+          success: false,
+          statusCode: 403,
+          code: 'INVALID_INVITE',
+          message: 'Invite code is invalid, expired or not valid for this account'
+        };
+      }
+    }
+
+    return {
+      success: false,
+      statusCode: 403,
+      code: 'REGISTRATION_CLOSED',
+      message: general.allowInvitedRegistration !== false
+        ? 'Registration is currently invite-only'
+        : 'Registration is currently closed'
+    };
+  }
+
+  // Mark an invite as used by the account it created; fails if someone else
+  // used it first
+  static async consumeInvite(inviteId, userId) {
+    const now = new Date();
+    const invite = await Invite.findOneAndUpdate(
+      { _id: inviteId, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { usedAt: now, usedBy: userId, updatedAt: now },
+      { new: true }
+    );
+    return !!invite;
+  }
+
+  // Create an invite; the plain code is only returned here
+  static async createInvite({ role, phone, email, note, expiresInDays }, userId) {
+    try {
+      if (!Invite.schema.path('role').enumValues.includes(role)) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'INVITE_ROLE_INVALID',
+          message: `Role must be one of: ${Invite.schema.path('role').enumValues.join(', ')}`
+        };
+      }
+
+      const days = expiresInDays !== undefined && expiresInDays !== null ? parseInt(expiresInDays, 10) : INVITE_TTL_DAYS;
+      if (isNaN(days) || days <= 0) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'FIELD_MUST_BE_A_POSITIVE_NUMBER',
+          message: 'expiresInDays must be a positive number'
+        };
+      }
+
+      const code = generateCode();
+      const invite = new Invite({
+        codeHash: hashCode(code),
+        role,
+        phone: phone || null,
+        email: email || null,
+        note: note || '',
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+        createdBy: userId
+      });
+      await invite.save();
+
+      return {
+        success: true,
+        code: 'INVITE_CREATED_SUCCESSFULLY_SHARE_THE_CODE_NOW',
+        message: 'Invite created successfully. Share the code now; it will not be shown again.',
+        data: {
+          code,
+          invite: formatInvite(invite)
+        }
+      };
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_CREATE_INVITE',
+        message: 'Failed to create invite',
+        error: error.message
+      };
+    }
+  }
+
+  // List invites, newest first
+  static async listInvites({ status } = {}) {
+    try {
+      const now = new Date();
+      const query = {};
+
+      if (status === 'active') {
+        Object.assign(query, { usedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+      } else if (status === 'used') {
+        query.usedAt = { $ne: null };
+      } else if (status === 'revoked') {
+        query.revokedAt = { $ne: null };
+      }
+
+      const invites = await Invite.find(query)
+        .populate('createdBy', 'name email')
+        .populate('usedBy', 'name phone')
+        .sort({ createdAt: -1 });
+
+      return {
+        success: true,
+        data: invites.map(formatInvite)
+      };
+    } catch (error) {
+      console.error('Error listing invites:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_FETCH_INVITES',
+        message: 'Failed to fetch invites',
+        error: error.message
+      };
+    }
+  }
+
+  // Revoke an unused invite
+  static async revokeInvite(inviteId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+        return {
+          success: false,
+          statusCode: 404,
+          code: 'INVITE_NOT_FOUND',
+          message: 'Invite not found'
+        };
+      }
+
+      const now = new Date();
+      const invite = await Invite.findOneAndUpdate(
+        { _id: inviteId, usedAt: null, revokedAt: null },
+        { revokedAt: now, updatedAt: now },
+        { new: true }
+      );
+
+      if (!invite) {
+        return {
+          success: false,
+          statusCode: 404,
+          code: 'INVITE_NOT_FOUND_ALREADY_USED_OR_ALREADY_REVOKED',
+          message: 'Invite not found, already used or already revoked'
+        };
+      }
+
+      return {
+        success: true,
+        code: 'INVITE_REVOKED_SUCCESSFULLY',
+        message: 'Invite revoked successfully',
+        data: formatInvite(invite)
+      };
+    } catch (error) {
+      console.error('Error revoking invite:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_REVOKE_INVITE',
+        message: 'Failed to revoke invite',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = InviteService;
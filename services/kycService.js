@@ -0,0 +1,567 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const KycDocument = require('../models/KycDocument');
+const AuditService = require('./auditService');
+const NotificationService = require('./notificationService');
+const { getSignedUrl, parseStorageRef, deleteImage } = require('../utils/storage');
+const { hasPermissions } = require('../utils/permissions');
+const { decrypt } = require('../utils/encryption');
+const {
+  DOCUMENT_TYPES,
+  computeVerificationLevel,
+  normalizeDocumentNumber,
+  isValidDocumentNumber
+} = require('../utils/kyc');
+
+// Lifetime of a signed KYC document URL
+const KYC_URL_TTL_SECONDS = parseInt(process.env.KYC_URL_TTL_SECONDS, 10) || 300;
+const KYC_EXPIRY_CHECK_INTERVAL_MINUTES = parseInt(process.env.KYC_EXPIRY_CHECK_INTERVAL_MINUTES, 10) || 60;
+const MAX_PAGE_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+
+// KYC documents may be viewed by their owner, by admins who review KYC, and
+// by the contractor the worker belongs to
+const canViewDocuments = (viewer, owner) => {
+  if (viewer._id.equals(owner._id)) {
+    return true;
+  }
+  if (hasPermissions(viewer, ['kyc:review'])) {
+    return true;
+  }
+  return viewer.role === 'contractor' && !!owner.contractor && owner.contractor.equals(viewer._id);
+};
+
+const loadOwner = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return { error: { success: false, statusCode: 400, code: 'INVALID_USER_ID', message: 'Invalid user id' } };
+  }
+
+  const owner = await User.findById(userId).select('name email phone role contractor idProof verificationLevel');
+  if (!owner) {
+    return { error: { success: false, statusCode: 404, code: 'USER_NOT_FOUND', message: 'User not found' } };
+  }
+  return { owner };
+};
+
+const alreadyReviewed = () => ({ success: false, statusCode: 409, code: 'ONLY_PENDING_DOCUMENTS_CAN_BE_REVIEWED', message: 'Only pending documents can be reviewed' });
+
+const findPendingDocument = async (documentId) => {
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    return { error: { success: false, statusCode: 400, code: 'INVALID_FIELD_ID', message: 'Invalid document id' } };
+  }
+
+  const document = await KycDocument.findById(documentId);
+  if (!document) {
+    return { error: { success: false, statusCode: 404, code: 'DOCUMENT_NOT_FOUND', message: 'Document not found' } };
+  }
+  if (document.status !== 'pending') {
+    return { error: alreadyReviewed() };
+  }
+  return { document };
+};
+
+// Apply a review only if the document is still pending, so two reviewers
+// (or a review and a withdrawal) cannot both act on it
+const reviewPendingDocument = async (documentId, changes) => {
+  const document = await KycDocument.findOneAndUpdate(
+    { _id: documentId, status: 'pending' },
+    { $set: { ...changes, updatedAt: new Date() } },
+    { new: true }
+  );
+  return document ? { document } : { error: alreadyReviewed() };
+};
+
+const recordDenied = (req, owner, document) => AuditService.record(req, {
+  action: 'kyc.document.access_denied',
+  targetType: 'User',
+  targetId: owner._id,
+  metadata: { document }
+});
+
+class KycService {
+  // Short-lived URL of a user's ID proof. Every attempt, allowed or not, is
+  // written to the audit log.
+  static async getIdProofUrl(req, userId) {
+    try {
+      const { owner, error } = await loadOwner(userId);
+      if (error) {
+        return error;
+      }
+
+      if (!canViewDocuments(req.user, owner)) {
+        await recordDenied(req, owner, 'idProof');
+        return { success: false, statusCode: 403, code: 'YOU_ARE_NOT_ALLOWED_TO_VIEW_THIS_DOCUMENT', message: 'You are not allowed to view this document' };
+      }
+
+      if (!owner.idProof) {
+        return { success: false, statusCode: 404, code: 'NO_ID_PROOF_ON_FILE', message: 'No ID proof on file' };
+      }
+
+      // Uploads from before private storage are still plain public URLs
+      let url = owner.idProof;
+      let expiresAt = null;
+      const legacy = !parseStorageRef(owner.idProof);
+
+      if (!legacy) {
+        const signed = await getSignedUrl(owner.idProof, KYC_URL_TTL_SECONDS);
+        if (!signed.success) {
+          return { success: false, statusCode: 500, code: 'FAILED_TO_SIGN_DOCUMENT_URL', message: 'Failed to sign document URL' };
+        }
+        url = signed.url;
+        expiresAt = signed.expiresAt;
+      }
+
+      await AuditService.record(req, {
+        action: 'kyc.document.access',
+        targetType: 'User',
+        targetId: owner._id,
+        metadata: { document: 'idProof', expiresAt, legacy }
+      });
+
+      return {
+        success: true,
+        data: { url, expiresAt, legacy }
+      };
+    } catch (error) {
+      console.error('Error getting ID proof URL:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_GET_DOCUMENT',
+        message: 'Failed to get document',
+        error: error.message
+      };
+    }
+  }
+
+  // A user's KYC documents, newest first (numbers masked, no file links)
+  static async listUserDocuments(req, userId) {
+    try {
+      const { owner, error } = await loadOwner(userId);
+      if (error) {
+        return error;
+      }
+
+      if (!canViewDocuments(req.user, owner)) {
+        await recordDenied(req, owner, 'kycDocuments');
+        return { success: false, statusCode: 403, code: 'YOU_ARE_NOT_ALLOWED_TO_VIEW_THIS_DOCUMENT', message: 'You are not allowed to view this document' };
+      }
+
+      const documents = await KycDocument.find({ user: owner._id })
+        .select('-file')
+        .populate('reviewedBy', 'name')
+        .sort({ createdAt: -1 });
+
+      return {
+        success: true,
+        data: {
+          verificationLevel: owner.verificationLevel || 'none',
+          documents
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching KYC documents:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_FETCH_KYC_DOCUMENTS',
+        message: 'Failed to fetch KYC documents',
+        error: error.message
+      };
+    }
+  }
+
+  // Submit a document for review. file is the stored upload from
+  // middleware/upload (kycDocument type).
+  static async submitDocument(user, { type, number, expiresAt } = {}, file) {
+    try {
+      const documentType = DOCUMENT_TYPES[type];
+      if (!documentType) {
+        return { success: false, statusCode: 400, code: 'INVALID_FIELD', message: 'Invalid document type' };
+      }
+
+      if (!file || !file.ref) {
+        return { success: false, statusCode: 400, code: 'DOCUMENT_FILE_REQUIRED', message: 'Document file is required' };
+      }
+
+      const normalizedNumber = normalizeDocumentNumber(type, number);
+      if (!isValidDocumentNumber(type, normalizedNumber)) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'INVALID_DOCUMENT_NUMBER',
+          message: `Invalid ${documentType.label} number. Enter ${documentType.numberHint}`
+        };
+      }
+
+      let expiryDate = null;
+      if (documentType.expires || expiresAt) {
+        expiryDate = expiresAt ? new Date(expiresAt) : null;
+        if (!expiryDate || isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+          return { success: false, statusCode: 400, code: 'FUTURE_EXPIRY_DATE_REQUIRED', message: 'A future expiry date is required for this document' };
+        }
+      }
+
+      const pending = await KycDocument.exists({ user: user._id, type, status: 'pending' });
+      if (pending) {
+        return {
+          success: false,
+          statusCode: 409,
+          code: 'DOCUMENT_ALREADY_AWAITING_REVIEW',
+          message: 'A document of this type is already awaiting review'
+        };
+      }
+
+      const document = await KycDocument.create({
+        user: user._id,
+        type,
+        number: normalizedNumber,
+        file: file.ref,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        expiresAt: expiryDate
+      });
+
+      return {
+        success: true,
+        code: 'DOCUMENT_SUBMITTED_FOR_REVIEW',
+        message: 'Document submitted for review',
+        data: document
+      };
+    } catch (error) {
+      console.error('Error submitting KYC document:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_SUBMIT_DOCUMENT',
+        message: 'Failed to submit document',
+        error: error.message
+      };
+    }
+  }
+
+  // Withdraw one of your own documents while it is still pending
+  static async withdrawDocument(user, documentId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(documentId)) {
+        return { success: false, statusCode: 400, code: 'INVALID_FIELD_ID', message: 'Invalid document id' };
+      }
+
+      const document = await KycDocument.findOne({ _id: documentId, user: user._id });
+      if (!document) {
+        return { success: false, statusCode: 404, code: 'DOCUMENT_NOT_FOUND', message: 'Document not found' };
+      }
+
+      if (document.status !== 'pending') {
+        return { success: false, statusCode: 400, code: 'ONLY_PENDING_DOCUMENTS_CAN_BE_WITHDRAWN', message: 'Only pending documents can be withdrawn' };
+      }
+
+      await document.deleteOne();
+      await deleteImage(document.file);
+
+      return {
+        success: true,
+        code: 'DOCUMENT_WITHDRAWN',
+        message: 'Document withdrawn'
+      };
+    } catch (error) {
+      console.error('Error withdrawing KYC document:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_WITHDRAW_DOCUMENT',
+        message: 'Failed to withdraw document',
+        error: error.message
+      };
+    }
+  }
+
+  // A single document with a short-lived file URL. The owner and reviewers
+  // see the full number; a contractor sees it masked. Every attempt is
+  // written to the audit log.
+  static async getDocument(req, documentId) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(documentId)) {
+        return { success: false, statusCode: 400, code: 'INVALID_FIELD_ID', message: 'Invalid document id' };
+      }
+
+      const document = await KycDocument.findById(documentId).populate('reviewedBy', 'name');
+      if (!document) {
+        return { success: false, statusCode: 404, code: 'DOCUMENT_NOT_FOUND', message: 'Document not found' };
+      }
+
+      const owner = await User.findById(document.user).select('role contractor');
+      if (!owner || !canViewDocuments(req.user, owner)) {
+        if (owner) {
+          await recordDenied(req, owner, `kyc:${document._id}`);
+        }
+        return { success: false, statusCode: 403, code: 'YOU_ARE_NOT_ALLOWED_TO_VIEW_THIS_DOCUMENT', message: 'You are not allowed to view this document' };
+      }
+
+      const signed = await getSignedUrl(document.file, KYC_URL_TTL_SECONDS);
+      if (!signed.success) {
+        return { success: false, statusCode: 500, code: 'FAILED_TO_SIGN_DOCUMENT_URL', message: 'Failed to sign document URL' };
+      }
+
+      await AuditService.record(req, {
+        action: 'kyc.document.access',
+        targetType: 'User',
+        targetId: owner._id,
+        metadata: { document: `kyc:${document._id}`, type: document.type, expiresAt: signed.expiresAt }
+      });
+
+      const data = document.toJSON();
+      delete data.file;
+      if (req.user._id.equals(owner._id) || hasPermissions(req.user, ['kyc:review'])) {
+        data.number = decrypt(document.number);
+      }
+
+      return {
+        success: true,
+        data: {
+          ...data,
+          url: signed.url,
+          urlExpiresAt: signed.expiresAt
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching KYC document:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_GET_DOCUMENT',
+        message: 'Failed to get document',
+        error: error.message
+      };
+    }
+  }
+
+  // Documents awaiting review, oldest first (optional ?status=&type=&page=&limit=)
+  static async getReviewQueue(filters = {}) {
+    try {
+      const status = filters.status || 'pending';
+      if (!KycDocument.schema.path('status').enumValues.includes(status)) {
+        return { success: false, statusCode: 400, code: 'INVALID_FIELD', message: 'Invalid document status' };
+      }
+
+      const query = { status };
+      if (filters.type) {
+        if (!DOCUMENT_TYPES[filters.type]) {
+          return { success: false, statusCode: 400, code: 'INVALID_FIELD', message: 'Invalid document type' };
+        }
+        query.type = filters.type;
+      }
+
+      const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+      const [documents, total] = await Promise.all([
+        KycDocument.find(query)
+          .select('-file')
+          .populate('user', 'name phone role skillType verificationLevel')
+          .populate('reviewedBy', 'name')
+          .sort({ createdAt: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        KycDocument.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          documents,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching KYC review queue:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_FETCH_REVIEW_QUEUE',
+        message: 'Failed to fetch review queue',
+        error: error.message
+      };
+    }
+  }
+
+  // Approve a pending document. An earlier approved document of the same type
+  // is superseded, and the user's verification level is recalculated.
+  static async approveDocument(reviewer, documentId) {
+    try {
+      const pending = await findPendingDocument(documentId);
+      if (pending.error) {
+        return pending.error;
+      }
+
+      if (pending.document.expiresAt && pending.document.expiresAt <= new Date()) {
+        return { success: false, statusCode: 400, code: 'DOCUMENT_ALREADY_EXPIRED', message: 'This document has already expired' };
+      }
+
+      const before = pending.document.toJSON();
+      const { document, error } = await reviewPendingDocument(documentId, {
+        status: 'approved',
+        rejectionReason: null,
+        reviewedBy: reviewer._id,
+        reviewedAt: new Date()
+      });
+      if (error) {
+        return error;
+      }
+
+      await KycDocument.updateMany(
+        { user: document.user, type: document.type, status: 'approved', _id: { $ne: document._id } },
+        { $set: { status: 'superseded', updatedAt: new Date() } }
+      );
+
+      const user = await this.refreshVerificationLevel(document.user);
+      await NotificationService.notifyUser(user, {
+        type: 'kyc',
+        subject: `${DOCUMENT_TYPES[document.type].label} approved`,
+        text: `Your ${DOCUMENT_TYPES[document.type].label} has been verified. Verification level: ${user ? user.verificationLevel : 'none'}.`
+      });
+
+      return {
+        success: true,
+        code: 'DOCUMENT_APPROVED',
+        message: 'Document approved',
+        data: document,
+        before,
+        verificationLevel: user ? user.verificationLevel : null
+      };
+    } catch (error) {
+      console.error('Error approving KYC document:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_APPROVE_DOCUMENT',
+        message: 'Failed to approve document',
+        error: error.message
+      };
+    }
+  }
+
+  // Reject a pending document with a reason the user can act on
+  static async rejectDocument(reviewer, documentId, reason) {
+    try {
+      const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+      if (!trimmedReason) {
+        return { success: false, statusCode: 400, code: 'REJECTION_REASON_REQUIRED', message: 'A rejection reason is required' };
+      }
+      if (trimmedReason.length > MAX_REASON_LENGTH) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'REJECTION_REASON_TOO_LONG',
+          message: `Rejection reason must be at most ${MAX_REASON_LENGTH} characters`
+        };
+      }
+
+      const pending = await findPendingDocument(documentId);
+      if (pending.error) {
+        return pending.error;
+      }
+
+      const before = pending.document.toJSON();
+      const { document, error } = await reviewPendingDocument(documentId, {
+        status: 'rejected',
+        rejectionReason: trimmedReason,
+        reviewedBy: reviewer._id,
+        reviewedAt: new Date()
+      });
+      if (error) {
+        return error;
+      }
+
+      const user = await User.findById(document.user).select('name email phone');
+      await NotificationService.notifyUser(user, {
+        type: 'kyc',
+        subject: `${DOCUMENT_TYPES[document.type].label} rejected`,
+        text: `Your ${DOCUMENT_TYPES[document.type].label} could not be verified: ${trimmedReason}. Please upload it again.`
+      });
+
+      return {
+        success: true,
+        code: 'DOCUMENT_REJECTED',
+        message: 'Document rejected',
+        data: document,
+        before
+      };
+    } catch (error) {
+      console.error('Error rejecting KYC document:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_REJECT_DOCUMENT',
+        message: 'Failed to reject document',
+        error: error.message
+      };
+    }
+  }
+
+  // Recalculate a user's verification level from their approved, unexpired
+  // documents. Returns the updated user (or null if they no longer exist).
+  static async refreshVerificationLevel(userId) {
+    const approvedTypes = await KycDocument.distinct('type', {
+      user: userId,
+      status: 'approved',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    return User.findByIdAndUpdate(
+      userId,
+      { $set: { verificationLevel: computeVerificationLevel(approvedTypes) } },
+      { new: true }
+    ).select('name email phone verificationLevel');
+  }
+
+  // Mark approved documents past their expiry date as expired and lower the
+  // affected users' verification levels. Returns the number expired.
+  static async expireDocuments() {
+    try {
+      const expired = await KycDocument.find({ status: 'approved', expiresAt: { $ne: null, $lte: new Date() } })
+        .select('user type');
+      if (expired.length === 0) {
+        return 0;
+      }
+
+      await KycDocument.updateMany(
+        { _id: { $in: expired.map(document => document._id) } },
+        { $set: { status: 'expired', updatedAt: new Date() } }
+      );
+
+      const userIds = [...new Set(expired.map(document => String(document.user)))];
+      for (const userId of userIds) {
+        const user = await this.refreshVerificationLevel(userId);
+        const types = expired.filter(document => String(document.user) === userId)
+          .map(document => DOCUMENT_TYPES[document.type].label)
+          .join(', ');
+        await NotificationService.notifyUser(user, {
+          type: 'kyc',
+          subject: 'KYC document expired',
+          text: `Your ${types} has expired. Please upload a valid document to keep your verification.`
+        });
+      }
+
+      return expired.length;
+    } catch (error) {
+      console.error('KYC expiry check error:', error);
+      return 0;
+    }
+  }
+
+  // Check for expired documents periodically; the timer does not keep the process alive
+  static startExpiryCheck() {
+    const timer = setInterval(() => this.expireDocuments(), KYC_EXPIRY_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = KycService;
@@ -0,0 +1,31 @@
+const SettingsCacheService = require('./settingsCacheService');
+const { resolveTimeZone, formatMoney, formatDate, formatDateTime } = require('../utils/locale');
+
+class LocaleService {
+  // Formatting preferences from general settings; a user's own time zone
+  // and language take precedence over the platform ones
+  static async getLocale(user = null) {
+    const general = await SettingsCacheService.getCategory('general');
+
+    return {
+      timezone: resolveTimeZone((user && user.timezone) || general.timezone),
+      dateFormat: general.dateFormat || 'YYYY-MM-DD',
+      currency: general.currency || 'USD',
+      language: (user && user.language) || general.language || 'en'
+    };
+  }
+
+  static async formatMoney(amount, user = null) {
+    return formatMoney(amount, await this.getLocale(user));
+  }
+
+  static async formatDate(date, user = null) {
+    return formatDate(date, await this.getLocale(user));
+  }
+
+  static async formatDateTime(date, user = null) {
+    return formatDateTime(date, await this.getLocale(user));
+  }
+}
+
+module.exports = LocaleService;
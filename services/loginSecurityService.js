@@ -0,0 +1,176 @@
+const AuthThrottle = require('../models/AuthThrottle');
+const SettingsCacheService = require('./settingsCacheService');
+const { validatePassword } = require('../utils/passwordPolicy');
+
+const LOCK_DURATION_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const ATTEMPT_WINDOW_MINUTES = 15;
+// An IP may fail more often than a single phone so that shared networks are not locked out
+const IP_ATTEMPT_MULTIPLIER = 4;
+
+const phoneKey = (phone) => `login:phone:${phone}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+class LoginSecurityService {
+  // Get security settings, falling back to schema defaults
+  static async getSecuritySettings() {
+    const security = await SettingsCacheService.getCategory('security');
+
+    return {
+      maxLoginAttempts: security.maxLoginAttempts || 5,
+      passwordMinLength: security.passwordMinLength || 8
+    };
+  }
+
+  // Get the active lock for a throttle key, if any
+  static async getLock(key) {
+    const entry = await AuthThrottle.findOne({ key });
+    const now = new Date();
+
+    if (entry && entry.lockedUntil && entry.lockedUntil > now) {
+      return {
+        locked: true,
+        lockedUntil: entry.lockedUntil,
+        retryAfter: Math.ceil((entry.lockedUntil - now) / 1000)
+      };
+    }
+
+    return { locked: false };
+  }
+
+  // Count a failure against a throttle key and lock it once the limit is reached.
+  // Every step is a single atomic update so parallel failures are all counted.
+  static async registerFailure(key, limit, options = {}) {
+    const {
+      windowMinutes = ATTEMPT_WINDOW_MINUTES,
+      lockMinutes = LOCK_DURATION_MINUTES
+    } = options;
+
+    const now = new Date();
+
+    // Start a fresh window once the old one or its lock has run out. Only one
+    // of several racing failures matches, so none of their counts are lost.
+    await AuthThrottle.updateOne(
+      {
+        key,
+        $or: [
+          { windowStartedAt: { $lte: new Date(now.getTime() - windowMinutes * 60 * 1000) } },
+          { lockedUntil: { $ne: null, $lte: now } }
+        ]
+      },
+      { $set: { count: 0, windowStartedAt: now, lockedUntil: null } }
+    );
+
+    const increment = () => AuthThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: 1 },
+        $set: {
+          expiresAt: new Date(now.getTime() + Math.max(windowMinutes, lockMinutes) * 60 * 1000),
+          updatedAt: now
+        },
+        $setOnInsert: { windowStartedAt: now, lockedUntil: null, createdAt: now }
+      },
+      { upsert: true, new: true }
+    );
+
+    let entry;
+    try {
+      entry = await increment();
+    } catch (error) {
+      // Two first failures can race on the upsert; the retry finds the winner
+      if (error.code !== 11000) {
+        throw error;
+      }
+      entry = await increment();
+    }
+
+    if (entry.count >= limit && !entry.lockedUntil) {
+      const locked = await AuthThrottle.findOneAndUpdate(
+        { key, lockedUntil: null },
+        { $set: { lockedUntil: new Date(now.getTime() + lockMinutes * 60 * 1000) } },
+        { new: true }
+      );
+      // A parallel failure may have set the lock first
+      entry = locked || await AuthThrottle.findOne({ key }) || entry;
+    }
+
+    return {
+      count: entry.count,
+      locked: !!entry.lockedUntil,
+      lockedUntil: entry.lockedUntil,
+      retryAfter: entry.lockedUntil ? Math.ceil((entry.lockedUntil - now) / 1000) : 0
+    };
+  }
+
+  // Clear a throttle key
+  static async clear(key) {
+    await AuthThrottle.deleteOne({ key });
+  }
+
+  // Check whether a login attempt for this phone and IP is currently blocked
+  static async checkLogin(phone, ip) {
+    const accountLock = await this.getLock(phoneKey(phone));
+    if (accountLock.locked) {
+      return {
+        ...accountLock,
+        statusCode: 423,
+        code: 'ACCOUNT_LOCKED_REMAINING',
+        message: `Too many failed login attempts. Account is locked for ${Math.ceil(accountLock.retryAfter / 60)} more minute(s).`
+      };
+    }
+
+    const ipLock = await this.getLock(ipKey(ip));
+    if (ipLock.locked) {
+      return {
+        ...ipLock,
+        statusCode: 429,
+        code: 'TOO_MANY_FAILED_LOGIN_ATTEMPTS_FROM_THIS_NETWORK',
+        message: 'Too many failed login attempts from this network. Please try again later.'
+      };
+    }
+
+    return { locked: false };
+  }
+
+  // Record a failed login for both the phone and the IP
+  static async recordLoginFailure(phone, ip) {
+    const { maxLoginAttempts } = await this.getSecuritySettings();
+
+    const [accountResult] = await Promise.all([
+      this.registerFailure(phoneKey(phone), maxLoginAttempts),
+      this.registerFailure(ipKey(ip), maxLoginAttempts * IP_ATTEMPT_MULTIPLIER)
+    ]);
+
+    if (accountResult.locked) {
+      console.warn(`Account for phone ${phone} locked after ${accountResult.count} failed login attempts`);
+      return {
+        ...accountResult,
+        statusCode: 423,
+        code: 'ACCOUNT_LOCKED',
+        message: `Too many failed login attempts. Account is locked for ${LOCK_DURATION_MINUTES} minutes.`
+      };
+    }
+
+    return accountResult;
+  }
+
+  // Reset the failure count for a phone after a successful login
+  static async recordLoginSuccess(phone) {
+    await this.clear(phoneKey(phone));
+  }
+
+  // Lift an account lock early
+  static async unlockAccount(phone) {
+    const lock = await this.getLock(phoneKey(phone));
+    await this.clear(phoneKey(phone));
+    return lock.locked;
+  }
+
+  // Validate a new password against the configured password policy
+  static async checkPasswordPolicy(password) {
+    const security = await this.getSecuritySettings();
+    return validatePassword(password, security);
+  }
+}
+
+module.exports = LoginSecurityService;
@@ -0,0 +1,47 @@
+const { sendMail } = require('../utils/mailer');
+const { sendSms } = require('../utils/sms');
+const SettingsCacheService = require('./settingsCacheService');
+
+class NotificationService {
+  // Send a notification over the channels switched on in the notification
+  // settings. Booking updates and payment alerts also have their own switch;
+  // other types (e.g. 'kyc') only depend on the channels. Never throws;
+  // returns the channels used.
+  static async notifyUser(user, { type, subject, text }) {
+    try {
+      if (!user) {
+        return [];
+      }
+
+      if (type === 'payment' && !await SettingsCacheService.arePaymentAlertsEnabled()) {
+        return [];
+      }
+      if (type === 'booking' && !await SettingsCacheService.areBookingRemindersEnabled()) {
+        return [];
+      }
+
+      const sent = [];
+
+      if (user.email && await SettingsCacheService.isNotificationChannelEnabled('email')) {
+        const mailResult = await sendMail({ to: user.email, subject, text });
+        if (mailResult.success) {
+          sent.push('email');
+        }
+      }
+
+      if (user.phone && await SettingsCacheService.isNotificationChannelEnabled('sms')) {
+        const smsResult = await sendSms(user.phone, text);
+        if (smsResult.success) {
+          sent.push('sms');
+        }
+      }
+
+      return sent;
+    } catch (error) {
+      console.error(`Error sending ${type} notification:`, error);
+      return [];
+    }
+  }
+}
+
+module.exports = NotificationService;
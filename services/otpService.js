@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const { sendSms } = require('../utils/sms');
+const { sendMail } = require('../utils/mailer');
+
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH, 10) || 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 5;
+const OTP_RESEND_INTERVAL_SECONDS = parseInt(process.env.OTP_RESEND_INTERVAL_SECONDS, 10) || 60;
+const OTP_MAX_SENDS_PER_HOUR = parseInt(process.env.OTP_MAX_SENDS_PER_HOUR, 10) || 5;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const VERIFICATION_TTL_MINUTES = 15;
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const hashCode = (identifier, purpose, code) => hashValue(`${identifier}:${purpose}:${code}`);
+
+const generateCode = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+// Send the code over the requested channel
+const deliverCode = async (identifier, channel, purpose, code) => {
+  const text = purpose === 'password_reset'
+    ? `Your SetuWorks password reset code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. If you did not request this, you can ignore this message.`
+    : `Your SetuWorks verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`;
+
+  if (channel === 'email') {
+    return sendMail({
+      to: identifier,
+      subject: purpose === 'password_reset' ? 'Reset your SetuWorks password' : 'Your SetuWorks verification code',
+      text
+    });
+  }
+
+  return sendSms(identifier, text);
+};
+
+// Find a usable verification token, optionally using it up
+const findVerification = async (identifier, purpose, otpToken, consume) => {
+  try {
+    if (!otpToken) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'PHONE_NUMBER_MUST_BE_VERIFIED_WITH_AN_OTP',
+        message: 'Phone number must be verified with an OTP'
+      };
+    }
+
+    const now = new Date();
+    const query = {
+      identifier,
+      purpose,
+      verificationTokenHash: hashValue(otpToken),
+      verificationExpiresAt: { $gt: now },
+      consumedAt: null
+    };
+    const otp = consume
+      ? await Otp.findOneAndUpdate(query, { consumedAt: now, updatedAt: now }, { new: true })
+      : await Otp.findOne(query).select('_id');
+
+    if (!otp) {
+      return {
+        success: false,
+        statusCode: 400,
+        code: 'PHONE_VERIFICATION_IS_INVALID_OR_HAS_EXPIRED',
+        message: 'Phone verification is invalid or has expired. Please verify again.'
+      };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error checking OTP verification:', error);
+    return {
+      success: false,
+      statusCode: 500,
+      code: 'FAILED_TO_CHECK_PHONE_VERIFICATION',
+      message: 'Failed to check phone verification',
+      error: error.message
+    };
+  }
+};
+
+class OtpService {
+  // Generate and send a new OTP, honouring resend throttling
+  static async requestOtp(identifier, purpose, options = {}) {
+    const { channel = 'sms' } = options;
+
+    try {
+      const now = new Date();
+      let otp = await Otp.findOne({ identifier, purpose, consumedAt: null }).sort({ createdAt: -1 });
+
+      if (otp) {
+        const nextAllowedAt = new Date(otp.lastSentAt.getTime() + OTP_RESEND_INTERVAL_SECONDS * 1000);
+        if (nextAllowedAt > now) {
+          return {
+            success: false,
+            statusCode: 429,
+            code: 'PLEASE_WAIT_BEFORE_REQUESTING_ANOTHER_OTP',
+            message: 'Please wait before requesting another OTP',
+            retryAfter: Math.ceil((nextAllowedAt - now) / 1000)
+          };
+        }
+
+        const windowEndsAt = new Date(otp.windowStartedAt.getTime() + 60 * 60 * 1000);
+        if (windowEndsAt > now && otp.sendCount >= OTP_MAX_SENDS_PER_HOUR) {
+          return {
+            success: false,
+            statusCode: 429,
+            code: 'TOO_MANY_OTP_REQUESTS_PLEASE_TRY_AGAIN_LATER',
+            message: 'Too many OTP requests. Please try again later.',
+            retryAfter: Math.ceil((windowEndsAt - now) / 1000)
+          };
+        }
+
+        if (windowEndsAt <= now) {
+          otp.windowStartedAt = now;
+          otp.sendCount = 0;
+        }
+      } else {
+        otp = new Otp({ identifier, channel, purpose, windowStartedAt: now, sendCount: 0 });
+      }
+
+      const code = generateCode();
+
+      otp.codeHash = hashCode(identifier, purpose, code);
+      otp.expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+      otp.attempts = 0;
+      otp.sendCount += 1;
+      otp.lastSentAt = now;
+      otp.verifiedAt = null;
+      otp.verificationTokenHash = null;
+      otp.verificationExpiresAt = null;
+      otp.updatedAt = now;
+
+      await otp.save();
+
+      const deliveryResult = await deliverCode(identifier, otp.channel, purpose, code);
+
+      if (!deliveryResult.success) {
+        return {
+          success: false,
+          statusCode: 502,
+          code: 'FAILED_TO_SEND_OTP_PLEASE_TRY_AGAIN',
+          message: 'Failed to send OTP. Please try again.'
+        };
+      }
+
+      return {
+        success: true,
+        code: 'OTP_SENT_SUCCESSFULLY',
+        message: 'OTP sent successfully',
+        data: {
+          expiresIn: OTP_TTL_MINUTES * 60,
+          resendAfter: OTP_RESEND_INTERVAL_SECONDS
+        }
+      };
+    } catch (error) {
+      console.error('Error requesting OTP:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_SEND_OTP',
+        message: 'Failed to send OTP',
+        error: error.message
+      };
+    }
+  }
+
+  // Check an OTP and hand out a single-use verification token
+  static async verifyOtp(identifier, purpose, code) {
+    try {
+      const now = new Date();
+      const otp = await Otp.findOne({ identifier, purpose, consumedAt: null }).sort({ createdAt: -1 });
+
+      if (!otp || otp.expiresAt <= now) {
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'OTP_HAS_EXPIRED_OR_WAS_NOT_REQUESTED_PLEASE',
+          message: 'OTP has expired or was not requested. Please request a new one.'
+        };
+      }
+
+      if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+        return {
+          success: false,
+          statusCode: 429,
+          code: 'TOO_MANY_INCORRECT_ATTEMPTS_PLEASE_REQUEST_A_NEW',
+          message: 'Too many incorrect attempts. Please request a new OTP.'
+        };
+      }
+
+      const expected = Buffer.from(otp.codeHash, 'hex');
+      const actual = Buffer.from(hashCode(identifier, purpose, String(code)), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, actual)) {
+        otp.attempts += 1;
+        otp.updatedAt = now;
+        await otp.save();
+
+        return {
+          success: false,
+          statusCode: 400,
+          code: 'INVALID_OTP',
+          message: 'Invalid OTP',
+          attemptsRemaining: Math.max(OTP_MAX_ATTEMPTS - otp.attempts, 0)
+        };
+      }
+
+      const verificationToken = crypto.randomBytes(32).toString('hex');
+
+      otp.verifiedAt = now;
+      otp.verificationTokenHash = hashValue(verificationToken);
+      otp.verificationExpiresAt = new Date(now.getTime() + VERIFICATION_TTL_MINUTES * 60 * 1000);
+      // The code itself cannot be reused once verified
+      otp.expiresAt = now;
+      otp.updatedAt = now;
+      await otp.save();
+
+      return {
+        success: true,
+        code: 'OTP_VERIFIED_SUCCESSFULLY',
+        message: 'OTP verified successfully',
+        data: {
+          otpToken: verificationToken,
+          expiresIn: VERIFICATION_TTL_MINUTES * 60
+        }
+      };
+    } catch (error) {
+      console.error('Error verifying OTP:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_VERIFY_OTP',
+        message: 'Failed to verify OTP',
+        error: error.message
+      };
+    }
+  }
+
+  // Check a verification token without using it up, so a caller can fail
+  // early and only consume it once its own work has succeeded
+  static async checkVerification(identifier, purpose, otpToken) {
+    return findVerification(identifier, purpose, otpToken, false);
+  }
+
+  // Exchange a verification token; each token can only be used once
+  static async consumeVerification(identifier, purpose, otpToken) {
+    return findVerification(identifier, purpose, otpToken, true);
+  }
+
+  // Verify a code and use it up in one step (for flows without a separate verify call)
+  static async verifyAndConsume(identifier, purpose, code) {
+    const verification = await this.verifyOtp(identifier, purpose, code);
+    if (!verification.success) {
+      return verification;
+    }
+
+    return this.consumeVerification(identifier, purpose, verification.data.otpToken);
+  }
+}
+
+module.exports = OtpService;
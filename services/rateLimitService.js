@@ -0,0 +1,74 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+const SettingsCacheService = require('./settingsCacheService');
+
+const DEFAULT_API_RATE_LIMIT = '1000/hour';
+
+const WINDOW_UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Parse a limit such as "1000/hour" into { limit, windowMs }
+const parseRateLimit = (value) => {
+  const match = /^(\d+)\/(second|minute|hour|day)$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  return {
+    limit: parseInt(match[1], 10),
+    windowMs: WINDOW_UNITS[match[2]]
+  };
+};
+
+class RateLimitService {
+  // API limit from system.apiSettings.rateLimit
+  static async getApiLimit() {
+    const system = await SettingsCacheService.getCategory('system');
+    const configured = system.apiSettings ? system.apiSettings.rateLimit : null;
+
+    return parseRateLimit(configured) || parseRateLimit(DEFAULT_API_RATE_LIMIT);
+  }
+
+  // Count a request against a fixed window and report what is left
+  static async hit(key, limit, windowMs) {
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const resetAt = windowStart + windowMs;
+    const counterKey = `${key}:${windowStart}`;
+
+    const increment = () => RateLimitCounter.findOneAndUpdate(
+      { key: counterKey },
+      {
+        $inc: { count: 1 },
+        $setOnInsert: {
+          windowStartedAt: new Date(windowStart),
+          expiresAt: new Date(resetAt)
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    let counter;
+    try {
+      counter = await increment();
+    } catch (error) {
+      // Two first requests in a window can race on the upsert; the retry finds the winner
+      if (error.code !== 11000) {
+        throw error;
+      }
+      counter = await increment();
+    }
+
+    return {
+      limit,
+      remaining: Math.max(limit - counter.count, 0),
+      resetAt,
+      retryAfter: Math.ceil((resetAt - now) / 1000),
+      limited: counter.count > limit
+    };
+  }
+}
+
+module.exports = RateLimitService;
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const SettingsCacheService = require('./settingsCacheService');
+const { generateToken, generateImpersonationToken } = require('../middleware/auth');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 15;
+const DEFAULT_SESSION_TIMEOUT_MINUTES = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens carry their session id so they can be looked up directly
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+class SessionService {
+  // Access token lifetime in seconds, from security.sessionTimeout (minutes)
+  static async getAccessTokenTtl() {
+    const security = await SettingsCacheService.getCategory('security');
+    const minutes = security.sessionTimeout || DEFAULT_SESSION_TIMEOUT_MINUTES;
+    return minutes * 60;
+  }
+
+  // Issue a fresh access token for a session
+  static async issueAccessToken(userId, sessionId) {
+    const expiresIn = await this.getAccessTokenTtl();
+    return {
+      token: generateToken(userId, sessionId, expiresIn),
+      expiresIn
+    };
+  }
+
+  // Start a new session for a user and return its tokens
+  static async createSession(user, req) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: hashToken(secret),
+      userAgent: (req.headers['user-agent'] || '').slice(0, 512),
+      ip: req.ip,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await session.save();
+
+    const { token, expiresIn } = await this.issueAccessToken(user._id, session._id);
+
+    return {
+      token,
+      refreshToken: buildRefreshToken(session._id, secret),
+      expiresIn,
+      sessionId: session._id
+    };
+  }
+
+  // Start a short-lived session for an admin acting as a user (no refresh token)
+  static async createImpersonationSession(admin, user, req, reason) {
+    const now = new Date();
+    const expiresIn = IMPERSONATION_TTL_MINUTES * 60;
+
+    const session = new Session({
+      user: user._id,
+      impersonator: admin._id,
+      impersonationReason: reason,
+      // Never handed out, so the session cannot be refreshed
+      refreshTokenHash: hashToken(crypto.randomBytes(32).toString('hex')),
+      userAgent: (req.headers['user-agent'] || '').slice(0, 512),
+      ip: req.ip,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + expiresIn * 1000)
+    });
+    await session.save();
+
+    return {
+      token: generateImpersonationToken(user._id, session._id, admin._id, expiresIn),
+      expiresIn,
+      sessionId: session._id
+    };
+  }
+
+  // Exchange a refresh token for new tokens, rotating the refresh token
+  static async refreshSession(refreshToken, req) {
+    try {
+      const parsed = parseRefreshToken(refreshToken);
+      if (!parsed) {
+        return { success: false, statusCode: 401, code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+      }
+
+      const session = await Session.findById(parsed.sessionId)
+        .select('+refreshTokenHash +previousRefreshTokenHash');
+
+      if (!session || !session.isActive() || session.impersonator) {
+        return { success: false, statusCode: 401, code: 'SESSION_HAS_EXPIRED_PLEASE_LOG_IN_AGAIN', message: 'Session has expired. Please log in again.' };
+      }
+
+      const presentedHash = hashToken(parsed.secret);
+
+      // A rotated-out token being replayed means it leaked: end the session
+      if (session.previousRefreshTokenHash && presentedHash === session.previousRefreshTokenHash) {
+        session.revokedAt = new Date();
+        session.revokedReason = 'refresh_token_reuse';
+        await session.save();
+        console.warn(`Refresh token reuse detected for session ${session._id}; session revoked`);
+        return { success: false, statusCode: 401, code: 'SESSION_HAS_BEEN_REVOKED_PLEASE_LOG_IN_AGAIN', message: 'Session has been revoked. Please log in again.' };
+      }
+
+      if (presentedHash !== session.refreshTokenHash) {
+        return { success: false, statusCode: 401, code: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+      }
+
+      // Rotate only if the presented token is still current, so of two
+      // concurrent refreshes with the same token only one can succeed
+      const secret = crypto.randomBytes(32).toString('hex');
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+          $set: {
+            previousRefreshTokenHash: presentedHash,
+            refreshTokenHash: hashToken(secret),
+            lastUsedAt: new Date(),
+            ip: req.ip,
+            updatedAt: new Date()
+          }
+        }
+      );
+
+      // Someone else rotated this token first: it is being used twice
+      if (!rotated) {
+        await Session.updateOne(
+          { _id: session._id, revokedAt: null },
+          { revokedAt: new Date(), revokedReason: 'refresh_token_reuse', updatedAt: new Date() }
+        );
+        console.warn(`Concurrent refresh token use detected for session ${session._id}; session revoked`);
+        return { success: false, statusCode: 401, code: 'SESSION_HAS_BEEN_REVOKED_PLEASE_LOG_IN_AGAIN', message: 'Session has been revoked. Please log in again.' };
+      }
+
+      const { token, expiresIn } = await this.issueAccessToken(session.user, session._id);
+
+      return {
+        success: true,
+        data: {
+          token,
+          refreshToken: buildRefreshToken(session._id, secret),
+          expiresIn
+        }
+      };
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+      return { success: false, statusCode: 500, code: 'FAILED_TO_REFRESH_SESSION', message: 'Failed to refresh session', error: error.message };
+    }
+  }
+
+  // List active sessions for a user (admin impersonation sessions are not shown)
+  static async listSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      user: userId,
+      impersonator: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+    }));
+  }
+
+  // Revoke a single session belonging to a user
+  static async revokeSession(userId, sessionId, reason = 'logout') {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return false;
+    }
+
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason, updatedAt: new Date() }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  // Revoke every session for a user, optionally keeping one
+  static async revokeAllSessions(userId, options = {}) {
+    const { exceptSessionId, reason = 'logout_all' } = options;
+    const query = { user: userId, revokedAt: null };
+
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(query, {
+      revokedAt: new Date(),
+      revokedReason: reason,
+      updatedAt: new Date()
+    });
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SessionService;
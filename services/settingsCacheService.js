@@ -0,0 +1,116 @@
+const AdminSettings = require('../models/AdminSettings');
+const AdminSettingsService = require('./adminSettingsService');
+
+// Writes in this process clear the cache at once; other server processes
+// pick up a change once their copy is this old
+const SETTINGS_CACHE_TTL_SECONDS = parseInt(process.env.SETTINGS_CACHE_TTL_SECONDS, 10) || 60;
+
+let cachedSettings = null;
+let cachedAt = 0;
+let pendingLoad = null;
+// Bumped on every invalidation so a read that started earlier is not cached
+let generation = 0;
+let defaultSettings = null;
+
+// Schema defaults, used while the settings cannot be loaded
+const getDefaults = () => {
+  if (!defaultSettings) {
+    defaultSettings = new AdminSettings().toObject();
+  }
+  return defaultSettings;
+};
+
+const loadSettings = async () => {
+  const startedAt = generation;
+  const result = await AdminSettingsService.getAllSettings();
+  if (!result.success) {
+    return null;
+  }
+
+  const settings = result.data.toObject();
+  if (startedAt === generation) {
+    cachedSettings = settings;
+    cachedAt = Date.now();
+  }
+  return settings;
+};
+
+class SettingsCacheService {
+  // Plain copy of the admin settings, loaded at most once per TTL
+  static async getSettings() {
+    if (cachedSettings && Date.now() - cachedAt < SETTINGS_CACHE_TTL_SECONDS * 1000) {
+      return cachedSettings;
+    }
+
+    // Concurrent requests share one database read
+    if (!pendingLoad) {
+      const load = loadSettings().finally(() => {
+        if (pendingLoad === load) {
+          pendingLoad = null;
+        }
+      });
+      pendingLoad = load;
+    }
+
+    return (await pendingLoad) || cachedSettings || getDefaults();
+  }
+
+  // One settings category, e.g. 'payment'
+  static async getCategory(category) {
+    const settings = await this.getSettings();
+    return settings[category] || getDefaults()[category] || {};
+  }
+
+  // Drop the cached copy so the next read goes to the database
+  static invalidate() {
+    generation += 1;
+    cachedSettings = null;
+    cachedAt = 0;
+    pendingLoad = null;
+  }
+
+  // Platform commission as a percentage (0-100)
+  static async getCommissionRate() {
+    const payment = await this.getCategory('payment');
+    return Number(payment.commissionRate) || 0;
+  }
+
+  // Smallest wallet withdrawal allowed
+  static async getMinWithdrawalAmount() {
+    const payment = await this.getCategory('payment');
+    return Number(payment.minWithdrawalAmount) || 0;
+  }
+
+  // Whether a notification channel ('email', 'sms' or 'push') is switched on
+  static async isNotificationChannelEnabled(channel) {
+    const notification = await this.getCategory('notification');
+    return notification[`${channel}Notifications`] === true;
+  }
+
+  // Whether booking updates are sent to customers and workers
+  static async areBookingRemindersEnabled() {
+    const notification = await this.getCategory('notification');
+    return notification.bookingReminders === true;
+  }
+
+  // Whether wallet and payment alerts are sent
+  static async arePaymentAlertsEnabled() {
+    const notification = await this.getCategory('notification');
+    return notification.paymentAlerts === true;
+  }
+
+  // Lowest KYC verification level a worker needs to be listed and booked
+  static async getMinWorkerVerificationLevel() {
+    const security = await this.getCategory('security');
+    return security.minWorkerVerificationLevel || 'none';
+  }
+
+  static async isMaintenanceMode() {
+    const general = await this.getCategory('general');
+    return general.maintenanceMode === true;
+  }
+}
+
+AdminSettings.onChange(() => SettingsCacheService.invalidate());
+
+module.exports = SettingsCacheService;
@@ -0,0 +1,263 @@
+const AdminSettings = require('../models/AdminSettings');
+const AdminSettingsVersion = require('../models/AdminSettingsVersion');
+const { toPlain, diffObjects } = require('../utils/diff');
+const { findIpLockout } = require('../utils/allowlist');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_VERSION_RETRIES = 3;
+// Snapshots keep gateway secrets so they can be rolled back, but diffs never show them
+const SENSITIVE_FIELD_PATTERN = /secret|apiKey/i;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Fill fields missing from an older snapshot with the current schema defaults
+const withDefaults = (defaults, value) => {
+  if (value === undefined) {
+    return defaults;
+  }
+  if (!isPlainObject(defaults) || !isPlainObject(value)) {
+    return value;
+  }
+
+  return Object.keys({ ...defaults, ...value }).reduce((result, key) => {
+    result[key] = withDefaults(defaults[key], value[key]);
+    return result;
+  }, {});
+};
+
+// Copy of every versioned category of a settings document
+const pickCategories = (settings) => {
+  const plain = toPlain(settings);
+  return AdminSettings.CATEGORIES.reduce((result, category) => {
+    result[category] = plain[category] || {};
+    return result;
+  }, {});
+};
+
+const diffSettings = (before, after) => diffObjects(before, after, { redact: SENSITIVE_FIELD_PATTERN });
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+const invalidCategory = (category) => category && !AdminSettings.CATEGORIES.includes(category);
+
+// Store a new version numbered after the latest one
+const createVersion = async (fields) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await AdminSettingsVersion.findOne().sort({ version: -1 }).select('version');
+
+    try {
+      return await AdminSettingsVersion.create({ ...fields, version: latest ? latest.version + 1 : 1 });
+    } catch (error) {
+      // Another change took the same number at the same time
+      if (error.code !== 11000 || attempt >= MAX_VERSION_RETRIES) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Record the change from `previous` to the saved settings; returns null when nothing changed
+const saveVersion = async (previous, settings, { action, category = null, changedBy = null, rolledBackTo = null }) => {
+  const current = pickCategories(settings);
+  const changes = diffSettings(previous, current);
+
+  if (changes.length === 0) {
+    return null;
+  }
+
+  // History starts with the state before the first tracked change
+  if (previous && !(await AdminSettingsVersion.exists({}))) {
+    await createVersion({ settings: previous, changes: [], action: 'baseline' });
+  }
+
+  return createVersion({ settings: current, changes, action, category, changedBy, rolledBackTo });
+};
+
+class SettingsVersionService {
+  // Copy of the settings taken before they are changed
+  static snapshot(settings) {
+    return pickCategories(settings);
+  }
+
+  // Redacted field-level diff between a snapshot and a settings document
+  static diff(previous, settings) {
+    return diffSettings(previous, pickCategories(settings));
+  }
+
+  // Add a version for a settings change. Failures are logged and never break the request.
+  static async recordChange(previous, settings, options = {}) {
+    try {
+      return await saveVersion(previous, settings, { action: 'update', ...options });
+    } catch (error) {
+      console.error('Error recording admin settings version:', error);
+      return null;
+    }
+  }
+
+  // List versions, newest first (optionally only those that touched one category)
+  static async listVersions({ category, page, limit } = {}) {
+    try {
+      if (invalidCategory(category)) {
+        return { success: false, statusCode: 400, code: 'UNKNOWN_SETTINGS_CATEGORY', message: `Unknown settings category: ${category}` };
+      }
+
+      const query = category ? { 'changes.field': { $regex: `^${category}\\.` } } : {};
+      const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+      const [versions, total] = await Promise.all([
+        AdminSettingsVersion.find(query)
+          .select('-settings')
+          .populate('changedBy', 'name email')
+          .sort({ version: -1 })
+          .skip((pageNumber - 1) * pageSize)
+          .limit(pageSize),
+        AdminSettingsVersion.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          versions,
+          pagination: {
+            page: pageNumber,
+            limit: pageSize,
+            total,
+            pages: Math.ceil(total / pageSize)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching admin settings versions:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_FETCH_SETTINGS_VERSIONS',
+        message: 'Failed to fetch settings versions',
+        error: error.message
+      };
+    }
+  }
+
+  // Field-level diff between two versions, or between a version and the current settings
+  static async compareVersions(from, to) {
+    try {
+      const fromVersion = parseVersion(from);
+      const toVersion = to === undefined || to === 'current' ? null : parseVersion(to);
+
+      if (!fromVersion || (to !== undefined && to !== 'current' && !toVersion)) {
+        return { success: false, statusCode: 400, code: 'VERSION_RANGE_INVALID', message: 'from and to must be version numbers (to may also be "current")' };
+      }
+
+      const source = await AdminSettingsVersion.findOne({ version: fromVersion });
+      if (!source) {
+        return { success: false, statusCode: 404, code: 'VERSION_NOT_FOUND', message: `Version ${fromVersion} not found` };
+      }
+
+      let target;
+      if (toVersion) {
+        const version = await AdminSettingsVersion.findOne({ version: toVersion });
+        if (!version) {
+          return { success: false, statusCode: 404, code: 'VERSION_NOT_FOUND', message: `Version ${toVersion} not found` };
+        }
+        target = version.settings;
+      } else {
+        target = pickCategories(await AdminSettings.findOne());
+      }
+
+      return {
+        success: true,
+        data: {
+          from: fromVersion,
+          to: toVersion || 'current',
+          changes: diffSettings(source.settings, target)
+        }
+      };
+    } catch (error) {
+      console.error('Error comparing admin settings versions:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_COMPARE_SETTINGS_VERSIONS',
+        message: 'Failed to compare settings versions',
+        error: error.message
+      };
+    }
+  }
+
+  // Restore the whole document, or a single category, to an earlier version
+  static async rollback(version, { category, changedBy, ip = null } = {}) {
+    try {
+      const targetVersion = parseVersion(version);
+      if (!targetVersion) {
+        return { success: false, statusCode: 400, code: 'VERSION_MUST_BE_A_POSITIVE_NUMBER', message: 'Version must be a positive number' };
+      }
+      if (invalidCategory(category)) {
+        return { success: false, statusCode: 400, code: 'UNKNOWN_SETTINGS_CATEGORY', message: `Unknown settings category: ${category}` };
+      }
+
+      const target = await AdminSettingsVersion.findOne({ version: targetVersion });
+      if (!target) {
+        return { success: false, statusCode: 404, code: 'VERSION_NOT_FOUND', message: `Version ${targetVersion} not found` };
+      }
+
+      let settings = await AdminSettings.findOne();
+      if (!settings) {
+        settings = new AdminSettings();
+      }
+
+      const previous = pickCategories(settings);
+      const defaults = pickCategories(new AdminSettings());
+
+      (category ? [category] : AdminSettings.CATEGORIES).forEach(key => {
+        settings.set(key, withDefaults(defaults[key], target.settings[key]));
+      });
+
+      // Same self-lockout check as PUT /security
+      const lockout = ip ? findIpLockout(settings.security.ipWhitelist, ip) : null;
+      if (lockout) {
+        return { success: false, statusCode: 400, message: lockout };
+      }
+      settings.lastUpdated = new Date();
+      settings.updatedBy = changedBy;
+
+      await settings.save();
+
+      const entry = await saveVersion(previous, settings, {
+        action: 'rollback',
+        category: category || null,
+        changedBy,
+        rolledBackTo: targetVersion
+      });
+
+      return {
+        success: true,
+        message: entry
+          ? `Settings rolled back to version ${targetVersion}`
+          : `Settings already match version ${targetVersion}`,
+        data: {
+          version: entry ? entry.version : null,
+          rolledBackTo: targetVersion,
+          category: category || null,
+          changes: entry ? entry.changes : [],
+          settings,
+          previous
+        }
+      };
+    } catch (error) {
+      console.error('Error rolling back admin settings:', error);
+      return {
+        success: false,
+        statusCode: 500,
+        code: 'FAILED_TO_ROLL_BACK_SETTINGS',
+        message: 'Failed to roll back settings',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = SettingsVersionService;
@@ -0,0 +1,203 @@
+const User = require('../models/User');
+const SettingsCacheService = require('./settingsCacheService');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+
+const TWO_FACTOR_MANDATORY_ROLES = ['admin', 'contractor'];
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const ISSUER = process.env.TOTP_ISSUER || 'SetuWorks';
+
+class TwoFactorService {
+  // Whether security.twoFactorAuth makes 2FA mandatory for this user's role
+  static async isMandatory(user) {
+    if (!TWO_FACTOR_MANDATORY_ROLES.includes(user.role)) {
+      return false;
+    }
+
+    const security = await SettingsCacheService.getCategory('security');
+    return !!security.twoFactorAuth;
+  }
+
+  // Start enrollment: create a pending secret and otpauth URI
+  static async startSetup(userId) {
+    try {
+      const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+      if (!user) {
+        return { success: false, statusCode: 404, code: 'USER_NOT_FOUND', message: 'User not found' };
+      }
+
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return { success: false, statusCode: 400, code: 'TWO_FACTOR_AUTHENTICATION_IS_ALREADY_ENABLED', message: 'Two-factor authentication is already enabled' };
+      }
+
+      const secret = generateSecret();
+      user.twoFactor.pendingSecret = secret;
+      await user.save();
+
+      return {
+        success: true,
+        code: 'SCAN_THE_QR_CODE_WITH_YOUR_AUTHENTICATOR_APP_AND',
+        message: 'Scan the QR code with your authenticator app and confirm with a code',
+        data: {
+          secret,
+          otpauthUri: buildOtpauthUri({
+            secret,
+            accountName: user.email || user.phone,
+            issuer: ISSUER
+          })
+        }
+      };
+    } catch (error) {
+      console.error('Error starting 2FA setup:', error);
+      return { success: false, statusCode: 500, code: 'FAILED_TO_START_TWO_FACTOR_SETUP', message: 'Failed to start two-factor setup', error: error.message };
+    }
+  }
+
+  // Confirm enrollment with a code from the authenticator app
+  static async enable(userId, code) {
+    try {
+      const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+      if (!user) {
+        return { success: false, statusCode: 404, code: 'USER_NOT_FOUND', message: 'User not found' };
+      }
+
+      if (user.twoFactor.enabled) {
+        return { success: false, statusCode: 400, code: 'TWO_FACTOR_AUTHENTICATION_IS_ALREADY_ENABLED', message: 'Two-factor authentication is already enabled' };
+      }
+
+      if (!user.twoFactor.pendingSecret) {
+        return { success: false, statusCode: 400, code: 'TWO_FACTOR_SETUP_HAS_NOT_BEEN_STARTED', message: 'Two-factor setup has not been started' };
+      }
+
+      const step = verifyTotp(user.twoFactor.pendingSecret, code);
+      if (step === null) {
+        return { success: false, statusCode: 400, code: 'INVALID_AUTHENTICATION_CODE', message: 'Invalid authentication code' };
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.updatedAt = Date.now();
+      await user.save();
+
+      return {
+        success: true,
+        code: 'TWO_FACTOR_AUTHENTICATION_ENABLED_STORE_YOUR',
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        data: { recoveryCodes }
+      };
+    } catch (error) {
+      console.error('Error enabling 2FA:', error);
+      return { success: false, statusCode: 500, code: 'FAILED_TO_ENABLE_TWO_FACTOR_AUTHENTICATION', message: 'Failed to enable two-factor authentication', error: error.message };
+    }
+  }
+
+  // Check a TOTP code or a recovery code for an enrolled user
+  static async verify(userId, { code, recoveryCode }) {
+    try {
+      const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+      if (!user || !user.twoFactor.enabled) {
+        return { success: false, statusCode: 400, code: 'TWO_FACTOR_AUTHENTICATION_IS_NOT_ENABLED', message: 'Two-factor authentication is not enabled' };
+      }
+
+      if (recoveryCode) {
+        // Recovery codes are single use; pulling the hash in the same update
+        // that matches it means two concurrent requests cannot both use it
+        const hash = hashRecoveryCode(recoveryCode);
+        const updated = await User.findOneAndUpdate(
+          { _id: user._id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+          { $pull: { 'twoFactor.recoveryCodes': hash }, $set: { updatedAt: Date.now() } },
+          { new: true }
+        ).select('+twoFactor.recoveryCodes');
+        if (!updated) {
+          return { success: false, statusCode: 400, code: 'INVALID_RECOVERY_CODE', message: 'Invalid recovery code' };
+        }
+
+        return {
+          success: true,
+          data: { recoveryCodesRemaining: updated.twoFactor.recoveryCodes.length }
+        };
+      }
+
+      const step = verifyTotp(user.twoFactor.secret, code);
+      // Reject codes from a time step that was already used (replay protection)
+      if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+        return { success: false, statusCode: 400, code: 'INVALID_AUTHENTICATION_CODE', message: 'Invalid authentication code' };
+      }
+
+      // Claim the time step only if no concurrent request already used it
+      const claimed = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ 'twoFactor.lastUsedStep': { $exists: false } }, { 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (claimed.modifiedCount === 0) {
+        return { success: false, statusCode: 400, code: 'INVALID_AUTHENTICATION_CODE', message: 'Invalid authentication code' };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error verifying 2FA:', error);
+      return { success: false, statusCode: 500, code: 'FAILED_TO_VERIFY_AUTHENTICATION_CODE', message: 'Failed to verify authentication code', error: error.message };
+    }
+  }
+
+  // Turn off 2FA after confirming a current code
+  static async disable(user, code) {
+    if (await this.isMandatory(user)) {
+      return { success: false, statusCode: 403, code: 'TWO_FACTOR_MANDATORY_FOR_ROLE', message: `Two-factor authentication is mandatory for ${user.role} accounts` };
+    }
+
+    const check = await this.verify(user._id, { code });
+    if (!check.success) {
+      return check;
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+      $set: { 'twoFactor.enabled': false, updatedAt: Date.now() },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+
+    return { success: true, code: 'TWO_FACTOR_AUTHENTICATION_DISABLED', message: 'Two-factor authentication disabled' };
+  }
+
+  // Replace all recovery codes after confirming a current code
+  static async regenerateRecoveryCodes(userId, code) {
+    const check = await this.verify(userId, { code });
+    if (!check.success) {
+      return check;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.findByIdAndUpdate(userId, {
+      'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode)
+    });
+
+    return {
+      success: true,
+      code: 'RECOVERY_CODES_REGENERATED',
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    };
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,112 @@
+const net = require('net');
+
+// Settings hold comma, space or newline separated entries
+const splitList = (value) => String(value || '').split(/[\s,]+/).map(entry => entry.trim()).filter(Boolean);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Origins: "*", exact origins ("https://app.setuworks.com") or wildcards
+// ("https://*.setuworks.com", "http://localhost:*")
+const ORIGIN_PATTERN = /^https?:\/\/[a-z0-9*.-]+(:(\d+|\*))?$/i;
+
+const normalizeOrigin = (origin) => String(origin).replace(/\/+$/, '').toLowerCase();
+
+const findInvalidOrigins = (value) => splitList(value).filter(entry => entry !== '*' && !ORIGIN_PATTERN.test(normalizeOrigin(entry)));
+
+// Build a matcher for the configured origins. matches.isListed(origin) tells
+// whether an origin is allowed by name rather than only through "*".
+const compileOriginMatcher = (value) => {
+  const entries = splitList(value).map(normalizeOrigin);
+  const allowsAny = entries.includes('*');
+
+  const patterns = entries
+    .filter(entry => ORIGIN_PATTERN.test(entry))
+    .map(entry => entry.includes('*')
+      ? new RegExp(`^${entry.split('*').map(escapeRegex).join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*')}$`)
+      : entry);
+
+  const isListed = (origin) => {
+    const candidate = normalizeOrigin(origin);
+    return patterns.some(pattern => typeof pattern === 'string' ? pattern === candidate : pattern.test(candidate));
+  };
+
+  const matches = (origin) => allowsAny || isListed(origin);
+  matches.isListed = isListed;
+  return matches;
+};
+
+// IP rules: exact addresses, CIDR ranges ("10.0.0.0/8", "2001:db8::/32") or
+// trailing IPv4 wildcards ("192.168.1.*")
+const parseIpRule = (entry) => {
+  if (entry.includes('/')) {
+    const [address, bits] = entry.split('/');
+    const family = net.isIP(address);
+    const prefix = Number(bits);
+    const maxPrefix = family === 6 ? 128 : 32;
+
+    return family && /^\d+$/.test(bits) && prefix <= maxPrefix
+      ? { address, prefix, family: family === 6 ? 'ipv6' : 'ipv4' }
+      : null;
+  }
+
+  if (entry.includes('*')) {
+    const octets = entry.split('.');
+    const fixed = octets.slice(0, octets.indexOf('*'));
+    const wildcards = octets.slice(fixed.length);
+
+    if (octets.length > 4 || wildcards.some(octet => octet !== '*') || fixed.some(octet => !/^\d+$/.test(octet) || Number(octet) > 255)) {
+      return null;
+    }
+
+    const address = [...fixed, '0', '0', '0', '0'].slice(0, 4).join('.');
+    return { address, prefix: fixed.length * 8, family: 'ipv4' };
+  }
+
+  const family = net.isIP(entry);
+  return family ? { address: entry, family: family === 6 ? 'ipv6' : 'ipv4' } : null;
+};
+
+// "::ffff:10.0.0.1" is how IPv4 clients appear on dual-stack sockets
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+const findInvalidIpRules = (value) => splitList(value).filter(entry => !parseIpRule(entry));
+
+// Build a matcher for the configured IP rules; null when the list is empty
+const compileIpMatcher = (value) => {
+  const rules = splitList(value).map(parseIpRule).filter(Boolean);
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const list = new net.BlockList();
+  rules.forEach(rule => {
+    if (rule.prefix === undefined) {
+      list.addAddress(rule.address, rule.family);
+    } else {
+      list.addSubnet(rule.address, rule.prefix, rule.family);
+    }
+  });
+
+  return (ip) => {
+    const address = normalizeIp(ip);
+    const family = net.isIP(address);
+    return family ? list.check(address, family === 6 ? 'ipv6' : 'ipv4') : false;
+  };
+};
+
+// Error message when a whitelist would shut out the admin's own address, else null
+const findIpLockout = (ipWhitelist, ip) => {
+  const matches = compileIpMatcher(ipWhitelist);
+  return matches && !matches(ip)
+    ? `The IP whitelist must include your current address (${normalizeIp(ip)})`
+    : null;
+};
+
+module.exports = {
+  findInvalidOrigins,
+  compileOriginMatcher,
+  findInvalidIpRules,
+  compileIpMatcher,
+  findIpLockout,
+  normalizeIp
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local backups are kept here, one directory per backup
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups');
+
+// Backup names become directory names, so keep them to safe characters
+const isValidBackupName = (name) => typeof name === 'string' && /^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name);
+
+const localBackupDir = (name) => path.join(BACKUP_DIR, name);
+
+// Storage drivers implement:
+//   store(name, sourceDir, files) - copy the finished backup files somewhere
+//   fetch(name, files)            - return a local directory holding the files
+//   remove(name)                  - delete the backup
+const drivers = new Map();
+
+const localDriver = {
+  async store(name, sourceDir, files) {
+    const targetDir = localBackupDir(name);
+    await fs.promises.mkdir(targetDir, { recursive: true });
+    for (const file of files) {
+      await fs.promises.copyFile(path.join(sourceDir, file), path.join(targetDir, file));
+    }
+  },
+
+  async fetch(name) {
+    return localBackupDir(name);
+  },
+
+  async remove(name) {
+    await fs.promises.rm(localBackupDir(name), { recursive: true, force: true });
+  }
+};
+
+// Make a driver available as a backupLocation target (e.g. 'cloud')
+const registerDriver = (name, driver) => {
+  drivers.set(name, driver);
+};
+
+const getDriver = (name) => drivers.get(name) || null;
+
+registerDriver('local', localDriver);
+
+module.exports = {
+  BACKUP_DIR,
+  isValidBackupName,
+  registerDriver,
+  getDriver
+};
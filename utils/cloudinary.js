@@ -1,95 +1,126 @@
-const cloudinary = require('cloudinary').v2;
+// Cloudinary storage driver
+let cloudinary = null;
+try {
+  cloudinary = require('cloudinary').v2;
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+} catch (error) {
+  cloudinary = null;
+}
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const isConfigured = () => !!(cloudinary && process.env.CLOUDINARY_CLOUD_NAME);
 
-// Upload base64 image to Cloudinary
-const uploadBase64Image = async (base64String, folder = 'setuworks/profile-pictures') => {
-  try {
-    const isImage = base64String.startsWith('data:image/');
-
-    const options = {
-      folder: folder,
-      resource_type: 'auto'
-    };
+const requireCloudinary = () => {
+  if (!cloudinary) {
+    throw new Error('Cloudinary package is not installed');
+  }
+  return cloudinary;
+};
 
-    if (isImage) {
-      options.transformation = [
-        { width: 500, height: 500, crop: 'limit' },
-        { quality: 'auto:good' }
-      ];
-    }
+// Private files are "authenticated" assets; their ids look like
+// "private/<public id>.<format>" so a download URL can be signed later
+const PRIVATE_PREFIX = 'private/';
 
-    // Upload to Cloudinary
-    const result = await cloudinary.uploader.upload(base64String, options);
+const parsePrivateId = (publicId) => {
+  const id = publicId.slice(PRIVATE_PREFIX.length);
+  const dot = id.lastIndexOf('.');
+  return { id: id.slice(0, dot), format: id.slice(dot + 1) };
+};
 
-    return {
-      success: true,
-      url: result.secure_url,
-      public_id: result.public_id
-    };
-  } catch (error) {
-    console.error('Cloudinary upload error:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+// Public id of a delivery URL in this cloud, e.g.
+// https://res.cloudinary.com/<cloud>/image/upload/v123/setuworks/profile-pictures/abc.jpg
+const publicIdFromUrl = (url) => {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  if (!cloudName || typeof url !== 'string') {
+    return null;
   }
+  const prefix = `https://res.cloudinary.com/${cloudName}/`;
+  const match = url.startsWith(prefix) && /^(?:image|raw|video)\/upload\/(?:v\d+\/)?(.+?)(?:\.\w+)?$/.exec(url.slice(prefix.length));
+  return match ? match[1] : null;
 };
 
-// Delete image from Cloudinary
-const deleteImage = async (publicId) => {
-  try {
-    const result = await cloudinary.uploader.destroy(publicId);
-    return {
-      success: result.result === 'ok',
-      result: result.result
-    };
-  } catch (error) {
-    console.error('Cloudinary delete error:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+// Upload a buffer or readable stream; public images are resized and compressed on the way in
+const upload = (body, { folder, name, mimeType, isPrivate = false }) => {
+  const options = {
+    folder,
+    public_id: name,
+    resource_type: 'auto'
+  };
+
+  if (isPrivate) {
+    options.type = 'authenticated';
+  } else if (mimeType && mimeType.startsWith('image/')) {
+    options.transformation = [
+      { width: 500, height: 500, crop: 'limit' },
+      { quality: 'auto:good' }
+    ];
   }
-};
 
-// List images from Cloudinary
-const listImages = async (folder = 'setuworks/profile-pictures') => {
-  try {
-    const result = await cloudinary.api.resources({
-      type: 'upload',
-      prefix: folder,
-      max_results: 100
+  return new Promise((resolve, reject) => {
+    const uploadStream = requireCloudinary().uploader.upload_stream(options, (error, result) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve({
+          url: isPrivate ? null : result.secure_url,
+          publicId: isPrivate ? `${PRIVATE_PREFIX}${result.public_id}.${result.format}` : result.public_id,
+          size: result.bytes,
+          format: result.format
+        });
+      }
     });
 
-    return {
-      success: true,
-      images: result.resources.map(resource => ({
-        public_id: resource.public_id,
-        url: resource.secure_url,
-        format: resource.format,
-        size: resource.bytes,
-        created_at: resource.created_at,
-        folder: resource.folder
-      }))
-    };
-  } catch (error) {
-    console.error('Cloudinary list error:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
+    if (Buffer.isBuffer(body)) {
+      uploadStream.end(body);
+    } else {
+      body.on('error', reject);
+      body.pipe(uploadStream);
+    }
+  });
+};
+
+const remove = async (publicId) => {
+  const result = publicId.startsWith(PRIVATE_PREFIX)
+    ? await requireCloudinary().uploader.destroy(parsePrivateId(publicId).id, { type: 'authenticated' })
+    : await requireCloudinary().uploader.destroy(publicId);
+  return result.result === 'ok';
+};
+
+// Time-limited download URL for a private file
+const signedUrl = async (publicId, expiresIn) => {
+  const { id, format } = parsePrivateId(publicId);
+  return requireCloudinary().utils.private_download_url(id, format, {
+    type: 'authenticated',
+    expires_at: Math.floor(Date.now() / 1000) + expiresIn
+  });
+};
+
+const list = async (folder) => {
+  const result = await requireCloudinary().api.resources({
+    type: 'upload',
+    prefix: folder,
+    max_results: 100
+  });
+
+  return result.resources.map(resource => ({
+    public_id: resource.public_id,
+    url: resource.secure_url,
+    format: resource.format,
+    size: resource.bytes,
+    created_at: resource.created_at,
+    folder: resource.folder
+  }));
 };
 
 module.exports = {
   cloudinary,
-  uploadBase64Image,
-  deleteImage,
-  listImages
+  isConfigured,
+  publicIdFromUrl,
+  upload,
+  remove,
+  signedUrl,
+  list
 };
@@ -0,0 +1,30 @@
+// Quote a value for CSV. Values starting with a formula character are prefixed
+// with a quote so spreadsheet apps do not evaluate them.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows and [{ header, value: row => any }] columns
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
@@ -0,0 +1,55 @@
+// Plain JSON copy of a document or object
+const toPlain = (value) => {
+  if (!value) {
+    return {};
+  }
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Flatten nested objects into dotted paths; arrays are compared as whole values
+const flatten = (value, prefix = '', result = {}) => {
+  Object.keys(value).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const item = value[key];
+
+    if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+      flatten(item, path, result);
+    } else {
+      result[path] = item;
+    }
+  });
+  return result;
+};
+
+// Changed fields between two values as [{ field, before, after }].
+// Fields named in `ignore` are skipped; values of fields matching `redact` are hidden.
+const diffObjects = (before, after, { ignore = [], redact = null } = {}) => {
+  const flatBefore = flatten(toPlain(before));
+  const flatAfter = flatten(toPlain(after));
+  const changes = [];
+
+  new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]).forEach(path => {
+    if (ignore.includes(path.split('.').pop())) {
+      return;
+    }
+    if (JSON.stringify(flatBefore[path]) === JSON.stringify(flatAfter[path])) {
+      return;
+    }
+
+    const sensitive = redact ? redact.test(path) : false;
+    changes.push({
+      field: path,
+      before: sensitive && flatBefore[path] !== undefined ? '[redacted]' : flatBefore[path],
+      after: sensitive && flatAfter[path] !== undefined ? '[redacted]' : flatAfter[path]
+    });
+  });
+
+  return changes;
+};
+
+module.exports = {
+  toPlain,
+  flatten,
+  diffObjects
+};
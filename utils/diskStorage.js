@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+// Local disk storage driver. Files are served by routes/files.js to signed-in users;
+// private files ("private/..." ids) live in a separate directory and are only
+// served through short-lived signed URLs.
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const PRIVATE_UPLOAD_DIR = process.env.PRIVATE_UPLOAD_DIR || path.join(__dirname, '..', 'uploads-private');
+const FILES_URL_PATH = '/api/files';
+const PRIVATE_PREFIX = 'private/';
+
+// Absolute path of a stored file, or null when the id escapes its directory
+const resolveFilePath = (publicId) => {
+  const isPrivate = publicId.startsWith(PRIVATE_PREFIX);
+  const baseDir = path.resolve(isPrivate ? PRIVATE_UPLOAD_DIR : UPLOAD_DIR);
+  const filePath = path.resolve(baseDir, isPrivate ? publicId.slice(PRIVATE_PREFIX.length) : publicId);
+  return filePath.startsWith(baseDir + path.sep) ? filePath : null;
+};
+
+// Without a dedicated secret, derive a separate subkey so file URLs are never signed with the JWT key itself
+const signingKey = () => {
+  if (process.env.FILE_URL_SECRET) {
+    return process.env.FILE_URL_SECRET;
+  }
+  if (!process.env.JWT_SECRET) {
+    throw new Error('FILE_URL_SECRET is not configured');
+  }
+  return Buffer.from(crypto.hkdfSync('sha256', process.env.JWT_SECRET, '', 'setuworks-file-url-signing', 32));
+};
+
+const sign = (publicId, expires) => crypto.createHmac('sha256', signingKey()).update(`${publicId}\n${expires}`).digest('hex');
+
+// Whether a signed private file URL is authentic and not yet expired
+const verifySignature = (publicId, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!publicId.startsWith(PRIVATE_PREFIX) || !expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(publicId, expiresAt), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+const fileUrl = (publicId) => `${FILES_URL_PATH}/${publicId.split('/').map(encodeURIComponent).join('/')}`;
+
+// Public id of a file URL from fileUrl(), or null for other URLs
+const publicIdFromUrl = (url) => {
+  if (typeof url !== 'string' || !url.startsWith(`${FILES_URL_PATH}/`)) {
+    return null;
+  }
+  try {
+    return url.slice(FILES_URL_PATH.length + 1).split('/').map(decodeURIComponent).join('/');
+  } catch (error) {
+    return null;
+  }
+};
+
+const upload = async (body, { folder, name, extension, isPrivate = false }) => {
+  const publicId = `${isPrivate ? PRIVATE_PREFIX : ''}${folder}/${name}.${extension}`;
+  const filePath = resolveFilePath(publicId);
+  if (!filePath) {
+    throw new Error('Invalid file name');
+  }
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(filePath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath));
+    }
+  } catch (error) {
+    // Don't leave a partial file behind
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+
+  return {
+    url: isPrivate ? null : fileUrl(publicId),
+    publicId,
+    size: (await fs.promises.stat(filePath)).size,
+    format: extension
+  };
+};
+
+const remove = async (publicId) => {
+  const filePath = resolveFilePath(publicId);
+  if (!filePath) {
+    return false;
+  }
+
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const signedUrl = async (publicId, expiresIn) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${fileUrl(publicId)}?expires=${expires}&signature=${sign(publicId, expires)}`;
+};
+
+const list = async (folder) => {
+  const dir = resolveFilePath(folder);
+  if (!dir) {
+    return [];
+  }
+
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = await Promise.all(entries.filter(entry => entry.isFile()).map(async entry => {
+    const publicId = `${folder}/${entry.name}`;
+    const stats = await fs.promises.stat(path.join(dir, entry.name));
+    return {
+      public_id: publicId,
+      url: fileUrl(publicId),
+      format: path.extname(entry.name).slice(1),
+      size: stats.size,
+      created_at: stats.birthtime,
+      folder
+    };
+  }));
+
+  return files.sort((a, b) => b.created_at - a.created_at).slice(0, 100);
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  FILES_URL_PATH,
+  resolveFilePath,
+  verifySignature,
+  publicIdFromUrl,
+  upload,
+  remove,
+  signedUrl,
+  list
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc';
+const IV_BYTES = 12;
+const MASK = '****';
+
+let keyring = null;
+
+// FIELD_ENCRYPTION_KEYS="2:<key>,1:<older key>": the first key encrypts new values,
+// every listed key can still decrypt. Keys are 32 bytes as 64 hex characters or base64.
+const loadKeys = () => {
+  if (keyring) {
+    return keyring;
+  }
+
+  const keys = new Map();
+  let currentId = null;
+
+  (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const encoded = entry.slice(separator + 1);
+
+    if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must look like "<id>:<key>"');
+    }
+
+    const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Field encryption key "${id}" must be 32 bytes`);
+    }
+
+    keys.set(id, key);
+    currentId = currentId || id;
+  });
+
+  keyring = { keys, currentId };
+  return keyring;
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+const keyIdOf = (value) => value.split(':')[1];
+
+// Encrypt a value with the current key; empty and already encrypted values are returned as-is
+const encrypt = (value) => {
+  if (value === undefined || value === null || value === '' || isEncrypted(value)) {
+    return value;
+  }
+
+  const { keys, currentId } = loadKeys();
+  if (!currentId) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not configured');
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentId), iv);
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [PREFIX, currentId, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+};
+
+// Decrypt a value; legacy plain-text values are returned unchanged
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, id, iv, tag, data] = value.split(':');
+  const key = loadKeys().keys.get(id);
+  if (!key) {
+    throw new Error(`Field encryption key "${id}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+// Whether a stored value is plain text or encrypted with an older key
+const needsRotation = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return false;
+  }
+  return !isEncrypted(value) || keyIdOf(value) !== loadKeys().currentId;
+};
+
+// Masked form for API responses, e.g. "****6789"
+const maskValue = (value, visible = 4) => {
+  if (value === undefined || value === null || value === '') {
+    return value;
+  }
+
+  let plain;
+  try {
+    plain = String(decrypt(value));
+  } catch (error) {
+    return MASK;
+  }
+
+  return plain.length > visible * 2 ? `${MASK}${plain.slice(-visible)}` : MASK;
+};
+
+// Masked values sent back by a client must not overwrite the stored secret
+const isMaskedValue = (value) => typeof value === 'string' && value.startsWith(MASK) && value.length <= MASK.length + 4;
+
+// Copy of submitted values without the masked placeholders
+const withoutMaskedValues = (values) => Object.keys(values || {}).reduce((result, key) => {
+  if (!isMaskedValue(values[key])) {
+    result[key] = values[key];
+  }
+  return result;
+}, {});
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.length ? getPath(object, keys.join('.')) : object;
+  if (parent) {
+    parent[last] = value;
+  }
+};
+
+// Mongoose pre-save helper: encrypt the given paths when they were changed
+const encryptDocumentPaths = (doc, paths) => {
+  paths.forEach(path => {
+    const value = doc.get(path);
+    if ((doc.isNew || doc.isModified(path)) && value && !isEncrypted(value)) {
+      doc.set(path, encrypt(value));
+    }
+  });
+};
+
+// toJSON helper: replace the given paths of a plain object with masked values
+const maskPaths = (object, paths) => {
+  paths.forEach(path => {
+    const value = getPath(object, path);
+    if (value) {
+      setPath(object, path, maskValue(value));
+    }
+  });
+  return object;
+};
+
+module.exports = {
+  isEncrypted,
+  encrypt,
+  decrypt,
+  needsRotation,
+  maskValue,
+  isMaskedValue,
+  withoutMaskedValues,
+  encryptDocumentPaths,
+  maskPaths
+};
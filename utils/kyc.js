@@ -0,0 +1,80 @@
+// KYC document types. Identity documents prove who a user is; a trade
+// certificate proves their skill.
+const DOCUMENT_TYPES = {
+  aadhaar: {
+    label: 'Aadhaar',
+    identity: true,
+    // 12 digits, never starting with 0 or 1
+    pattern: /^[2-9]\d{11}$/,
+    numberHint: 'a 12-digit Aadhaar number',
+    expires: false
+  },
+  pan: {
+    label: 'PAN',
+    identity: true,
+    pattern: /^[A-Z]{5}\d{4}[A-Z]$/,
+    numberHint: 'a PAN like ABCDE1234F',
+    expires: false
+  },
+  driving_licence: {
+    label: 'Driving licence',
+    identity: true,
+    pattern: /^[A-Z]{2}\d{2}[A-Z0-9]{7,16}$/,
+    numberHint: 'a driving licence number like MH1420110062821',
+    expires: true
+  },
+  trade_certificate: {
+    label: 'Trade certificate',
+    identity: false,
+    pattern: /^[A-Z0-9/-]{3,40}$/,
+    numberHint: 'a certificate number of 3-40 letters, digits, "/" or "-"',
+    expires: false
+  }
+};
+
+// Verification levels, lowest first:
+//   none     - no approved documents
+//   basic    - an approved identity document
+//   verified - an approved identity document and trade certificate
+const VERIFICATION_LEVELS = ['none', 'basic', 'verified'];
+
+const isValidLevel = (level) => VERIFICATION_LEVELS.includes(level);
+
+// The given level and every level above it
+const levelsAtLeast = (level) => VERIFICATION_LEVELS.slice(Math.max(VERIFICATION_LEVELS.indexOf(level), 0));
+
+// Whether a user's level is at least the given one (missing counts as 'none')
+const meetsLevel = (level, minimum) => levelsAtLeast(minimum).includes(level || 'none');
+
+// The higher of two levels
+const maxLevel = (a, b) => (VERIFICATION_LEVELS.indexOf(a) >= VERIFICATION_LEVELS.indexOf(b) ? a : b);
+
+// Level earned by a set of approved, unexpired document types
+const computeVerificationLevel = (approvedTypes) => {
+  const hasIdentity = approvedTypes.some(type => DOCUMENT_TYPES[type] && DOCUMENT_TYPES[type].identity);
+  if (!hasIdentity) {
+    return 'none';
+  }
+  return approvedTypes.includes('trade_certificate') ? 'verified' : 'basic';
+};
+
+// Document numbers are compared without spaces or dashes in upper case
+// (certificate numbers keep their dashes)
+const normalizeDocumentNumber = (type, number) => {
+  const value = String(number || '').toUpperCase().trim();
+  return type === 'trade_certificate' ? value.replace(/\s+/g, '') : value.replace(/[\s-]+/g, '');
+};
+
+const isValidDocumentNumber = (type, number) => !!DOCUMENT_TYPES[type] && DOCUMENT_TYPES[type].pattern.test(number);
+
+module.exports = {
+  DOCUMENT_TYPES,
+  VERIFICATION_LEVELS,
+  isValidLevel,
+  levelsAtLeast,
+  meetsLevel,
+  maxLevel,
+  computeVerificationLevel,
+  normalizeDocumentNumber,
+  isValidDocumentNumber
+};
@@ -0,0 +1,149 @@
+// Time zone names offered in general.timezone, mapped to IANA zones
+const TIMEZONE_ALIASES = {
+  UTC: 'UTC',
+  GMT: 'Etc/GMT',
+  EST: 'America/New_York',
+  PST: 'America/Los_Angeles',
+  IST: 'Asia/Kolkata'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// IANA zone for a settings alias or an IANA name; UTC when unknown
+const resolveTimeZone = (timeZone) => {
+  const zone = TIMEZONE_ALIASES[timeZone] || timeZone;
+  return isValidTimeZone(zone) ? zone : 'UTC';
+};
+
+// Calendar fields of an instant as seen in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return parts.reduce((result, part) => {
+    if (part.type !== 'literal') {
+      result[part.type] = Number(part.value);
+    }
+    return result;
+  }, {});
+};
+
+// Milliseconds the zone is ahead of UTC at an instant
+const getOffsetMs = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant of a wall-clock time in a zone (month is 0-based and may overflow, like Date.UTC)
+const zonedTimeToDate = (timeZone, year, month, day = 1, hour = 0, minute = 0) => {
+  const guess = Date.UTC(year, month, day, hour, minute);
+  const first = guess - getOffsetMs(new Date(guess), timeZone);
+  // Correct once when the guess fell on the other side of a DST change
+  return new Date(guess - getOffsetMs(new Date(first), timeZone));
+};
+
+// Start of the month containing `date` in the zone, shifted by monthOffset months
+const startOfMonth = (date, timeZone, monthOffset = 0) => {
+  const parts = getZonedParts(date, timeZone);
+  return zonedTimeToDate(timeZone, parts.year, parts.month - 1 + monthOffset, 1);
+};
+
+// Start of the day containing `date` in the zone, shifted by dayOffset days
+const startOfDay = (date, timeZone, dayOffset = 0) => {
+  const parts = getZonedParts(date, timeZone);
+  return zonedTimeToDate(timeZone, parts.year, parts.month - 1, parts.day + dayOffset);
+};
+
+// Start of a dashboard time range: '24h' is rolling, day ranges begin at
+// midnight in the zone (today counts as one of the days)
+const getRangeStart = (range, timeZone, now = new Date()) => {
+  if (range === '24h') {
+    return new Date(now.getTime() - DAY_MS);
+  }
+
+  const days = { '7d': 7, '30d': 30, '90d': 90 }[range] || 7;
+  return startOfDay(now, timeZone, 1 - days);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Date in the configured format ('MM/DD/YYYY', 'DD/MM/YYYY' or 'YYYY-MM-DD')
+const formatDate = (date, { timezone = 'UTC', dateFormat = 'YYYY-MM-DD' } = {}) => {
+  if (!date) {
+    return '';
+  }
+
+  const parts = getZonedParts(new Date(date), resolveTimeZone(timezone));
+  const day = pad(parts.day);
+  const month = pad(parts.month);
+  const year = pad(parts.year, 4);
+
+  switch (dateFormat) {
+    case 'MM/DD/YYYY':
+      return `${month}/${day}/${year}`;
+    case 'DD/MM/YYYY':
+      return `${day}/${month}/${year}`;
+    default:
+      return `${year}-${month}-${day}`;
+  }
+};
+
+// Date and 24-hour time, e.g. "19/10/2026 14:05"
+const formatDateTime = (date, locale = {}) => {
+  if (!date) {
+    return '';
+  }
+
+  const parts = getZonedParts(new Date(date), resolveTimeZone(locale.timezone));
+  return `${formatDate(date, locale)} ${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// Amount in the configured currency, e.g. "₹10,000" or "$12.50"
+const formatMoney = (amount, { currency = 'USD', language = 'en' } = {}) => {
+  const value = Number(amount) || 0;
+  const fractionDigits = Number.isInteger(value) ? 0 : 2;
+
+  try {
+    return new Intl.NumberFormat(language, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(value);
+  } catch (error) {
+    return `${currency} ${value.toFixed(fractionDigits)}`;
+  }
+};
+
+module.exports = {
+  TIMEZONE_ALIASES,
+  isValidTimeZone,
+  resolveTimeZone,
+  startOfMonth,
+  startOfDay,
+  getRangeStart,
+  formatDate,
+  formatDateTime,
+  formatMoney
+};
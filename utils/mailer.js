@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in transports for development. A transport is any object with an
+// async send({ to, subject, text, html }) method; real providers are added
+// with registerMailTransport() and selected through MAIL_TRANSPORT.
+const transports = {
+  console: {
+    send: async ({ to, subject, text }) => {
+      console.log('=== EMAIL (console transport) ===');
+      console.log(`To: ${to}`);
+      console.log(`Subject: ${subject}`);
+      console.log(text);
+      return { success: true };
+    }
+  },
+  file: {
+    send: async (mail) => {
+      const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'tmp', 'mail-outbox');
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${mail.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      await fs.promises.writeFile(
+        path.join(outboxDir, fileName),
+        JSON.stringify({ ...mail, sentAt: new Date().toISOString() }, null, 2)
+      );
+
+      return { success: true, file: fileName };
+    }
+  }
+};
+
+// Register a custom mail transport
+const registerMailTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`Mail transport "${name}" must implement send({ to, subject, text, html })`);
+  }
+  transports[name] = transport;
+};
+
+// Development transports print or store mail (including reset codes and
+// verification links) in plain text
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+// Get the configured mail transport. Production must name a real provider.
+const getMailTransport = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (isProduction ? null : 'console');
+
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  if (isProduction && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`Mail transport "${name}" cannot be used in production`);
+  }
+
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  try {
+    const result = await getMailTransport().send({
+      from: process.env.MAIL_FROM || 'SetuWorks <no-reply@setuworks.com>',
+      to,
+      subject,
+      text,
+      html
+    });
+    return {
+      success: result ? result.success !== false : true,
+      ...result
+    };
+  } catch (error) {
+    console.error('Mail send error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  sendMail
+};
@@ -0,0 +1,31 @@
+const DEFAULT_MIN_LENGTH = 8;
+const MAX_LENGTH = 128;
+
+// Validate a password against the security settings from AdminSettings
+const validatePassword = (password, securitySettings = {}) => {
+  const errors = [];
+  const minLength = securitySettings.passwordMinLength || DEFAULT_MIN_LENGTH;
+
+  if (typeof password !== 'string' || password.length === 0) {
+    errors.push('Password is required');
+  } else {
+    if (password.length < minLength) {
+      errors.push(`Password must be at least ${minLength} characters long`);
+    }
+    if (password.length > MAX_LENGTH) {
+      errors.push(`Password must be at most ${MAX_LENGTH} characters long`);
+    }
+    if (password.trim().length === 0) {
+      errors.push('Password cannot be only whitespace');
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  validatePassword
+};
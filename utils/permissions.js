@@ -0,0 +1,81 @@
+// Named permissions checked by requirePermission()
+const PERMISSIONS = [
+  'settings:read',
+  'settings:write',
+  'users:read',
+  'users:approve',
+  'users:unlock',
+  'users:impersonate',
+  'users:delete',
+  'bookings:read',
+  'bookings:write',
+  'bank:verify',
+  'bank:reveal',
+  'kyc:review',
+  'wallet:payout',
+  'reports:read',
+  'media:read',
+  'ratings:manage',
+  'api_keys:manage',
+  'invites:manage',
+  'admins:manage',
+  'audit:read',
+  'secrets:reveal',
+  'backups:manage'
+];
+
+// Permissions granted to each admin role. Admin accounts without an
+// adminRole predate sub-admins and keep full access as super admins.
+const ADMIN_ROLE_PERMISSIONS = {
+  super_admin: PERMISSIONS,
+  support_agent: [
+    'users:read',
+    'users:unlock',
+    'users:impersonate',
+    'reports:read'
+  ],
+  finance_officer: [
+    'users:read',
+    'bank:verify',
+    'bank:reveal',
+    'wallet:payout',
+    'reports:read'
+  ],
+  kyc_reviewer: [
+    'users:read',
+    'users:approve',
+    'kyc:review',
+    'media:read'
+  ]
+};
+
+const ADMIN_ROLES = Object.keys(ADMIN_ROLE_PERMISSIONS);
+
+// Effective admin role of a user (null for non-admins)
+const getAdminRole = (user) => {
+  if (!user || user.role !== 'admin') {
+    return null;
+  }
+  return user.adminRole || 'super_admin';
+};
+
+// Permissions a user holds
+const getPermissions = (user) => {
+  const adminRole = getAdminRole(user);
+  return adminRole ? ADMIN_ROLE_PERMISSIONS[adminRole] || [] : [];
+};
+
+// Whether a user holds every one of the given permissions
+const hasPermissions = (user, permissions) => {
+  const granted = getPermissions(user);
+  return permissions.every(permission => granted.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  ADMIN_ROLE_PERMISSIONS,
+  getAdminRole,
+  getPermissions,
+  hasPermissions
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+
+// S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...), signing
+// requests with AWS Signature Version 4. Private files are stored under
+// "private/", which must stay out of any public bucket policy or CDN.
+const config = () => ({
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT ? process.env.S3_ENDPOINT.replace(/\/+$/, '') : null,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  // Base URL objects are publicly readable at, e.g. a CDN in front of the bucket
+  publicUrl: process.env.S3_PUBLIC_URL ? process.env.S3_PUBLIC_URL.replace(/\/+$/, '') : null
+});
+
+const isConfigured = () => {
+  const { bucket, accessKeyId, secretAccessKey } = config();
+  return !!(bucket && accessKeyId && secretAccessKey);
+};
+
+// RFC 3986 encoding as required by SigV4
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encode).join('/');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Custom endpoints use path-style URLs; AWS uses virtual-hosted buckets
+const bucketUrl = ({ bucket, region, endpoint }) => (
+  endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`
+);
+
+const objectUrl = (key) => {
+  const settings = config();
+  return `${settings.publicUrl || bucketUrl(settings)}/${encodeKey(key)}`;
+};
+
+// Public id of an object URL from objectUrl(), or null for other URLs
+const publicIdFromUrl = (url) => {
+  if (!isConfigured() || typeof url !== 'string') {
+    return null;
+  }
+  const settings = config();
+  const base = `${settings.publicUrl || bucketUrl(settings)}/`;
+  if (!url.startsWith(base)) {
+    return null;
+  }
+  try {
+    return url.slice(base.length).split('/').map(decodeURIComponent).join('/');
+  } catch (error) {
+    return null;
+  }
+};
+
+const canonicalQueryString = (query) => Object.keys(query).sort()
+  .map(name => `${encode(name)}=${encode(query[name])}`)
+  .join('&');
+
+// SigV4 signature of a request; query must already hold any X-Amz-* parameters
+const signRequest = ({ method, url, query, headers, payloadHash, amzDate }) => {
+  const settings = config();
+  const day = amzDate.slice(0, 8);
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQueryString(query),
+    signedHeaders.map(name => `${name}:${headers[name]}\n`).join(''),
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${day}/${settings.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${settings.secretAccessKey}`, day), settings.region));
+  return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+};
+
+const amzTimestamp = () => new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+const credentialScope = (amzDate) => `${config().accessKeyId}/${amzDate.slice(0, 8)}/${config().region}/s3/aws4_request`;
+
+const request = async (method, key, { query = {}, body, contentType } = {}) => {
+  const settings = config();
+  if (!isConfigured()) {
+    throw new Error('S3 storage is not configured');
+  }
+
+  const url = new URL(`${bucketUrl(settings)}/${encodeKey(key)}`);
+  const canonicalQuery = canonicalQueryString(query);
+  if (canonicalQuery) {
+    url.search = canonicalQuery;
+  }
+
+  const amzDate = amzTimestamp();
+  const payloadHash = sha256(body || '');
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  if (contentType) {
+    headers['content-type'] = contentType;
+  }
+
+  const signedHeaders = Object.keys(headers).sort().join(';');
+  const signature = signRequest({ method, url, query, headers, payloadHash, amzDate });
+
+  // fetch sets Host from the URL itself
+  delete headers.host;
+  const response = await fetch(url, {
+    method,
+    body,
+    headers: {
+      ...headers,
+      authorization: `AWS4-HMAC-SHA256 Credential=${credentialScope(amzDate)}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    }
+  });
+
+  if (!response.ok && response.status !== 404) {
+    const text = await response.text();
+    const code = /<Code>([^<]+)<\/Code>/.exec(text);
+    throw new Error(`S3 ${method} failed with ${response.status}${code ? ` (${code[1]})` : ''}`);
+  }
+  return response;
+};
+
+const xmlValue = (xml, tag) => {
+  const match = new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml);
+  return match ? match[1].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'') : null;
+};
+
+// Multipart upload part size; S3 needs at least 5 MiB for all parts but the last
+const PART_SIZE = 5 * 1024 * 1024;
+
+// Split a Buffer or readable stream into PART_SIZE chunks, holding at most one
+// part in memory. The last part may be shorter (or empty).
+async function* readParts(body) {
+  let chunks = [];
+  let length = 0;
+  for await (const chunk of Buffer.isBuffer(body) ? [body] : body) {
+    chunks.push(chunk);
+    length += chunk.length;
+    while (length >= PART_SIZE) {
+      const buffer = Buffer.concat(chunks);
+      yield buffer.subarray(0, PART_SIZE);
+      chunks = [buffer.subarray(PART_SIZE)];
+      length = chunks[0].length;
+    }
+  }
+  yield Buffer.concat(chunks);
+}
+
+const createMultipartUpload = async (key, contentType) => {
+  const response = await request('POST', key, { query: { uploads: '' }, contentType });
+  const uploadId = xmlValue(await response.text(), 'UploadId');
+  if (!uploadId) {
+    throw new Error('S3 multipart upload could not be started');
+  }
+  return uploadId;
+};
+
+const uploadPart = async (key, uploadId, partNumber, body) => {
+  const response = await request('PUT', key, { query: { partNumber: String(partNumber), uploadId }, body });
+  return response.headers.get('etag');
+};
+
+const completeMultipartUpload = async (key, uploadId, etags) => {
+  const body = `<CompleteMultipartUpload>${etags.map((etag, index) => (
+    `<Part><PartNumber>${index + 1}</PartNumber><ETag>${etag}</ETag></Part>`
+  )).join('')}</CompleteMultipartUpload>`;
+  const response = await request('POST', key, { query: { uploadId }, body, contentType: 'application/xml' });
+
+  // S3 can report a failed completion inside a 200 response
+  const text = await response.text();
+  if (text.includes('<Error>')) {
+    throw new Error(`S3 multipart upload failed (${xmlValue(text, 'Code')})`);
+  }
+};
+
+// Files that fit in one part are sent with a single PUT; larger ones are
+// streamed part by part so the whole upload is never held in memory
+const upload = async (body, { folder, name, extension, mimeType, isPrivate = false }) => {
+  const publicId = `${isPrivate ? 'private/' : ''}${folder}/${name}.${extension}`;
+  const contentType = mimeType || 'application/octet-stream';
+  const parts = readParts(body);
+
+  let part = (await parts.next()).value;
+  let next = await parts.next();
+  let size = part.length;
+
+  if (next.done || next.value.length === 0) {
+    await request('PUT', publicId, { body: part, contentType });
+  } else {
+    const uploadId = await createMultipartUpload(publicId, contentType);
+    try {
+      const etags = [await uploadPart(publicId, uploadId, 1, part)];
+      while (!next.done && next.value.length > 0) {
+        part = next.value;
+        next = await parts.next();
+        etags.push(await uploadPart(publicId, uploadId, etags.length + 1, part));
+        size += part.length;
+      }
+      await completeMultipartUpload(publicId, uploadId, etags);
+    } catch (error) {
+      await request('DELETE', publicId, { query: { uploadId } }).catch(() => {});
+      throw error;
+    }
+  }
+
+  return {
+    url: isPrivate ? null : objectUrl(publicId),
+    publicId,
+    size,
+    format: extension
+  };
+};
+
+const remove = async (publicId) => {
+  // S3 answers 204 whether or not the object existed
+  const response = await request('DELETE', publicId);
+  return response.status !== 404;
+};
+
+// Presigned GET URL, valid for expiresIn seconds
+const signedUrl = async (publicId, expiresIn) => {
+  if (!isConfigured()) {
+    throw new Error('S3 storage is not configured');
+  }
+
+  const url = new URL(`${bucketUrl(config())}/${encodeKey(publicId)}`);
+  const amzDate = amzTimestamp();
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': credentialScope(amzDate),
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expiresIn),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  const signature = signRequest({ method: 'GET', url, query, headers: { host: url.host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate });
+
+  url.search = `${canonicalQueryString(query)}&X-Amz-Signature=${signature}`;
+  return url.toString();
+};
+
+const list = async (folder) => {
+  const response = await request('GET', '', { query: { 'list-type': '2', prefix: `${folder}/`, 'max-keys': '100' } });
+  if (response.status === 404) {
+    return [];
+  }
+
+  const xml = await response.text();
+  return (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).map(entry => {
+    const publicId = xmlValue(entry, 'Key');
+    return {
+      public_id: publicId,
+      url: objectUrl(publicId),
+      format: publicId.includes('.') ? publicId.split('.').pop() : null,
+      size: Number(xmlValue(entry, 'Size')),
+      created_at: new Date(xmlValue(entry, 'LastModified')),
+      folder
+    };
+  });
+};
+
+module.exports = {
+  isConfigured,
+  publicIdFromUrl,
+  upload,
+  remove,
+  signedUrl,
+  list
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in providers for development. A provider is any object with an
+// async send({ to, message }) method; real gateways are added with
+// registerSmsProvider() and selected through SMS_PROVIDER.
+const providers = {
+  console: {
+    send: async ({ to, message }) => {
+      console.log('=== SMS (console provider) ===');
+      console.log(`To: ${to}`);
+      console.log(`Message: ${message}`);
+      return { success: true };
+    }
+  },
+  file: {
+    send: async ({ to, message }) => {
+      const outboxDir = process.env.SMS_OUTBOX_DIR || path.join(__dirname, '..', 'tmp', 'sms-outbox');
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const entry = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+      await fs.promises.appendFile(path.join(outboxDir, 'outbox.log'), entry + '\n');
+
+      return { success: true };
+    }
+  }
+};
+
+// Register a custom SMS provider
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must implement send({ to, message })`);
+  }
+  providers[name] = provider;
+};
+
+// Development providers print or store messages (including OTP codes) in plain text
+const DEVELOPMENT_PROVIDERS = ['console', 'file'];
+
+// Get the configured SMS provider. Production must name a real gateway.
+const getSmsProvider = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+  const name = process.env.SMS_PROVIDER || (isProduction ? null : 'console');
+
+  if (!name) {
+    throw new Error('SMS_PROVIDER must be set in production');
+  }
+  if (isProduction && DEVELOPMENT_PROVIDERS.includes(name)) {
+    throw new Error(`SMS provider "${name}" cannot be used in production`);
+  }
+
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  return provider;
+};
+
+// Send an SMS through the configured provider
+const sendSms = async (to, message) => {
+  try {
+    const result = await getSmsProvider().send({ to, message });
+    return {
+      success: result ? result.success !== false : true,
+      ...result
+    };
+  } catch (error) {
+    console.error('SMS send error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  registerSmsProvider,
+  getSmsProvider,
+  sendSms
+};
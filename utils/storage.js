@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+
+// File storage behind one interface. Drivers implement:
+//   upload(body, { folder, name, extension, mimeType, isPrivate })
+//                                 -> { url, publicId, size, format }
+//     where body is a Buffer or a readable stream. Private files get a
+//     "private/..." id and no url; they are only reachable through signedUrl.
+//   remove(publicId)              -> true when a file was deleted
+//   signedUrl(publicId, seconds)  -> short-lived URL of a private file
+//   list(folder)                  -> [{ public_id, url, format, size, created_at, folder }]
+//   publicIdFromUrl(url)          -> public id of a URL this driver handed out, or null
+const drivers = new Map();
+
+const registerDriver = (name, driver) => {
+  drivers.set(name, driver);
+};
+
+registerDriver('cloudinary', require('./cloudinary'));
+registerDriver('local', require('./diskStorage'));
+registerDriver('s3', require('./s3Storage'));
+
+// STORAGE_DRIVER picks the driver; without it Cloudinary is used when
+// configured and local disk otherwise, so development needs no network
+const getDriverName = () => {
+  if (process.env.STORAGE_DRIVER) {
+    return process.env.STORAGE_DRIVER;
+  }
+  return drivers.get('cloudinary').isConfigured() ? 'cloudinary' : 'local';
+};
+
+const getDriver = (name = getDriverName()) => {
+  const driver = drivers.get(name);
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf'
+};
+
+// Folders are slash-separated names, e.g. "setuworks/profile-pictures";
+// "private" is reserved for private files
+const isValidFolder = (folder) => (
+  typeof folder === 'string' && /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*$/.test(folder) && folder.split('/')[0] !== 'private'
+);
+
+// Private files are recorded as "<driver>:<public id>", so they can still be
+// signed after STORAGE_DRIVER changes
+const toStorageRef = (storage, publicId) => `${storage}:${publicId}`;
+
+const parseStorageRef = (ref) => {
+  const match = /^([a-z0-9]+):(private\/.+)$/.exec(ref || '');
+  return match && drivers.has(match[1]) ? { storage: match[1], publicId: match[2] } : null;
+};
+
+const isValidName = (name) => typeof name === 'string' && /^[A-Za-z0-9_-]+$/.test(name);
+
+const parseDataUri = (dataUri) => {
+  const match = /^data:([\w.+-]+\/[\w.+-]+)(?:;[^,]*)?;base64,(.*)$/s.exec(dataUri || '');
+  if (!match) {
+    return null;
+  }
+  return { mimeType: match[1].toLowerCase(), buffer: Buffer.from(match[2], 'base64') };
+};
+
+// Store a file (Buffer or readable stream) with the configured driver
+const uploadFile = async (body, { folder, mimeType, name, isPrivate = false } = {}) => {
+  try {
+    if (!isValidFolder(folder)) {
+      return { success: false, error: 'Invalid folder' };
+    }
+    if (name !== undefined && !isValidName(name)) {
+      return { success: false, error: 'Invalid file name' };
+    }
+
+    const result = await getDriver().upload(body, {
+      folder,
+      name: name || `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`,
+      extension: EXTENSIONS[mimeType] || 'bin',
+      mimeType,
+      isPrivate
+    });
+
+    return {
+      success: true,
+      url: result.url,
+      public_id: result.publicId,
+      ref: isPrivate ? toStorageRef(getDriverName(), result.publicId) : null,
+      size: result.size,
+      format: result.format,
+      storage: getDriverName()
+    };
+  } catch (error) {
+    console.error('File upload error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Upload a base64 data URI (e.g. from a JSON request body)
+const uploadBase64Image = async (base64String, folder = 'setuworks/profile-pictures', { isPrivate = false } = {}) => {
+  const parsed = parseDataUri(base64String);
+  if (!parsed) {
+    return { success: false, error: 'Invalid data URI' };
+  }
+  return uploadFile(parsed.buffer, { folder, mimeType: parsed.mimeType, isPrivate });
+};
+
+// Short-lived URL for a private file reference
+const getSignedUrl = async (ref, expiresIn) => {
+  try {
+    const parsed = parseStorageRef(ref);
+    if (!parsed) {
+      return { success: false, error: 'Not a private file reference' };
+    }
+
+    return {
+      success: true,
+      url: await getDriver(parsed.storage).signedUrl(parsed.publicId, expiresIn),
+      expiresAt: new Date(Date.now() + expiresIn * 1000)
+    };
+  } catch (error) {
+    console.error('File signing error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Accepts a public id or a private file reference ("<driver>:private/...")
+const deleteImage = async (publicId) => {
+  try {
+    const parsed = parseStorageRef(publicId);
+    const deleted = parsed
+      ? await getDriver(parsed.storage).remove(parsed.publicId)
+      : await getDriver().remove(publicId);
+    return {
+      success: deleted,
+      result: deleted ? 'ok' : 'not found'
+    };
+  } catch (error) {
+    console.error('File delete error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+// Delete a stored file given what was saved on a record: a public URL from
+// any driver or a private file reference. Other values are left alone.
+const deleteStoredFile = async (value) => {
+  if (parseStorageRef(value)) {
+    return deleteImage(value);
+  }
+
+  for (const [name, driver] of drivers) {
+    const publicId = driver.publicIdFromUrl(value);
+    if (publicId) {
+      try {
+        const deleted = await driver.remove(publicId);
+        return { success: deleted, result: deleted ? 'ok' : 'not found' };
+      } catch (error) {
+        console.error(`File delete error (${name}):`, error);
+        return { success: false, error: error.message };
+      }
+    }
+  }
+  return { success: false, result: 'not a stored file' };
+};
+
+const listImages = async (folder = 'setuworks/profile-pictures') => {
+  try {
+    if (!isValidFolder(folder)) {
+      return { success: false, error: 'Invalid folder' };
+    }
+    return {
+      success: true,
+      images: await getDriver().list(folder)
+    };
+  } catch (error) {
+    console.error('File list error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  registerDriver,
+  getDriverName,
+  isValidFolder,
+  parseDataUri,
+  parseStorageRef,
+  uploadFile,
+  uploadBase64Image,
+  getSignedUrl,
+  deleteImage,
+  deleteStoredFile,
+  listImages
+};